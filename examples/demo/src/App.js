@@ -0,0 +1,47 @@
+import React from 'react';
+import {Canvas} from 'react-parallax-canvas';
+import './App.css';
+
+/**
+ * Properties of images drawn on canvas
+ * Includes width, height and the image url. Images are placed by the layout
+ */
+const CANVAS_IMAGE_PROPS = [
+  {id: 'boat-1', w: 200, h: 250, url: '../Assets/Images/boat.jpg'},
+  {id: 'evening-1', w: 200, h: 250, url: '../Assets/Images/evening.jpg'},
+  {id: 'sunset-1', w: 200, h: 250, url: '../Assets/Images/sunset.jpg'},
+  {id: 'tree1-1', w: 200, h: 250, url: '../Assets/Images/tree1.jpg'},
+  {id: 'tree2-1', w: 200, h: 250, url: '../Assets/Images/tree2.jpg'},
+  {id: 'tree3-1', w: 200, h: 250, url: '../Assets/Images/tree3.jpg'},
+  {id: 'boat-2', w: 200, h: 250, url: '../Assets/Images/boat.jpg'},
+  {id: 'evening-2', w: 200, h: 250, url: '../Assets/Images/evening.jpg'},
+  {id: 'sunset-2', w: 200, h: 250, url: '../Assets/Images/sunset.jpg'},
+  {id: 'tree1-2', w: 200, h: 250, url: '../Assets/Images/tree1.jpg'},
+  {id: 'tree2-2', w: 200, h: 250, url: '../Assets/Images/tree2.jpg'},
+  {id: 'tree3-2', w: 200, h: 250, url: '../Assets/Images/tree3.jpg'},
+]
+
+/**
+ * Scatters the images w/o overlaps, the same way on every visit
+ */
+const CANVAS_LAYOUT = {type: 'poisson', seed: 7};
+const CANVAS_IMAGE_STYLE = {
+  fit: 'cover',
+  cornerRadius: 6,
+  shadow: {color: 'rgba(0, 0, 0, 0.4)', blur: 12, offsetY: 4},
+};
+
+function App() {
+  return (
+    <div className="App">
+      <Canvas className="App-canvas"
+              images={CANVAS_IMAGE_PROPS}
+              layout={CANVAS_LAYOUT}
+              imageStyle={CANVAS_IMAGE_STYLE}
+              lightbox={{enabled: true}}
+              renderDetail={img => <p className="App-detail">{img.url}</p>} />
+    </div>
+  );
+}
+
+export default App;
@@ -0,0 +1,11 @@
+import React from 'react';
+import { render, within } from '@testing-library/react';
+import App from './App';
+import { createRecordingContext } from 'react-parallax-canvas/testing';
+
+test('renders an accessible item for each image', () => {
+  jest.spyOn(HTMLCanvasElement.prototype, 'getContext').mockReturnValue(createRecordingContext());
+  const { getByLabelText } = render(<App />);
+  const list = getByLabelText('Images');
+  expect(within(list).getAllByRole('button')).toHaveLength(12);
+});
@@ -0,0 +1,69 @@
+/**
+ * Builds the library from src/ into
+ *   - dist/esm: ES modules, picked up by bundlers via the module field
+ *   - dist/cjs: CommonJS modules, picked up by Node & older tools via the main field
+ * Both builds keep the file structure of src/ instead of bundling it into one
+ * file, so bundlers can drop unused modules & the worker entry
+ * (worker/renderer.worker.js) can be bundled as a separate worker script.
+ * The test helpers (testing/index.js) are published as react-parallax-canvas/testing,
+ * see testing/package.json.
+ * React is imported, not bundled, as it's a peer dependency. Tests aren't published
+ */
+process.env.BABEL_ENV = 'production';
+process.env.NODE_ENV = 'production';
+
+const fs = require('fs');
+const path = require('path');
+const babel = require('@babel/core');
+
+const ROOT = path.join(__dirname, '..');
+const SRC = path.join(ROOT, 'src');
+const DIST = path.join(ROOT, 'dist');
+
+/**
+ * Babel plugins added by each build on top of babel-preset-react-app. The preset
+ * leaves ES modules as they are
+ */
+const BUILDS = {
+  esm: [],
+  cjs: [require.resolve('@babel/plugin-transform-modules-commonjs')],
+};
+
+/**
+ * Lists the files of a directory & its subdirectories
+ *
+ * @param {string} dir - Path of the directory
+ *
+ * @returns Array of the files' paths
+ */
+let listFiles = dir => fs.readdirSync(dir, {withFileTypes: true}).flatMap(entry =>
+  entry.isDirectory() ? listFiles(path.join(dir, entry.name)) : [path.join(dir, entry.name)]
+);
+
+/**
+ * Whether a file of src/ is part of the library
+ *
+ * @param {string} file - Path of the file
+ *
+ * @returns False for tests, the test setup & harness & files other than modules
+ */
+let isPublished = file => file.endsWith('.js') && !file.endsWith('.test.js') &&
+  !['setupTests.js', 'testHarness.js'].includes(path.basename(file));
+
+fs.rmSync(DIST, {recursive: true, force: true});
+let files = listFiles(SRC).filter(isPublished);
+Object.keys(BUILDS).forEach(build => {
+  files.forEach(file => {
+    let {code} = babel.transformFileSync(file, {
+      babelrc: false,
+      configFile: false,
+      // Helpers are inlined so the library doesn't depend on @babel/runtime
+      presets: [[require.resolve('babel-preset-react-app'), {helpers: false, absoluteRuntime: false}]],
+      plugins: BUILDS[build],
+    });
+    let outFile = path.join(DIST, build, path.relative(SRC, file));
+    fs.mkdirSync(path.dirname(outFile), {recursive: true});
+    fs.writeFileSync(outFile, code);
+  });
+  console.log(`Built ${files.length} modules into ${path.relative(ROOT, path.join(DIST, build))}`);
+});
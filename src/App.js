@@ -1,13 +0,0 @@
-import React from 'react';
-import Canvas from './Canvas';
-import './App.css';
-
-function App() {
-  return (
-    <div className="App">
-      <Canvas />
-    </div>
-  );
-}
-
-export default App;
@@ -1,235 +1,397 @@
 import React from 'react';
-import {euclideanDistance, applyNonDeterministicEaseOut} from './util';
+import Scene, {getImageKey} from './Scene';
+import {supportsWorkerRendering, createWorkerRenderer} from './worker/protocol';
+import {
+  euclideanDistance,
+  createDeviceOrientationSource,
+  orientationToMovement,
+  createViewStore
+} from './util';
 
 /**
- * Properties of images drawn on canvas
- * Includes top, left, width, height and the image url
- * Used for testing (should be passed as props)
+ * Maximum distance (in px) a pointer may travel between going down and up
+ * for the interaction to still count as a tap/click
  */
-const CANVAS_IMAGE_PROPS = [
-  {left: 0.2, top: 0.2, w: 200, h: 250, url: '../Assets/Images/boat.jpg'},
-  {left: 0.6, top: 0.4, w: 200, h: 250, url: '../Assets/Images/evening.jpg'},
-  {left: 0.28, top: 0.83, w: 200, h: 250, url: '../Assets/Images/sunset.jpg'},
-  {left: 0.8, top: 0.3, w: 200, h: 250, url: '../Assets/Images/tree1.jpg'},
-  {left: 0.9, top: 0.8, w: 200, h: 250, url: '../Assets/Images/tree2.jpg'},
-  {left: 0.4, top: 0.25, w: 200, h: 250, url: '../Assets/Images/tree3.jpg'},
-  {left: 0.57, top: 0.87, w: 200, h: 250, url: '../Assets/Images/boat.jpg'},
-  {left: 0.89, top: 0.1, w: 200, h: 250, url: '../Assets/Images/evening.jpg'},
-  {left: 0.12, top: 0.17, w: 200, h: 250, url: '../Assets/Images/sunset.jpg'},
-  {left: 0.48, top: 0.74, w: 200, h: 250, url: '../Assets/Images/tree1.jpg'},
-  {left: 0.03, top: 0.66, w: 200, h: 250, url: '../Assets/Images/tree2.jpg'},
-  {left: 0.68, top: 0.59, w: 200, h: 250, url: '../Assets/Images/tree3.jpg'},
-]
+const TAP_SLOP = 10;
 
 /**
- * @class representing images drawn on screen
- *  Each instance holds all positional data & methods necessary to draw and
- *  animate an image on an HTML5 canvas using the drawImage() method from the canvas API
- *  See https://developer.mozilla.org/en-US/docs/Web/API/Canvas_API/Tutorial/Using_images
+ * Styles hiding an element visually while keeping it accessible to screen
+ * readers and keyboard users
  */
-class CanvasImage {
-
-  /**
-   * Represents an image and all positional data needed for painting on an HTML5 canvas
-   * Also initializes data used for easing image animations
-   * @constructor
-   *
-   * @param {number} left - Image's left corner (in px) relative to the canvas origin
-   * @param {number} top -  Image's top corner (in px) relative to the canvas origin
-   * @param {number} width - Width (in px) the image will occupy in the canvas
-   * @param {number} height - Height (in px) the imge will occupy in the canvas
-   * @param {string} url - Source of the image
-   */
-  constructor(left, top, width, height, url) {
-    this.width = width;
-    this.height = height;
-    this.url = url;
-    this.center = {
-      x: left + width / 2,
-      y: top + height / 2,
-    }
-    /** Boolean denoting whether on not image has finished loading */
-    this.hasLoaded = false;
-    /** Opacity of image, animated in {@link CanvasImage#drawFadeIn} */
-    this.opacity = 0;
-    /** Timestamp equal to the time the image started it's fadein animation
-        in {@link CanvasImage#drawFadeIn}*/
-    this.loadingAnimationStartTime = null;
-    /** Used for easing animations in the {@link CanvasImage#draw} method */
-    this.currentValue = 2000;
-    this.speed = 0;
-  }
-
-  /**
-   * Loads an image for use on the canvas
-   */
-  loadImage() {
-    this.img = new Image();
-    this.img.addEventListener('load', () => {
-      // Mark image as loaded
-      // Added a delay to simulate network conditions
-      setTimeout(() => {
-          this.hasLoaded = true;//
-      }, 1000 * Math.random())
-
-    }, false);
-    this.img.src = this.url;
-  }
-
-  /**
-   * Description here
-   *
-   * @param {object} ctx - Canvas rendering context object
-   * @param {number} duration - Total animation duration (in ms)
-   * @param {number} timestamp - current point in time (in ms) when requestAnimationFrame()
-   *                             starts to execute callback functions.
-   */
-  drawFadeIn(ctx, duration, timestamp) {
-    // Set animation start time
-    if (!this.loadingAnimationStartTime) {
-      this.loadingAnimationStartTime = timestamp;
-    }
-    // Calculate animation progress
-    let currentTime = timestamp - this.loadingAnimationStartTime;
-    if (currentTime <= duration) {
-      // Normalise currentTime/progress in the [0,1] range
-      let normalizedTime = currentTime / duration;
-      // Apply easeInQuad easing to normalized time
-      normalizedTime = normalizedTime * normalizedTime;
-      // Update animated opacity
-      this.opacity = normalizedTime;
-    } else {
-      this.opacity = 1;
-    }
-
-    // Draw image w/ opacity by manipulating globalAlpha, then reset
-    ctx.globalAlpha = this.opacity;
-    ctx.drawImage(this.img,
-        Math.floor(this.center.x - this.width / 2),
-        Math.floor(this.center.y - this.height / 2),
-        Math.floor(this.width),
-        Math.floor(this.height));
-    ctx.globalAlpha = 1;
-  }
-
-  /**
-   * Redraws an image on the canvas while animating the image's dimensions.
-   * The dimensions of the drawn image depend linerly on the distance between
-   * the image's center and the mouse position. The closer the mouse gets to
-   * the image's center, the more the image's dimensions grow (up to 2x size)
-   *
-   * This function is called within an animation loop. At each time step,
-   * the image's dimensions slowly animate towards their final value using an easing function.
-   * This easing is not-deterministic as the destinationValue depends on the mouseCoords
-   * that may change suddenly
-   *
-   * @param {object} ctx - Canvas rendering context object
-   * @param {object} mouseCoords - Object containing x and y coords of the mouse
-   *                               relative to the canvas origin
-   */
-  draw(ctx, mouseCoords) {
-
-    // Value we want to reach as we animate - Expresses distance
-    let dest = euclideanDistance(this.center, mouseCoords);
-    // Value at current time step - Expresses distance
-    let curr = this.currentValue;
-    // Current rate of change
-    let speed = this.speed;
-    // Accelaration coefficient
-    let acc_coef = 0.05;
-    // Function used to compare how close the currect value is to the destination value
-    let compareFunction = (a,b) => Math.abs(a - b);
-    // Apply easing (ease out)
-    [this.currentValue, this.speed] = applyNonDeterministicEaseOut(dest, curr, speed, acc_coef, compareFunction);
+const VISUALLY_HIDDEN_STYLE = {
+  position: 'absolute',
+  width: 1,
+  height: 1,
+  padding: 0,
+  margin: -1,
+  overflow: 'hidden',
+  clip: 'rect(0 0 0 0)',
+  whiteSpace: 'nowrap',
+  border: 0,
+};
 
-    // Linearly interpolate currentValue from [cutOffDistance, 0] to [0,1]
-    // where cutOffDistance = 600px (for performance reasons)
-    // Linear f(distance) = (-1 / cutOffDistance) * distance + 1
-    let cutOffDistance = 600;
-    let mFactor = (-1 / cutOffDistance) * this.currentValue + 1;
-    if (this.currentValue > cutOffDistance) { mFactor = 0;}
-
-    // Compute new width of images based on above linear transformation
-    let width = Math.floor(this.width + this.width * mFactor);
-    let height = Math.floor(this.height + this.height * mFactor);
-
-    // Draw a new image on the canvas w/ the new dimensions
-    ctx.drawImage(this.img, this.center.x - width/2, this.center.y - height/2, width, height);
-  }
+/**
+ * Direction vectors for the arrow keys used to move focus between images
+ */
+const ARROW_KEY_DIRECTIONS = {
+  ArrowLeft: {x: -1, y: 0},
+  ArrowRight: {x: 1, y: 0},
+  ArrowUp: {x: 0, y: -1},
+  ArrowDown: {x: 0, y: 1},
+};
 
-  /**
-   * Fires when region occupied by the image in the canvas is clicked
-   */
-  onClick() {
-    alert(`clicked ${this.url}`);
-  }
+/**
+ * View persistence options unless configured otherwise via props, see {@link Canvas#restoreView}
+ *   - enabled: Whether the view is saved & restored on mount
+ *   - storage: 'hash' (the URL hash, so views can be shared via links) or
+ *              'sessionStorage' (survives reloads of the tab)
+ *   - key: Key of the session storage entry
+ *   - delay: Time (in ms) the view has to rest before it is saved
+ */
+const DEFAULT_PERSIST_VIEW = {
+  enabled: false,
+  storage: 'hash',
+  key: 'canvas-view',
+  delay: 300,
+};
 
-}
+/**
+ * Names of the props passed on to the renderer, see {@link Scene#setProps}
+ */
+const SCENE_PROP_NAMES = [
+  'images',
+  'backgroundLayers',
+  'foregroundLayers',
+  'parallaxSource',
+  'easing',
+  'zoom',
+  'loading',
+  'scroll',
+  'lightbox',
+  'elementTypes',
+  'layout',
+  'imageStyle',
+  'intro',
+  'background',
+];
 
 /**
- * @class component that renders an HTML5 canvas covering the entire screen
+ * @class component that renders an HTML5 canvas filling its container
  * @extends React.Component
+ *
+ * @param {object} props
+ * @param {array} props.images - Images drawn on the canvas. Each entry contains
+ *   - left, top: Position of the image's center as a fraction of the canvas'
+ *                dimensions. Not needed when the images are laid out via props.layout
+ *   - w, h: Width and height (in px) the image will occupy in the canvas
+ *   - url: Source of the image
+ *   - srcset: Optional sources of the image in different resolutions, like
+ *             the srcset attribute of <img> (e.g. 'small.jpg 400w, large.jpg 1600w')
+ *             or an array of {url, width}. The smallest source sharp enough is
+ *             drawn & sharper ones are loaded while the image is zoomed
+ *   - id: Optional unique id used to match entries across prop updates.
+ *         Entries w/o an id are matched by their index
+ *   - alt: Text alternative announced to screen reader users
+ *   - zoom: Optional overrides of the canvas' zoom profile for this image
+ *   - depth: Parallax depth of the image (default 1). Images w/ larger depths
+ *            are nearer, move more & are painted over images w/ smaller depths
+ *   - type: What the entry draws, 'image' (default), 'text', 'video', 'shape',
+ *           'custom' or a type passed via props.elementTypes. Each type reads
+ *           its own fields from the entry (e.g. text, fill or draw), see the
+ *           classes in elements/. All types fade in, zoom, are ordered &
+ *           hit-tested the same way
+ *   - style: Optional overrides of props.imageStyle for this image
+ *   Images are added, removed and repositioned when the prop changes
+ * @param {string} props.parallaxSource - What drives the parallax effect:
+ *   'pointer' (default) uses the accumulated pointer movement,
+ *   'orientation' uses the device's tilt (gyroscope). Falls back to
+ *   'pointer' if permission to receive orientation readings is denied
+ * @param {object} props.orientation - Options for the 'orientation' parallax source
+ *   - sensitivity: Movement (in px) per degree of tilt
+ *   - maxAngle: Tilts beyond this angle (in degrees) are clamped
+ *   - restingAngle: {beta, gamma} angles the device is held at when resting.
+ *                   Calibrated from the first reading when omitted
+ *   - source: Orientation source providing readings, see util/orientation.js.
+ *             Defaults to the browser's deviceorientation events
+ * @param {string} props.label - Accessible name of the list of images
+ * @param {string} props.id - Optional id of the element wrapping the canvas
+ * @param {string} props.className - Optional class of the element wrapping the canvas
+ * @param {object} props.easing - Easing of each animated property, merged w/ DEFAULT_EASING
+ *   - origin: Follower for the parallax, e.g. 'easeOut', 'criticallyDamped' or
+ *             {type: 'spring', stiffness: 120, damping: 14}
+ *   - zoom: Follower for the hover zoom
+ *   - fade: Curve for the fade-in, e.g. 'easeOutCubic'
+ *   - lightbox: Curve for images opening in & closing from the lightbox
+ * @param {object} props.zoom - Hover zoom profile, see util/zoom.js
+ *   - maxScale: Scale of an image when hovered over its center (default 2)
+ *   - cutoff: Distance (in px) beyond which images don't grow (default 600)
+ *   - falloff: 'linear' (default), 'gaussian', 'inverseSquare' or a custom function
+ *   - mode: 'proximity' (default), 'single' to only zoom the image under the mouse
+ *           or 'repel' to also push nearby images away
+ *   - repelStrength: Max distance (in px) images are pushed in 'repel' mode
+ * @param {array} props.backgroundLayers - Decorative layers painted behind the images
+ *   Each layer contains a depth and the images (same format as props.images)
+ *   drawn in it. Decorative images don't zoom, can't be clicked or focused
+ * @param {array} props.foregroundLayers - Decorative layers painted over the images
+ *
+ * Image callbacks receive the image's descriptor, its index in props.images and
+ * the pointer position (in px, relative to the canvas). Keyboard interactions
+ * pass the on-screen center of the image instead of the pointer position.
+ * @param {function} props.onImageClick - Fires when an image is clicked/tapped or
+ *                                        activated via keyboard
+ * @param {function} props.onImageHover - Fires when the pointer moves over an image
+ * @param {function} props.onImageEnter - Fires when the pointer enters an image
+ * @param {function} props.onImageLeave - Fires when the pointer leaves an image
+ * @param {function} props.onImageFocus - Fires when an image receives keyboard focus
+ * @param {function} props.onLoadComplete - Fires once all images have loaded and
+ *                                          faded in, i.e. when the intro has finished
+ * @param {function} props.onLoadProgress - Fires whenever an image loads or fails
+ *                                          w/ an object containing the number of
+ *                                          loaded, failed & total images
+ * @param {object} props.loading - Image loading options, merged w/ DEFAULT_LOADING
+ *   - retries, retryDelay: How often & after how long (in ms) failing sources are retried
+ *   - fallbackUrl: Source loaded for images whose own source failed. Images
+ *                  may also specify their own fallbackUrl
+ *   - placeholderColor: Color drawn in place of images that failed to load
+ *   - timeout: Time (in ms) after which the intro finishes w/o waiting for
+ *              images that are still loading
+ *   - simulatedLatency: Max random delay (in ms) added to loads, for testing
+ * @param {object} props.scroll - Scrolling options, merged w/ DEFAULT_SCROLL
+ *   - mode: 'free' (default), 'wrap' for an infinite plane of tiled images or
+ *           'bounded' to clamp the origin to the content w/ a rubber band effect
+ *   - padding, overscroll: Limits of the 'bounded' mode (in px)
+ *   - gap: Space (in px) between repeated tiles in 'wrap' mode
+ * @param {object} props.lightbox - Lightbox options, merged w/ DEFAULT_LIGHTBOX
+ *   - enabled: Clicked images open in a centered, full size view while the
+ *              other images are dimmed or blurred & the parallax pauses.
+ *              Escape, a click outside the image or the back button close it
+ *   - duration: Duration (in ms) of the opening & closing transitions
+ *   - backdrop: 'dim' (default) or 'blur'
+ *   - dimOpacity, blurRadius: Strength of the backdrop
+ *   - padding: Min space (in px) around the opened image
+ * @param {function} props.renderDetail - Renders a caption or detail panel below
+ *   the image open in the lightbox. Receives the image's descriptor, its index
+ *   and an object containing a close function & the region (x, y, width, height)
+ *   the image occupies
+ * @param {object} props.layout - Places the images automatically instead of via
+ *   their left & top, merged w/ DEFAULT_LAYOUT (see util/layout.js). The layout
+ *   is recomputed when the canvas is resized
+ *   - type: 'masonry', 'grid', 'goldenSpiral', 'poisson' (random w/ a minimum
+ *           spacing) or 'random'. Images keep the aspect ratio of their w & h
+ *   - padding, gap: Space (in px) around & between the images
+ *   - columnWidth, cellWidth, cellHeight, spacing, minDistance: Sizes used
+ *     by the individual types
+ *   - seed: Random layouts w/ the same seed are always the same
+ * @param {object} props.imageStyle - Appearance of the images, merged w/
+ *   DEFAULT_IMAGE_STYLE (see elements/CanvasImage.js). Drawing & hit-testing
+ *   both follow the fitted image
+ *   - fit: 'fill' (default), 'contain', 'cover' or 'none', like CSS object-fit
+ *   - focalPoint: {x, y} fractions of the image kept in view when cropped
+ *   - cornerRadius: Radius (in px) of the image's corners
+ *   - border: Optional {width, color}
+ *   - shadow: Optional {color, blur, offsetX, offsetY}
+ *   - filter: Filter the image is drawn w/, e.g. {grayscale: 1, brightness: 0.8}.
+ *     Filtered images are cached instead of being filtered every frame
+ *   - hoverFilter: Filter blended in as the image zooms, e.g. {grayscale: 0}
+ *   - depthBlur: Blur (in px) per unit of depth the image lies off depth 1
+ *   - highlight: Optional {type: 'glow' or 'outline', color, width} fading in
+ *     as the image zooms
+ *   Unknown filters & highlight types are ignored w/ a warning
+ * @param {object} props.background - Background of the canvas, merged w/
+ *   DEFAULT_BACKGROUND (see Scene.js)
+ *   - fill: A CSS color (default black) or a gradient {type, stops, angle}
+ *   - image: Optional url of a backdrop image covering the canvas
+ *   - blur, opacity: Blur radius (in px) & opacity of the backdrop image
+ * @param {object} props.intro - Entrance of the images once loaded, merged w/
+ *   DEFAULT_INTRO (see util/intro.js)
+ *   - effect: 'fade' (default), 'scale', 'slide' or 'blur', an array of them
+ *     to combine or a custom effect function
+ *   - duration: Duration (in ms) of each image's entrance
+ *   - stagger, staggerOrder: Delay (in ms) between the entrances of consecutive
+ *     images, ordered by 'index' or by 'distance' from the center
+ *   - scale, from, distance, blur: Options of the individual effects
+ *   - handoff: Duration (in ms) over which hover zoom & parallax blend in afterwards
+ * @param {object} props.elementTypes - Additional element types, mapping type
+ *   names to subclasses of CanvasElement (see elements/CanvasElement.js)
+ * @param {function} props.worker - Optional function creating a Worker that runs
+ *   worker/renderer.worker.js. Drawing then happens in the worker on an
+ *   OffscreenCanvas & images are decoded w/ createImageBitmap. Browsers w/o
+ *   OffscreenCanvas support draw on the main thread. So do canvases w/ custom
+ *   easing or falloff functions, custom element types or draw functions, as
+ *   functions can't be sent to workers, and canvases w/ videos
+ * @param {object} props.persistView - Saves the view (the point at the center
+ *   of the canvas & the focused image) & restores it on mount w/o panning there,
+ *   merged w/ DEFAULT_PERSIST_VIEW. Links w/ a hash like #image=boat-1 open the
+ *   canvas centered on that image, w/o moving keyboard focus to it
+ *   - enabled: Whether to persist the view (default false)
+ *   - storage: 'hash' (default) or 'sessionStorage'
+ *   - key: Key of the session storage entry
+ *   - delay: Time (in ms) the view has to rest before it is saved
+ * @param {object} props.scheduler - Optional scheduler of the animation loop &
+ *   timers, e.g. a manual one stepping frames deterministically in tests, see
+ *   util/scheduler.js. Canvases w/ a scheduler draw on the main thread
+ *
+ * Parent components can drive the canvas via a ref: panTo, focusImage,
+ * resetView, pause, resume & getState, see the methods marked Imperative API.
+ *
+ * Each image gets a visually hidden, focusable button so keyboard & screen reader
+ * users can reach it. Tab/arrow keys move focus between images, the focused
+ * image grows as if hovered and Enter activates it.
+ * Users preferring reduced motion get a static layout w/o parallax or easing.
  */
 export default class Canvas extends React.Component {
 
+  static defaultProps = {
+    images: [],
+    parallaxSource: 'pointer',
+    orientation: {},
+    label: 'Images',
+    easing: {},
+    zoom: {},
+    backgroundLayers: [],
+    foregroundLayers: [],
+    loading: {},
+    scroll: {},
+    lightbox: {},
+    elementTypes: {},
+    layout: {},
+    imageStyle: {},
+    intro: {},
+    background: {},
+    persistView: {},
+  }
 
   /**
-   * @instance {array} - Contains all elements currently drawn on the canvas
-   */
-  canvasElements = [];
-
-  /**
-   * @typedef {object} mouseCoords
-   * @instance {object} - Contains the most recent mouse position as well as
-   *                      the total relative distance the mouse has traveled
-   *                      in the X and Y axises
+   * @instance {object} - Component state
+   *
+   * @param {object} lightbox - State of the lightbox as reported by the
+   *                            renderer's lightboxChange events, undefined while closed
+   * @param {number} canvasKey - Key of the canvas element, changed to mount a new
+   *                             canvas, see {@link Canvas#fallBackToMainThread}
    */
-   mouseCoords = {
-     x: 2 * window.innerWidth,
-     y: 2 * window.innerHeight,
-     totalMovementX: 0,
-     totalMovementY: 0,
-   }
+  state = {
+    lightbox: undefined,
+    canvasKey: 0,
+  }
 
    /**
     * @instance {object} - Contains the previous position of the mouse
-    *                      before the last update to {@link mouseCoords}
+    *                      before its last update, used to calculate its movement
     */
    prevMouseCoords = {
      x: undefined,
      y: undefined,
    }
-
    /**
-    * @instance {object} - Contains data used for easing canvas origin animations
-    *                      in {@link Canvas#drawingAnimation}
+    * @instance {object} - The pointer currently pressed on the canvas (if any),
+    *                      see {@link Canvas#handlePointerDown}
     *
-    * @param {number} currentLeft - Most up-to-date value of the left-most point of the canvas
-    * @param {number} speedLeft - Rate of change of the left-most point of the canvas
-    * @param {number} currentTop - Most up-to-date value of the top-most point of the canvas
-    * @param {number} speedTop - Rate of change of the left-most point of the canvas
-    * @param {number} coefficient - Controls impact of animation in {@link Canvas#drawingAnimation}
+    * @param {number} id - pointerId of the tracked pointer
+    * @param {string} type - pointerType of the tracked pointer (mouse, pen or touch)
+    * @param {number} startX - x coord where the pointer went down
+    * @param {number} startY - y coord where the pointer went down
+    * @param {number} travel - Max distance traveled from the start coords
     */
-   origin = {
-     currentLeft: 0,
-     speedLeft: 0,
-     currentTop: 0,
-     speedTop: 0,
-     coefficient: 1/4,
+   activePointer = undefined;
+   /**
+    * @instance {object} - Contains data for the 'orientation' parallax source,
+    *                      see {@link Canvas#startOrientationTracking}
+    *
+    * @param {object} restingAngle - Calibrated {beta, gamma} resting angle
+    * @param {object} source - Orientation source listened to, see util/orientation.js
+    * @param {function} unsubscribe - Stops listening to the orientation source
+    * @param {boolean} hasRequestedPermission - Whether permission to receive
+    *                                           readings was already requested
+    * @param {boolean} isPermissionDenied - Whether the source was denied
+    *                                       permission, see {@link Canvas#getParallaxSource}
+    */
+   orientationState = {
+     restingAngle: undefined,
+     source: undefined,
+     unsubscribe: undefined,
+     hasRequestedPermission: false,
+     isPermissionDenied: false,
    }
+   /**
+    * @instance {*} - Key of the image whose accessible item has keyboard focus
+    *                 (if any), see {@link Canvas#handleItemFocus}
+    */
+   focusedKey = undefined;
 
    /**
-    * @instance {number} - The ID of the last requested animation frame retrieved
-    *                      via requestAnimationFrame. Used for cleanup
+    * @instance {*} - Key of the image under the pointer (if any), as reported
+    *                 by the renderer's imageEnter & imageLeave events
+    */
+   hoveredKey = undefined;
+   /**
+    * @instance {object} - Maps image keys to the DOM elements of their accessible items
+    */
+   itemRefs = new Map();
+   /**
+    * @instance {object} - MediaQueryList for prefers-reduced-motion. Undefined
+    *                      when the browser doesn't support matchMedia
     */
-   animationID = undefined;
+   reducedMotionQuery = undefined;
+   /**
+    * @instance {boolean} - Whether the canvas intersects the viewport. The
+    *                       animation loop is paused while it doesn't, see {@link Canvas#updatePause}
+    */
+   isInViewport = true;
+   /**
+    * @instance {boolean} - Whether the animation loop was paused via {@link Canvas#pause}
+    */
+   isPausedByUser = false;
+   /**
+    * @instance {object} - Point at the center of the canvas as reported by the
+    *                      renderer's viewChange events, see {@link Scene#getView}
+    */
+   view = undefined;
+   /**
+    * @instance {object} - Reads & writes the persisted view (see util/viewState.js),
+    *                      undefined unless props.persistView is enabled
+    */
+   viewStore = undefined;
+   /**
+    * @instance {number} - Timeout ID of the pending write of the view, see
+    *                      {@link Canvas#scheduleViewWrite}
+    */
+   viewWriteTimeoutID = undefined;
+   /**
+    * @instance {object} - IntersectionObserver tracking whether the canvas is
+    *                      scrolled into view (if supported)
+    */
+   intersectionObserver = undefined;
+   /**
+    * @instance {object} - Current dimensions of the canvas, updated in
+    *                      {@link Canvas#resizeCanvas}
+    *
+    * @param {number} width - Width (in CSS px) of the canvas
+    * @param {number} height - Height (in CSS px) of the canvas
+    * @param {number} pixelRatio - Number of backing store pixels per CSS px
+    */
+   size = {
+     width: 0,
+     height: 0,
+     pixelRatio: 1,
+   }
+   /**
+    * @instance {object} - ResizeObserver watching the canvas' container.
+    *                      Undefined when the browser doesn't support it
+    */
+   resizeObserver = undefined;
 
    /**
-    * @instance {boolean} - Boolean detoting if the initial animation that first
-    *                      draws images has completed. Used in {@link Canvas#animate}
+    * @instance {object} - Draws the images, either a {@link Scene} on the main
+    *                      thread or a proxy forwarding calls to a scene in a
+    *                      worker. See {@link Canvas#createRenderer}
     */
-   hasInitAnimationFinished = false;
+   renderer = undefined;
 
+   /**
+    * @instance {boolean} - Whether a history entry was pushed for the open
+    *                       lightbox, so the back button closes it
+    */
+   hasLightboxHistoryEntry = false;
   /**
    * Retrieves ref to canvas DOM element via ref callback attached in render()
    * This ref is guaranteed to be up-to-date before lifecycle methods fire.
@@ -238,170 +400,163 @@ export default class Canvas extends React.Component {
    */
   setCanvasRef = (element) =>
     this.canvas = element
-
   /**
-   * Clears the canvas completelly
+   * Sizes the canvas so it fills its container. The renderer scales the canvas'
+   * backing store by the device pixel ratio, see {@link Scene#setSize}
    *
-   * @param {object} ctx - Canvas rendering context object
+   * Falls back to the window dimensions if the container has no dimensions
+   * of its own.
    */
-   clearCanvas = (ctx) => {
-     ctx.save();
-     ctx.globalCompositeOperation = 'copy';
-     ctx.strokeStyle = 'transparent';
-     ctx.beginPath();
-     ctx.lineTo(0, 0);
-     ctx.stroke();
-     ctx.restore();
-   }
+  resizeCanvas = () => {
+    let container = this.canvas.parentNode;
+    let width = (container && container.clientWidth) || window.innerWidth;
+    let height = (container && container.clientHeight) || window.innerHeight;
+    let pixelRatio = window.devicePixelRatio || 1;
 
+    if (width === this.size.width && height === this.size.height &&
+        pixelRatio === this.size.pixelRatio) {
+      return;
+    }
+    this.size = {width, height, pixelRatio};
+    this.renderer.setSize(this.size);
+  }
    /**
-    * Animates canvas in an animation loop to either
-    * A) initially load the images via {@link Canvas#loadingAnimation} or
-    * B) animate the images and canvas loading based on the mouse position
-    *    via {@link Canvas#drawingAnimation}
-    * The selection above depends on the value of the instance variable
-    * {@link Canvas#hasInitAnimationFinished}
-    *
-    * @param {number} timestamp - current point in time (in ms) when requestAnimationFrame()
-    *                             starts to execute callback functions.
+    * Pauses or resumes the animation loop when the tab's or the canvas'
+    * visibility changes, i.e. while the tab is hidden or the canvas is
+    * scrolled out of view, and while paused via {@link Canvas#pause}.
+    * See {@link Scene#setPaused}
     */
-   animate(timestamp) {
-
-     if (!this.hasInitAnimationFinished) {
-       this.loadingAnimation(timestamp);
-     } else {
-       this.drawingAnimation();
-     }
-
-     // Loop animation and store its id//
-     this.animationID = requestAnimationFrame((timestamp)=>this.animate(timestamp));
+   updatePause = () => {
+     this.renderer.setPaused(this.isPausedByUser || document.hidden || !this.isInViewport);
    }
-
    /**
-    * Animation loop for when images first load and get drawn to the canvas for
-    * the first time.
-    * Checks if image has actually loaded before starting the animation specified
-    * in {@link CanvasImage#drawFadeIn}
+    * IntersectionObserver Handler - Tracks whether the canvas is scrolled into view
     *
-    * At each step the each LOADED image's opacity animates from 0 to 1 w/ an
-    * easeOut easing function
-    *
-    * @param {number} timestamp - current point in time (in ms) when requestAnimationFrame()
-    *                             starts to execute callback functions.
+    * @param {array} entries - IntersectionObserverEntry objects, the latest one last
     */
-   loadingAnimation(timestamp) {
-     let ctx = this.canvas.getContext('2d', { alpha: false });
-     // Clear canvas
-     this.clearCanvas(ctx);
-     // Draw new images w/ animating opacity
-     this.canvasElements.forEach(elem => {
-       let duration = 2000;
-       elem.hasLoaded && elem.drawFadeIn(ctx, duration, timestamp)
-     });
-
-     // initalAnimation has finished iff all images have loaded w/ opacities 1
-     let numVisibleLoadedImages = 0;
-     this.canvasElements.forEach((elem, idx) => {
-       numVisibleLoadedImages += (elem.hasLoaded === true && elem.opacity === 1) ? 1 : 0;
-     });
-     this.hasInitAnimationFinished = (numVisibleLoadedImages === CANVAS_IMAGE_PROPS.length);
+   handleIntersection = entries => {
+     this.isInViewport = entries[entries.length - 1].isIntersecting;
+     this.updatePause();
    }
-
   /**
-   * Applies a paralax effect by animating the canvas's origin, based on the
-   * current mouse coordinates.
-   * It then re-draws images, animating their dimensions based on the distance of
-   * their centers to the mouse position - see {@link CanvasImage#draw} method
-   *
-   * At each time step, the canva's origin animates towards its final value using
-   * an easing function.
-   * This easing is not-deterministic as the destinationValue depends on the mouse
-   * movement that may change suddenly
-   */
-  drawingAnimation() {
-    let ctx = this.canvas.getContext('2d', { alpha: false });
-
-    // Clear canvas
-    this.clearCanvas(ctx);
-
-    // Destination values for canva's origin in the x and y plane resp.
-    let destLeft = this.mouseCoords.totalMovementX;
-    let destTop = this.mouseCoords.totalMovementY;
-    // Values at current time step
-    let currLeft = this.origin.currentLeft;
-    let currTop = this.origin.currentTop;
-    // Rate of change at current time step
-    let speedLeft = this.origin.speedLeft;
-    let speedTop = this.origin.speedTop;
-    // Accelaration coefficient
-    let acc_coef = 0.05;
-    // Function used to compare how close the currect value is to the destination value
-    let compareFunction = (a,b) => Math.abs(a - b);
-
-    // Apply easing and store results for next loop
-    [this.origin.currentLeft, this.origin.speedLeft] =
-      applyNonDeterministicEaseOut(destLeft, currLeft, speedLeft, acc_coef, compareFunction);
-    [this.origin.currentTop, this.origin.speedTop] =
-      applyNonDeterministicEaseOut(destTop, currTop, speedTop, acc_coef, compareFunction);
-
-
-    // Translate canvas to it's new position
-    // Move in the opposite direction of the mouse by a factor of origin.coefficient
-    ctx.setTransform(1, 0, 0, 1, 0, 0);
-    ctx.translate(
-      Math.floor(-this.origin.currentLeft * this.origin.coefficient),
-      Math.floor(-this.origin.currentTop * this.origin.coefficient),
-    );
-
-    // Apply changes to mouseCoords so they match the new translated canvas origin
-    // ! Do not directly modify mouseCoords instance
-    let translatedMouseCoords = {
-      x: this.mouseCoords.x + Math.floor(this.origin.currentLeft * this.origin.coefficient),
-      y: this.mouseCoords.y + Math.floor(this.origin.currentTop * this.origin.coefficient),
-    };
-
-    // Order canvas elements bassed on the distance of their centers from the translated mouseCoords
-    // Elements w/ centers closest to translated mouse Coords get placed at end of array
-    this.canvasElements.sort((elem1, elem2) =>
-      euclideanDistance(elem2.center, translatedMouseCoords) - euclideanDistance(elem1.center, translatedMouseCoords)
-    )
-
-    // Draw new images by iterating over the sorted canvas elements
-    // Elements closest to the translated mouse coords get painted over elements
-    // that are furter away.
-    this.canvasElements.forEach(elem =>
-      elem.draw(ctx, translatedMouseCoords)
-    );
-
+   * Starts listening to orientation readings when the 'orientation' parallax
+   * source is selected. Readings are turned into origin movement relative to
+   * the resting angle, which is calibrated from the first reading unless it
+   * is passed via props.
+   */
+  startOrientationTracking() {
+    if (this.getParallaxSource() !== 'orientation') {
+      return;
+    }
+    let source = this.props.orientation.source || createDeviceOrientationSource();
+    this.orientationState.restingAngle = this.props.orientation.restingAngle;
+    this.orientationState.source = source;
+    this.orientationState.unsubscribe = source.subscribe(this.handleOrientation);
   }
-
   /**
-   * MouseMove Event Handler - Retrieve mouse coordinates and movement
-   * Note: For the mouse movement, evt.movementX & evt.movementY are not used sinse
-   * they seem to behave randomly for sudden mouse movements.
+   * Stops listening to orientation readings and resets the derived movement
+   */
+  stopOrientationTracking() {
+    this.orientationState.unsubscribe && this.orientationState.unsubscribe();
+    this.orientationState.unsubscribe = undefined;
+    this.orientationState.source = undefined;
+    this.renderer.setOrientationMovement({x: 0, y: 0});
+  }
+  /**
+   * Returns the parallax source passed to the renderer: props.parallaxSource,
+   * unless the orientation source was denied permission, in which case the
+   * pointer keeps driving the parallax
+   *
+   * @returns 'pointer' or 'orientation'
+   */
+  getParallaxSource() {
+    return this.orientationState.isPermissionDenied ? 'pointer' : this.props.parallaxSource;
+  }
+  /**
+   * Re-calibrates the resting angle using the next orientation reading
+   */
+  calibrateOrientation() {
+    this.orientationState.restingAngle = undefined;
+  }
+  /**
+   * Orientation reading listener - Updates the movement used as the
+   * destination of the canvas origin
+   *
+   * @param {object} reading - Object containing beta and gamma angles (in degrees)
+   */
+  handleOrientation = reading => {
+    let {sensitivity = 20, maxAngle = 45} = this.props.orientation;
+    if (!this.orientationState.restingAngle) {
+      this.orientationState.restingAngle = {beta: reading.beta, gamma: reading.gamma};
+    }
+    this.renderer.setOrientationMovement(
+      orientationToMovement(reading, this.orientationState.restingAngle, sensitivity, maxAngle));
+  }
+  /**
+   * Requests permission to receive readings from the orientation source listened
+   * to. Some browsers (iOS Safari) only grant it from a user gesture, so this is
+   * called on the first pointer down. If permission is denied (or the request
+   * fails) tracking stops & the pointer drives the parallax instead
+   */
+  requestOrientationPermission() {
+    let {source, hasRequestedPermission} = this.orientationState;
+    if (!source || hasRequestedPermission) {
+      return;
+    }
+    this.orientationState.hasRequestedPermission = true;
+    Promise.resolve()
+      .then(() => source.requestPermission())
+      .then(isGranted => isGranted, () => false)
+      .then(isGranted => {
+        // Ignore answers for sources no longer listened to, e.g. after unmounting
+        if (isGranted || this.orientationState.source !== source) {
+          return;
+        }
+        this.stopOrientationTracking();
+        this.orientationState.isPermissionDenied = true;
+        this.renderer.setProps({parallaxSource: this.getParallaxSource()});
+      });
+  }
+  /**
+   * Retrieves the coordinates of a pointer/mouse event relative to the canvas
    *
    * @param {object} evt - Event object
+   *
+   * @returns Object containing x and y coords relative to the canvas
    */
-  handleMouseMove = evt => {
+  getCanvasCoords(evt) {
     let canvasBox = this.canvas.getBoundingClientRect();
-
-    // Current mouse coords
-    let mx = evt.clientX - canvasBox.left;
-    let my = evt.clientY - canvasBox.top;
-
+    return {
+      x: evt.clientX - canvasBox.left,
+      y: evt.clientY - canvasBox.top,
+    };
+  }
+  /**
+   * Passes new pointer coordinates and the movement used for the parallax effect
+   * to the renderer, see {@link Scene#setPointer}
+   * Note: For the movement, evt.movementX & evt.movementY are not used sinse
+   * they seem to behave randomly for sudden mouse movements.
+   *
+   * @param {number} mx - Pointer x coord relative to the canvas
+   * @param {number} my - Pointer y coord relative to the canvas
+   * @param {object} pointerState - Further pointer state passed to the renderer
+   *                                (isInside, isDragging)
+   */
+  updateMouseCoords(mx, my, pointerState = {}) {
     // First time mouse moved
     if (this.prevMouseCoords.x === undefined & this.prevMouseCoords.y === undefined) {
       this.prevMouseCoords.x = mx;
       this.prevMouseCoords.y = my;
     }
 
-    // Store coordinates and update total movement
-    this.mouseCoords = {
+    // Pass coordinates and movement
+    this.renderer.setPointer({
+      ...pointerState,
       x: mx,
       y: my,
-      totalMovementX: this.mouseCoords.totalMovementX + (mx - this.prevMouseCoords.x),
-      totalMovementY: this.mouseCoords.totalMovementY + (my - this.prevMouseCoords.y),
-    };
+      movementX: mx - this.prevMouseCoords.x,
+      movementY: my - this.prevMouseCoords.y,
+    });
 
     // Movement has been calculated so update previous mouse coords
     this.prevMouseCoords = {
@@ -409,91 +564,673 @@ export default class Canvas extends React.Component {
       y: my,
     }
   }
+  /**
+   * PointerDown Event Handler - Starts tracking a mouse, pen or touch pointer
+   *
+   * Only one pointer is tracked at a time. Additional touches while a pointer
+   * is down are ignored so multi-touch gestures don't make the origin jump.
+   * The previous coordinates are reset to where the pointer went down so a
+   * touch starting in a new place continues the movement instead of jumping.
+   *
+   * @param {object} evt - Event object
+   */
+  handlePointerDown = evt => {
+    this.requestOrientationPermission();
 
+    if (this.activePointer || (evt.pointerType === 'mouse' && evt.button !== 0)) {
+      return;
+    }
+    let {x, y} = this.getCanvasCoords(evt);
+
+    this.activePointer = {id: evt.pointerId, type: evt.pointerType, startX: x, startY: y, travel: 0};
+    this.prevMouseCoords = {x, y};
+    this.updateMouseCoords(x, y, {isDragging: evt.pointerType !== 'mouse'});
+
+    // Keep receiving moves for touch/pen drags leaving the canvas
+    if (evt.pointerType !== 'mouse' && this.canvas.setPointerCapture) {
+      this.canvas.setPointerCapture(evt.pointerId);
+    }
+  }
+  /**
+   * PointerMove Event Handler - Retrieve pointer coordinates and movement
+   * Mice (and hovering pens) update the coordinates w/o being pressed,
+   * touches only update them while they are the tracked pointer.
+   *
+   * @param {object} evt - Event object
+   */
+  handlePointerMove = evt => {
+    let isTracked = this.activePointer && this.activePointer.id === evt.pointerId;
+    if ((this.activePointer && !isTracked) || (!this.activePointer && evt.pointerType === 'touch')) {
+      return;
+    }
+    let {x, y} = this.getCanvasCoords(evt);
+
+    if (isTracked) {
+      let {startX, startY, travel} = this.activePointer;
+      this.activePointer.travel = Math.max(travel, euclideanDistance({x, y}, {x: startX, y: startY}));
+    }
+    this.updateMouseCoords(x, y, {isInside: true});
+
+    this.hoveredKey !== undefined && this.notifyImageEvent('onImageHover', this.hoveredKey, {x, y});
+  }
+  /**
+   * PointerLeave Event Handler - Images are no longer hovered once the mouse leaves the canvas
+   *
+   * @param {object} evt - Event object
+   */
+  handlePointerLeave = evt => {
+    if (evt.pointerType === 'mouse') {
+      this.renderer.setPointer({isInside: false});
+    }
+  }
+  /**
+   * PointerUp Event Handler - Stops tracking the pointer. Pointers that barely
+   * moved while pressed are treated as taps/clicks, see {@link Canvas#handleCanvasClick}
+   *
+   * @param {object} evt - Event object
+   */
+  handlePointerUp = evt => {
+    if (!this.activePointer || this.activePointer.id !== evt.pointerId) {
+      return;
+    }
+    let isTap = this.activePointer.travel <= TAP_SLOP;
+    this.releasePointer();
+    isTap && this.handleCanvasClick(evt);
+  }
+  /**
+   * PointerCancel Event Handler - Stops tracking the pointer w/o registering a tap
+   *
+   * @param {object} evt - Event object
+   */
+  handlePointerCancel = evt => {
+    if (this.activePointer && this.activePointer.id === evt.pointerId) {
+      this.releasePointer();
+    }
+  }
+  /**
+   * Stops tracking the active pointer. For touch/pen pointers the previous
+   * coordinates are forgotten so the next touch doesn't cause a jump
+   */
+  releasePointer() {
+    // Lifted touches/pens no longer hover anything
+    let pointerState = {isDragging: false};
+    if (this.activePointer.type !== 'mouse') {
+      this.prevMouseCoords = {x: undefined, y: undefined};
+      pointerState.isInside = false;
+    }
+    this.activePointer = undefined;
+    this.renderer.setPointer(pointerState);
+  }
+  /**
+   * Fires an image callback passed via props (if any) w/ the image's descriptor
+   *
+   * @param {string} callbackName - Name of the callback prop, e.g. 'onImageClick'
+   * @param {*} key - Key of the image, see {@link getImageKey}
+   * @param {object} position - Object containing x and y coords relative to the canvas
+   */
+  notifyImageEvent(callbackName, key, position) {
+    let callback = this.props[callbackName];
+    let idx = this.getImageIndex(key);
+    callback && idx !== -1 && callback(this.props.images[idx], idx, position);
+  }
+  /**
+   * Finds the index of an image in props.images
+   *
+   * @param {*} key - Key of the image, see {@link getImageKey}
+   *
+   * @returns The index of the image or -1
+   */
+  getImageIndex(key) {
+    return this.props.images.findIndex((img, idx) => getImageKey(img, idx) === key);
+  }
+
+  /**
+   * Shows a pointer cursor over the hovered image if images can be clicked
+   */
+  updateCursor() {
+    this.canvas.style.cursor = this.hoveredKey !== undefined && this.props.onImageClick ? 'pointer' : '';
+  }
+
+  /**
+   * Renderer Event Handler - Turns the events emitted by the renderer (see
+   * {@link Scene}) into the callbacks passed via props
+   *
+   * @param {string} name - Name of the event
+   * @param {object} payload - Data of the event
+   */
+  handleRendererEvent = (name, payload) => {
+    switch (name) {
+      case 'imageEnter':
+        // A Scene taking over from a worker finds the image hovered before again,
+        // see {@link Canvas#attachFallbackScene}
+        if (payload.key !== this.hoveredKey) {
+          this.hoveredKey = payload.key;
+          this.notifyImageEvent('onImageEnter', payload.key, payload.position);
+        }
+        this.updateCursor();
+        break;
+      case 'imageLeave':
+        this.hoveredKey = undefined;
+        this.updateCursor();
+        this.notifyImageEvent('onImageLeave', payload.key, payload.position);
+        break;
+      case 'imageClick':
+        this.notifyImageEvent('onImageClick', payload.key, payload.position);
+        break;
+      case 'imageFocus':
+        this.notifyImageEvent('onImageFocus', payload.key, payload.position);
+        break;
+      case 'focusItem': {
+        let item = this.itemRefs.get(payload.key);
+        item && item.focus();
+        break;
+      }
+      case 'loadProgress':
+        this.props.onLoadProgress && this.props.onLoadProgress(payload);
+        break;
+      case 'loadComplete':
+        this.props.onLoadComplete && this.props.onLoadComplete();
+        break;
+      case 'lightboxChange':
+        this.handleLightboxChange(payload);
+        break;
+      case 'viewChange':
+        this.view = payload;
+        this.scheduleViewWrite();
+        break;
+      default:
+        break;
+    }
+  }
+  /**
+   * Keeps the lightbox state (see {@link Scene#emitLightboxChange}) used to render
+   * the detail panel & a history entry for the open lightbox, so the back
+   * button closes it. Closing the lightbox in any other way removes the entry
+   *
+   * @param {object} lightbox - Key, index, state & region of the lightbox
+   */
+  handleLightboxChange(lightbox) {
+    let isClosing = lightbox.state === 'closing' || lightbox.state === 'closed';
+    if (lightbox.state === 'opening' && !this.hasLightboxHistoryEntry) {
+      this.hasLightboxHistoryEntry = true;
+      window.history.pushState({...window.history.state, canvasLightbox: lightbox.key}, '');
+    } else if (isClosing && this.hasLightboxHistoryEntry) {
+      this.hasLightboxHistoryEntry = false;
+      window.history.back();
+    }
+    this.setState({lightbox: lightbox.state === 'closed' ? undefined : lightbox});
+  }
+  /**
+   * Closes the lightbox, see {@link Scene#closeLightbox}
+   */
+  closeLightbox = () => {
+    this.renderer.closeLightbox();
+  }
+  /**
+   * PopState Event Handler - The back button closes the lightbox
+   */
+  handlePopState = () => {
+    if (this.hasLightboxHistoryEntry) {
+      this.hasLightboxHistoryEntry = false;
+      this.closeLightbox();
+    }
+  }
+  /**
+   * KeyDown Event Handler (on window) - Escape closes the lightbox
+   *
+   * @param {object} evt - Event object
+   */
+  handleWindowKeyDown = evt => {
+    if (evt.key === 'Escape' && this.state.lightbox) {
+      this.closeLightbox();
+    }
+  }
   /**
    * Click Event Handler (on canvas)
    *
    * Elements drawn on canvas don't fire click events (they're just pixels!).
    * Therefore, a click is registered on the canvas and the region clicked
-   * is checked against the regions of all drawn elements.
-   * The closest matched element fires its onClick() method
+   * is checked against the regions of all drawn elements by the renderer
+   * (see {@link Scene#click}). The top-most matched element is passed to the
+   * onImageClick callback
    *
    * @param {object} evt - Event object
    */
   handleCanvasClick = (evt) => {
+    this.renderer.click(this.getCanvasCoords(evt));
+  }
+  /**
+   * Stores/removes the DOM element of an image's accessible item
+   *
+   * @param {*} key - Key of the image, see {@link getImageKey}
+   * @param {object} element - HTML DOM element (null when unmounting)
+   */
+  setItemRef(key, element) {
+    element ? this.itemRefs.set(key, element) : this.itemRefs.delete(key);
+  }
+  /**
+   * Focus Event Handler (on accessible items) - The focused image grows as if
+   * the mouse was over it, see {@link Scene#setFocusedKey}
+   *
+   * @param {*} key - Key of the focused image
+   */
+  handleItemFocus(key) {
+    this.focusedKey = key;
+    this.renderer.setFocusedKey(key);
+    this.scheduleViewWrite();
+  }
+  /**
+   * Blur Event Handler (on accessible items)
+   *
+   * @param {*} key - Key of the image losing focus
+   */
+  handleItemBlur(key) {
+    if (this.focusedKey === key) {
+      this.focusedKey = undefined;
+      this.renderer.setFocusedKey(undefined);
+      this.scheduleViewWrite();
+    }
+  }
+  /**
+   * KeyDown Event Handler (on accessible items) - Arrow keys move focus to the
+   * closest image in the arrow's direction, see {@link Scene#navigate}
+   *
+   * @param {object} evt - Event object
+   * @param {*} key - Key of the focused image
+   */
+  handleItemKeyDown(evt, key) {
+    let direction = ARROW_KEY_DIRECTIONS[evt.key];
+    if (!direction) {
+      return;
+    }
+    evt.preventDefault();
+    this.renderer.navigate(key, direction);
+  }
+  /**
+   * Click Event Handler (on accessible items) - Fired on Enter/Space, activates the image
+   *
+   * @param {*} key - Key of the activated image
+   */
+  handleItemClick(key) {
+    this.renderer.activate(key);
+  }
+  /**
+   * Change Event Handler (on the prefers-reduced-motion media query)
+   */
+  handleReducedMotionChange = () => {
+    this.renderer.setReducedMotion(this.reducedMotionQuery.matches);
+  }
+  /**
+   * Creates the renderer (see {@link Canvas#createRenderer}), which loads the
+   * images and starts the animation loop
+   */
+  componentDidMount() {
 
-    /** Apply changes to mouseCoords so they match translated canvas origin
-        See {@link Canvas#drawingAnimation} function*/
-    let translatedMouseCoords = {
-      x: this.mouseCoords.x + Math.floor(this.origin.currentLeft * this.origin.coefficient),
-      y: this.mouseCoords.y + Math.floor(this.origin.currentTop * this.origin.coefficient),
-    };
+    this.renderer = this.createRenderer();
 
-    let clickedElements = this.canvasElements.filter(elem => {
-      // When calculating the regions, also consider their dynamic dimensions.
-      // Each images dimension is altered in their draw() method. See draw()
-      let cutOffDistance = 600;
-      let mFactor = (-1 / cutOffDistance) * elem.currentValue + 1;
-      if (elem.currentValue > cutOffDistance) { mFactor = 0;}
-      let width = Math.floor(elem.width + elem.width * mFactor);
-      let height = Math.floor(elem.height + elem.height * mFactor);
-
-      // Is the mouse within the image's region?
-      return translatedMouseCoords.x > elem.center.x - width / 2 &&
-             translatedMouseCoords.x < elem.center.x + width / 2 &&
-             translatedMouseCoords.y > elem.center.y - height / 2 &&
-             translatedMouseCoords.y < elem.center.y + height /2
-    });
+    // Fit canvas to its container and keep it fitted
+    this.resizeCanvas();
+    if (typeof ResizeObserver !== 'undefined') {
+      this.resizeObserver = new ResizeObserver(this.resizeCanvas);
+      this.resizeObserver.observe(this.canvas.parentNode);
+    }
+    // Window resizes also catch changes to the device pixel ratio (e.g. browser zoom)
+    window.addEventListener('resize', this.resizeCanvas);
+
+    // Create & load image instances
+    this.renderer.setProps(this.getSceneProps());
+    this.restoreView();
+
+    this.startOrientationTracking();
+
+    // Follow the user's motion preference
+    if (window.matchMedia) {
+      this.reducedMotionQuery = window.matchMedia('(prefers-reduced-motion: reduce)');
+      this.renderer.setReducedMotion(this.reducedMotionQuery.matches);
+      this.reducedMotionQuery.addListener(this.handleReducedMotionChange);
+    }
+
+    // Pause the animation loop while the tab is hidden or the canvas is out of view
+    document.addEventListener('visibilitychange', this.updatePause);
+    if (typeof IntersectionObserver !== 'undefined') {
+      this.intersectionObserver = new IntersectionObserver(this.handleIntersection);
+      this.intersectionObserver.observe(this.canvas);
+    }
+    this.updatePause();
 
-    /** The clickedElements array may contain multiple entries as images may overlap in the canvas.
-        However the this.canvasElements array that was filtered to obtain the clickedElements
-        has element already ordered in {@link Canvas#drawingAnimation}. Select last element. */
-    clickedElements.length > 0 && clickedElements[clickedElements.length - 1].onClick();
+    // Close the lightbox via Escape or the back button
+    window.addEventListener('keydown', this.handleWindowKeyDown);
+    window.addEventListener('popstate', this.handlePopState);
+    window.addEventListener('hashchange', this.handleHashChange);
   }
 
   /**
-   * Loads the images and starts the animation loop in {@link animate()}
+   * Returns the view persistence options passed via props merged w/ DEFAULT_PERSIST_VIEW
+   *
+   * @returns The options
    */
-  componentDidMount() {
+  getPersistViewOptions() {
+    return {...DEFAULT_PERSIST_VIEW, ...this.props.persistView};
+  }
 
-    // Create image instances
-    CANVAS_IMAGE_PROPS.forEach((img, idx) => {
-        this.canvasElements[idx] = new CanvasImage(
-          img.left * this.canvas.width - img.w / 2,
-          img.top * this.canvas.height - img.h / 2,
-          img.w, img.h, img.url);
-    });
+  /**
+   * Restores the persisted view, if any (see props.persistView): the canvas
+   * is centered on the saved point, or on the saved image if there is no
+   * point. Keyboard focus stays w/ the page, images are only focused on
+   * request, see {@link Canvas#focusImage}. The intro still plays
+   *
+   * @param {object} options - See {@link Canvas#panTo}, by default the
+   *                           canvas jumps to the view
+   */
+  restoreView({animate = false} = {}) {
+    let {enabled, storage, key} = this.getPersistViewOptions();
+    if (!enabled) {
+      return;
+    }
+    this.viewStore = this.viewStore || createViewStore(storage, key);
+    let state = this.viewStore.read();
+    if (!state) {
+      return;
+    }
+    // Keys are read back as strings
+    let idx = this.props.images.findIndex((img, idx) => String(getImageKey(img, idx)) === state.image);
+    if (state.x !== undefined) {
+      this.renderer.panTo(state.x, state.y, {animate});
+    } else if (idx !== -1) {
+      this.renderer.panToImage(getImageKey(this.props.images[idx], idx), {animate});
+    }
+  }
 
-    /** Order images bassed on the distance of their centers from the initial mouseCoords
-        Elements w/ centers closest to translated mouse Coords get placed at end of array
-        and are painted last - this is done to be consistent with
-        {@link Canvas#drawingAnimation} */
-    this.canvasElements.sort((elem1, elem2) =>
-      euclideanDistance(elem2.center, this.mouseCoords) - euclideanDistance(elem1.center, this.mouseCoords)
-    )
+  /**
+   * Saves the view once it rested for the configured delay, see props.persistView
+   */
+  scheduleViewWrite() {
+    if (!this.viewStore) {
+      return;
+    }
+    clearTimeout(this.viewWriteTimeoutID);
+    this.viewWriteTimeoutID = setTimeout(() => {
+      let {view} = this.getState();
+      this.viewStore.write({...view, image: this.focusedKey});
+    }, this.getPersistViewOptions().delay);
+  }
+
+  /**
+   * HashChange Event Handler - Links to a view of the canvas on the same page
+   * (e.g. #image=boat-1) pan there when the view is persisted in the hash
+   */
+  handleHashChange = () => {
+    if (this.getPersistViewOptions().storage === 'hash') {
+      this.restoreView({animate: true});
+    }
+  }
 
-    // Load images
-    this.canvasElements.forEach(elem => elem.loadImage());
+  /**
+   * Creates the renderer drawing the images. When a worker is passed via props
+   * and the browser can transfer the canvas to it (OffscreenCanvas), drawing
+   * happens in the worker so it doesn't compete w/ other work on the main thread.
+   * Otherwise a {@link Scene} draws on the main thread.
+   *
+   * @returns The renderer, see {@link Scene} for its methods
+   */
+  createRenderer() {
+    let {worker, scheduler} = this.props;
+    if (worker && !scheduler && supportsWorkerRendering(this.canvas, this.getSceneProps())) {
+      return createWorkerRenderer(worker(), this.canvas, this.handleRendererEvent);
+    }
+    return new Scene(this.canvas, {emit: this.handleRendererEvent, scheduler});
+  }
 
-    this.animate();
+  /**
+   * Picks the props affecting the drawn scene, see {@link Scene#setProps}
+   *
+   * @param {array} propNames - Names of the props to pick (default all scene props)
+   *
+   * @returns Object containing the picked props
+   */
+  getSceneProps(propNames = SCENE_PROP_NAMES) {
+    let sceneProps = {};
+    propNames.forEach(name => sceneProps[name] = this.props[name]);
+    if ('parallaxSource' in sceneProps) {
+      sceneProps.parallaxSource = this.getParallaxSource();
+    }
+    return sceneProps;
   }
 
   /**
-   * Cancels the animation loo performed in {@link animate()}
+   * Checks if the renderer draws in a worker, see {@link Canvas#createRenderer}
+   *
+   * @returns True unless a Scene draws on the main thread
+   */
+  isRenderingInWorker() {
+    return !(this.renderer instanceof Scene);
+  }
+  /**
+   * Stops the worker once the scene props can't be drawn in it anymore (see
+   * supportsWorkerRendering), e.g. when a function easing is passed. The canvas
+   * was transferred to the worker & can't be drawn to from the main thread, so
+   * a new canvas is mounted for the Scene replacing the worker,
+   * see {@link Canvas#attachFallbackScene}
+   */
+  fallBackToMainThread() {
+    this.renderer.destroy();
+    this.setState(({canvasKey}) => ({canvasKey: canvasKey + 1, lightbox: undefined}));
+  }
+  /**
+   * Draws on the canvas mounted by {@link Canvas#fallBackToMainThread} w/ a
+   * Scene, which picks up the size, props, view & input state of the worker.
+   * The new canvas keeps the cursor of the hovered image, which the Scene
+   * finds again at the pointer's last position
+   */
+  attachFallbackScene() {
+    this.renderer = this.createRenderer();
+    this.renderer.setSize(this.size);
+    this.renderer.setProps(this.getSceneProps());
+    this.view && this.renderer.panTo(this.view.x, this.view.y, {animate: false});
+    this.renderer.setFocusedKey(this.focusedKey);
+    this.reducedMotionQuery && this.renderer.setReducedMotion(this.reducedMotionQuery.matches);
+    this.updateCursor();
+    if (this.hoveredKey !== undefined) {
+      this.renderer.setPointer({...this.prevMouseCoords, isInside: true});
+    }
+    if (this.intersectionObserver) {
+      this.intersectionObserver.disconnect();
+      this.intersectionObserver.observe(this.canvas);
+    }
+    this.updatePause();
+  }
+  /**
+   * Passes changed props to the renderer, which adds, removes or repositions
+   * images when the images prop changes.
+   * The animation loop keeps running so images don't get remounted.
+   * Falls back to drawing on the main thread if the worker can't draw the
+   * changed props, see {@link Canvas#fallBackToMainThread}
+   *
+   * @param {object} prevProps - Props before the update
+   * @param {object} prevState - State before the update
+   */
+  componentDidUpdate(prevProps, prevState) {
+    if (prevState.canvasKey !== this.state.canvasKey) {
+      this.attachFallbackScene();
+    } else {
+      let changedProps = SCENE_PROP_NAMES.filter(name => prevProps[name] !== this.props[name]);
+      if (changedProps.length > 0 && this.isRenderingInWorker() &&
+          !supportsWorkerRendering(this.canvas, this.getSceneProps())) {
+        this.fallBackToMainThread();
+      } else if (changedProps.length > 0) {
+        this.renderer.setProps(this.getSceneProps(changedProps));
+      }
+    }
+    if (prevProps.orientation.source !== this.props.orientation.source) {
+      // Permission is asked for each source
+      let {isPermissionDenied} = this.orientationState;
+      this.orientationState.hasRequestedPermission = false;
+      this.orientationState.isPermissionDenied = false;
+      isPermissionDenied && this.renderer.setProps({parallaxSource: this.getParallaxSource()});
+    }
+    if (prevProps.parallaxSource !== this.props.parallaxSource ||
+        prevProps.orientation.source !== this.props.orientation.source) {
+      this.stopOrientationTracking();
+      this.startOrientationTracking();
+    }
+  }
+  /**
+   * Stops the renderer's animation loop (see {@link Scene#destroy}) and stops
+   * observing resizes, orientation readings, motion preferences, visibility
+   * & the keys and history entries closing the lightbox
    */
   componentWillUnmount() {
-    cancelAnimationFrame(this.animationID);
+    window.removeEventListener('keydown', this.handleWindowKeyDown);
+    window.removeEventListener('popstate', this.handlePopState);
+    window.removeEventListener('hashchange', this.handleHashChange);
+    clearTimeout(this.viewWriteTimeoutID);
+    document.removeEventListener('visibilitychange', this.updatePause);
+    this.intersectionObserver && this.intersectionObserver.disconnect();
+    this.stopOrientationTracking();
+    this.renderer.destroy();
+    this.reducedMotionQuery && this.reducedMotionQuery.removeListener(this.handleReducedMotionChange);
+    this.resizeObserver && this.resizeObserver.disconnect();
+    window.removeEventListener('resize', this.resizeCanvas);
+  }
+
+  /**
+   * Imperative API - Moves the canvas so a point ends up at its center. The
+   * point is given in the canvas' coordinate space, i.e. where images at depth 1
+   * are placed. The motion runs through the origin's easing unless animate is false.
+   * See {@link Scene#panTo}
+   *
+   * @param {number} x - x coord (in px) of the point
+   * @param {number} y - y coord (in px) of the point
+   * @param {object} options
+   * @param {boolean} options.animate - Whether to ease there (default) or jump
+   */
+  panTo(x, y, options = {}) {
+    this.renderer.panTo(x, y, options);
+  }
+
+  /**
+   * Imperative API - Moves the canvas to an image and focuses its accessible
+   * item, so the image grows as if hovered. See {@link Scene#panToImage}
+   *
+   * @param {*} id - id of the image, or its index if it has none
+   * @param {object} options - See {@link Canvas#panTo}
+   *
+   * @returns False if there is no such image
+   */
+  focusImage(id, options = {}) {
+    if (this.getImageIndex(id) === -1) {
+      return false;
+    }
+    this.renderer.panToImage(id, options);
+    let item = this.itemRefs.get(id);
+    item && item.focus({preventScroll: true});
+    return true;
+  }
+
+  /**
+   * Imperative API - Moves the canvas back to where it started, see {@link Canvas#panTo}
+   *
+   * @param {object} options - See {@link Canvas#panTo}
+   */
+  resetView(options = {}) {
+    this.renderer.resetView(options);
+  }
+
+  /**
+   * Imperative API - Pauses the animation loop until {@link Canvas#resume} is called
+   */
+  pause() {
+    this.isPausedByUser = true;
+    this.updatePause();
+  }
+
+  /**
+   * Imperative API - Resumes the animation loop paused via {@link Canvas#pause}.
+   * The loop stays paused while the tab is hidden or the canvas is out of view
+   */
+  resume() {
+    this.isPausedByUser = false;
+    this.updatePause();
+  }
+
+  /**
+   * Imperative API - Returns a snapshot of the canvas' state
+   *
+   * @returns Object containing
+   *   - view: x and y coords of the point at the center of the canvas, see {@link Canvas#panTo}
+   *   - paused: Whether the loop was paused via {@link Canvas#pause}
+   *   - hoveredKey: Key (id or index) of the image under the pointer, if any
+   *   - focusedKey: Key of the image whose accessible item has focus, if any
+   *   - lightbox: State of the lightbox (key, index, state & rect) while it is open
+   */
+  getState() {
+    return {
+      view: this.view ? {...this.view} : {x: this.size.width / 2, y: this.size.height / 2},
+      paused: this.isPausedByUser,
+      hoveredKey: this.hoveredKey,
+      focusedKey: this.focusedKey,
+      lightbox: this.state.lightbox,
+    };
   }
 
   render() {
     return (
-      <canvas id = 'parallax-canvas'
-              onMouseMove = {this.handleMouseMove}
-              onClick = {this.handleCanvasClick}
-              ref = {this.setCanvasRef}
-              width = {window.innerWidth}
-              height = {window.innerHeight}>
-      </canvas>
+      <div id = {this.props.id}
+           className = {this.props.className}
+           style = {{position: 'relative', width: '100%', height: '100%'}}>
+        <canvas key = {this.state.canvasKey}
+                aria-hidden = 'true'
+                onPointerDown = {this.handlePointerDown}
+                onPointerMove = {this.handlePointerMove}
+                onPointerUp = {this.handlePointerUp}
+                onPointerCancel = {this.handlePointerCancel}
+                onPointerLeave = {this.handlePointerLeave}
+                ref = {this.setCanvasRef}
+                style = {{display: 'block', width: '100%', height: '100%', touchAction: 'none'}}>
+        </canvas>
+        <ul aria-label = {this.props.label} style = {VISUALLY_HIDDEN_STYLE}>
+          {this.props.images.map((img, idx) => {
+            let key = getImageKey(img, idx);
+            return (
+              <li key = {key}>
+                <button type = 'button'
+                        ref = {element => this.setItemRef(key, element)}
+                        onFocus = {() => this.handleItemFocus(key)}
+                        onBlur = {() => this.handleItemBlur(key)}
+                        onKeyDown = {evt => this.handleItemKeyDown(evt, key)}
+                        onClick = {() => this.handleItemClick(key)}>
+                  {img.alt || img.text || `Image ${idx + 1}`}
+                </button>
+              </li>
+            );
+          })}
+        </ul>
+        {this.renderDetail()}
+      </div>
     );
   }
+
+  /**
+   * Renders the detail panel of the image open in the lightbox via props.renderDetail,
+   * placed below the image once it is open
+   *
+   * @returns The detail panel or null
+   */
+  renderDetail() {
+    let {lightbox} = this.state;
+    let idx = lightbox ? this.getImageIndex(lightbox.key) : -1;
+    if (!this.props.renderDetail || idx === -1 || lightbox.state !== 'open') {
+      return null;
+    }
+    let img = this.props.images[idx];
+    let {rect} = lightbox;
+    return (
+      <div role = 'dialog'
+           aria-label = {img.alt || img.text || `Image ${idx + 1}`}
+           style = {{position: 'absolute', left: rect.x, top: rect.y + rect.height, width: rect.width}}>
+        {this.props.renderDetail(img, idx, {close: this.closeLightbox, rect})}
+      </div>
+    );
+  }
+
 }
@@ -0,0 +1,1019 @@
+import React from 'react';
+import {render, fireEvent, act} from '@testing-library/react';
+import Canvas from './Canvas';
+import {CanvasElement} from './elements';
+import {createSimulatedOrientationSource, snapFollower, computeLayout, createManualScheduler} from './util';
+import {
+  ctx,
+  scheduler,
+  requestedUrls,
+  setUpCanvasTests,
+  tap,
+  movePointer,
+  runFrame,
+  runUntilIdle,
+  drawnUrls,
+  drawnRect,
+  drawnOffset,
+  drawnAlphas
+} from './testHarness';
+
+setUpCanvasTests();
+
+test('adds, moves & removes images when the images prop changes', () => {
+  let images = [
+    {id: 'kept', left: 0.25, top: 0.5, w: 100, h: 100, url: 'kept.jpg'},
+    {id: 'removed', left: 0.75, top: 0.5, w: 100, h: 100, url: 'removed.jpg'},
+  ];
+  let {container, rerender} = render(<Canvas images={images} />);
+  let canvas = container.querySelector('canvas');
+  jest.runAllTimers();
+  // Let the images fade in
+  scheduler.runFrames(200);
+
+  let updatedImages = [
+    {...images[0], left: 0.5},
+    {id: 'added', left: 0.75, top: 0.5, w: 100, h: 100, url: 'added.jpg'},
+  ];
+  rerender(<Canvas images={updatedImages} />);
+  jest.runAllTimers();
+  // The canvas isn't remounted & kept images aren't loaded again
+  expect(container.querySelector('canvas')).toBe(canvas);
+  expect(requestedUrls).toEqual(['kept.jpg', 'removed.jpg', 'added.jpg']);
+
+  // Only the added image fades in
+  runFrame();
+  let alphas = drawnAlphas();
+  expect(alphas['kept.jpg']).toBe(1);
+  expect(alphas['added.jpg']).toBeLessThan(0.1);
+  expect(alphas).not.toHaveProperty('removed.jpg');
+  expect(ctx.callsTo('drawImage')).toHaveLength(2);
+
+  // The kept image is drawn at its new position
+  let {x, width} = drawnRect('kept.jpg');
+  expect(x + width / 2).toBeCloseTo(0.5 * window.innerWidth, 0);
+});
+
+test('fills its container & scales the backing store by the device pixel ratio', () => {
+  let containerWidth = jest.spyOn(Element.prototype, 'clientWidth', 'get').mockReturnValue(600);
+  jest.spyOn(Element.prototype, 'clientHeight', 'get').mockReturnValue(400);
+  window.devicePixelRatio = 2;
+  let onImageClick = jest.fn();
+  let images = [{id: 'center', left: 0.5, top: 0.5, w: 100, h: 100, url: 'center.jpg'}];
+  let {container} = render(<Canvas images={images} onImageClick={onImageClick} />);
+  let canvas = container.querySelector('canvas');
+  jest.runAllTimers();
+
+  expect([canvas.width, canvas.height]).toEqual([1200, 800]);
+  runFrame();
+  expect(ctx.callsTo('setTransform')[0]).toEqual([2, 0, 0, 2, 0, 0]);
+  scheduler.runFrames(200);
+  // Hit-testing works in CSS px
+  tap(canvas, 300, 200);
+  expect(onImageClick).toHaveBeenCalledTimes(1);
+
+  // Images are laid out again when the container or the pixel ratio change
+  containerWidth.mockReturnValue(1000);
+  window.devicePixelRatio = 1;
+  window.dispatchEvent(new Event('resize'));
+  expect([canvas.width, canvas.height]).toEqual([1000, 400]);
+  tap(canvas, 300, 200);
+  expect(onImageClick).toHaveBeenCalledTimes(1);
+  tap(canvas, 500, 200);
+  expect(onImageClick).toHaveBeenCalledTimes(2);
+});
+
+test('drags the parallax w/ one touch at a time & treats short touches as taps', () => {
+  let onImageClick = jest.fn();
+  let images = [{id: 'center', left: 0.5, top: 0.5, w: 100, h: 100, url: 'center.jpg'}];
+  let {container} = render(<Canvas images={images} onImageClick={onImageClick} />);
+  let canvas = container.querySelector('canvas');
+  jest.runAllTimers();
+  scheduler.runFrames(200);
+  // Returns the parallax offset once the origin settled
+  let touch = (type, pointerId, clientX, clientY) => {
+    fireEvent[type](canvas, {clientX, clientY, pointerId, pointerType: 'touch'});
+    runUntilIdle();
+    return drawnOffset();
+  };
+
+  let offset = touch('pointerDown', 1, 100, 100);
+  let draggedOffset = touch('pointerMove', 1, 300, 200);
+  expect(draggedOffset).not.toEqual(offset);
+  // Further touches neither move the origin nor end the drag
+  expect(touch('pointerDown', 2, 900, 700)).toEqual(draggedOffset);
+  expect(touch('pointerMove', 2, 1000, 100)).toEqual(draggedOffset);
+  expect(touch('pointerUp', 2, 1000, 100)).toEqual(draggedOffset);
+  expect(touch('pointerUp', 1, 300, 200)).toEqual(draggedOffset);
+  expect(onImageClick).not.toHaveBeenCalled();
+
+  // Touches starting in a new place continue from there w/o a jump
+  expect(touch('pointerDown', 3, 800, 600)).toEqual(draggedOffset);
+  let movedOffset = touch('pointerMove', 3, 810, 600);
+  expect(Math.abs(movedOffset[0] - draggedOffset[0])).toBeLessThan(Math.abs(draggedOffset[0] - offset[0]) / 10);
+  touch('pointerUp', 3, 810, 600);
+
+  // Touches moving less than the tap slop are taps, others & cancelled touches aren't
+  let x = window.innerWidth / 2 + movedOffset[0];
+  let y = window.innerHeight / 2 + movedOffset[1];
+  touch('pointerDown', 4, x, y);
+  touch('pointerMove', 4, x + 8, y);
+  touch('pointerUp', 4, x + 8, y);
+  expect(onImageClick).toHaveBeenCalledTimes(1);
+  touch('pointerDown', 5, x, y);
+  touch('pointerMove', 5, x + 20, y);
+  touch('pointerUp', 5, x + 20, y);
+  expect(onImageClick).toHaveBeenCalledTimes(1);
+  touch('pointerDown', 6, x, y);
+  touch('pointerCancel', 6, x, y);
+  touch('pointerUp', 6, x, y);
+  expect(onImageClick).toHaveBeenCalledTimes(1);
+});
+
+describe('w/ the orientation parallax source', () => {
+  let renderTilting = source => {
+    let images = [{id: 'center', left: 0.5, top: 0.5, w: 100, h: 100, url: 'center.jpg'}];
+    let {container} = render(<Canvas images={images} parallaxSource='orientation' orientation={{source}} />);
+    jest.runAllTimers();
+    scheduler.runFrames(200);
+    let canvas = container.querySelector('canvas');
+    // Returns the parallax offset once the origin settled
+    let getOffset = () => {
+      runUntilIdle();
+      return drawnOffset();
+    };
+    let tilt = () => {
+      source.emit({beta: 0, gamma: 0});
+      source.emit({beta: 0, gamma: 10});
+    };
+    return {canvas, tilt, getOffset};
+  };
+
+  test('follows the tilt once permission is granted on the first tap', async () => {
+    let source = createSimulatedOrientationSource();
+    jest.spyOn(source, 'requestPermission');
+    let {canvas, tilt, getOffset} = renderTilting(source);
+    tap(canvas, 10, 10);
+    tap(canvas, 10, 10);
+    await act(async () => {});
+    expect(source.requestPermission).toHaveBeenCalledTimes(1);
+
+    let [x, y] = getOffset();
+    tilt();
+    let [tiltedX, tiltedY] = getOffset();
+    expect(tiltedX).not.toBe(x);
+    expect(tiltedY).toBe(y);
+  });
+
+  test('keeps the pointer parallax if permission is denied', async () => {
+    let source = createSimulatedOrientationSource();
+    jest.spyOn(source, 'requestPermission').mockReturnValue(Promise.resolve(false));
+    let {canvas, tilt, getOffset} = renderTilting(source);
+    tap(canvas, 10, 10);
+    await act(async () => {});
+
+    // Readings are ignored, the pointer moves the canvas instead
+    let offset = getOffset();
+    tilt();
+    expect(getOffset()).toEqual(offset);
+    movePointer(canvas);
+    expect(getOffset()).not.toEqual(offset);
+  });
+
+  test('treats failed permission requests as denied', async () => {
+    let source = createSimulatedOrientationSource();
+    jest.spyOn(source, 'requestPermission').mockReturnValue(Promise.reject(new Error('Not allowed')));
+    let {canvas, getOffset} = renderTilting(source);
+    tap(canvas, 10, 10);
+    await act(async () => {});
+
+    let offset = getOffset();
+    movePointer(canvas);
+    expect(getOffset()).not.toEqual(offset);
+  });
+});
+
+test('focuses images via accessible items & the arrow keys', () => {
+  let images = [
+    {id: 'left', left: 0.25, top: 0.5, w: 100, h: 100, url: 'left.jpg', alt: 'Boats'},
+    {id: 'right', left: 0.75, top: 0.5, w: 100, h: 100, url: 'right.jpg'},
+  ];
+  let onImageClick = jest.fn();
+  let {getAllByRole} = render(<Canvas images={images} onImageClick={onImageClick} />);
+  jest.runAllTimers();
+  scheduler.runFrames(200);
+  let items = getAllByRole('button');
+  expect(items.map(item => item.textContent)).toEqual(['Boats', 'Image 2']);
+
+  // The focused image grows like the hovered one, up to twice its size
+  act(() => items[0].focus());
+  runUntilIdle();
+  expect(drawnRect('left.jpg').width).toBeGreaterThan(190);
+  expect(drawnRect('right.jpg').width).toBeLessThan(150);
+
+  fireEvent.keyDown(items[0], {key: 'ArrowRight'});
+  expect(document.activeElement).toBe(items[1]);
+  fireEvent.keyDown(items[1], {key: 'ArrowDown'});
+  expect(document.activeElement).toBe(items[1]);
+  // Buttons are clicked via Enter & Space
+  fireEvent.click(items[1]);
+  expect(onImageClick.mock.calls[0][0]).toBe(images[1]);
+});
+
+test('skips the parallax & the fades if the user prefers reduced motion', () => {
+  let query = {matches: true, addListener: jest.fn(), removeListener: jest.fn()};
+  window.matchMedia = jest.fn(() => query);
+  let images = [{id: 'center', left: 0.5, top: 0.5, w: 100, h: 100, url: 'center.jpg'}];
+  let {container} = render(<Canvas images={images} />);
+  let canvas = container.querySelector('canvas');
+  jest.runAllTimers();
+  expect(window.matchMedia).toHaveBeenCalledWith('(prefers-reduced-motion: reduce)');
+  // Returns the parallax offset once the origin settled
+  let getOffset = () => {
+    runUntilIdle();
+    return drawnOffset();
+  };
+
+  runFrame();
+  expect(drawnAlphas()['center.jpg']).toBe(1);
+  let offset = getOffset();
+  movePointer(canvas);
+  expect(getOffset()).toEqual(offset);
+
+  // Changes of the preference apply right away
+  query.matches = false;
+  act(() => query.addListener.mock.calls[0][0]());
+  movePointer(canvas);
+  expect(getOffset()).not.toEqual(offset);
+});
+
+test('eases the parallax w/ the follower configured via the easing prop', () => {
+  let images = [{id: 'center', left: 0.5, top: 0.5, w: 100, h: 100, url: 'center.jpg'}];
+  let {container} = render(<Canvas images={images} easing={{origin: 'snap'}} />);
+  let canvas = container.querySelector('canvas');
+  jest.runAllTimers();
+  scheduler.runFrames(200);
+
+  // The origin jumps to its destination in the next frame
+  movePointer(canvas);
+  runFrame();
+  let offset = drawnOffset();
+  runUntilIdle();
+  expect(drawnOffset()).toEqual(offset);
+});
+
+test('grows images as described by the zoom prop & per-image overrides', () => {
+  let images = [
+    {id: 'zoomed', left: 0.25, top: 0.5, w: 100, h: 100, url: 'zoomed.jpg'},
+    {id: 'near', left: 0.3, top: 0.5, w: 100, h: 100, url: 'near.jpg'},
+    {id: 'fixed', left: 0.2, top: 0.5, w: 100, h: 100, url: 'fixed.jpg', zoom: {maxScale: 1}},
+  ];
+  let {getAllByRole, rerender} = render(<Canvas images={images} zoom={{maxScale: 3}} />);
+  jest.runAllTimers();
+  scheduler.runFrames(200);
+  // Returns the width each image is drawn w/ once the zoom settled
+  let getWidths = () => {
+    runUntilIdle();
+    return images.map(img => drawnRect(img.url).width);
+  };
+
+  act(() => getAllByRole('button')[0].focus());
+  let [zoomed, near, fixed] = getWidths();
+  expect(zoomed).toBeGreaterThan(295);
+  expect(near).toBeGreaterThan(200);
+  expect(fixed).toBe(100);
+
+  // Only the focused image grows in 'single' mode, like the one under the mouse
+  rerender(<Canvas images={images} zoom={{maxScale: 3, mode: 'single'}} />);
+  [zoomed, near] = getWidths();
+  expect(zoomed).toBeGreaterThan(295);
+  expect(near).toBe(100);
+});
+
+test('paints images in depth order & hit-tests the top-most one', () => {
+  let onImageClick = jest.fn();
+  let images = [
+    {id: 'near', left: 0.5, top: 0.5, w: 100, h: 100, url: 'near.jpg', depth: 2},
+    {id: 'far', left: 0.5, top: 0.5, w: 300, h: 300, url: 'far.jpg', depth: 1},
+  ];
+  let {container} = render(<Canvas images={images} onImageClick={onImageClick} />);
+  let canvas = container.querySelector('canvas');
+  jest.runAllTimers();
+  runFrame();
+  expect(drawnUrls()).toEqual(['far.jpg', 'near.jpg']);
+  scheduler.runFrames(200);
+
+  // The pointer didn't move, so neither did the layers
+  let {innerWidth: width, innerHeight: height} = window;
+  tap(canvas, width / 2, height / 2);
+  tap(canvas, width / 2 + 120, height / 2 + 120);
+  tap(canvas, width / 2 + 400, height / 2);
+  expect(onImageClick.mock.calls.map(call => call[0].id)).toEqual(['near', 'far']);
+});
+
+test('moves each layer by its depth & hit-tests images in the space of their layer', () => {
+  let onImageClick = jest.fn();
+  let images = [
+    {id: 'near', left: 0.5, top: 0.5, w: 100, h: 100, url: 'near.jpg', depth: 2},
+    {id: 'far', left: 0.5, top: 0.5, w: 300, h: 300, url: 'far.jpg', depth: 1},
+  ];
+  let backgroundLayers = [{depth: 0.5, images: [{left: 0.5, top: 0.5, w: 1000, h: 700, url: 'sky.jpg'}]}];
+  let foregroundLayers = [{depth: 3, images: [{left: 0.5, top: 0.5, w: 1000, h: 700, url: 'fog.jpg'}]}];
+  let {container} = render(
+    <Canvas images={images} backgroundLayers={backgroundLayers} foregroundLayers={foregroundLayers}
+            onImageClick={onImageClick} />);
+  let canvas = container.querySelector('canvas');
+  jest.runAllTimers();
+  scheduler.runFrames(200);
+
+  // Dragging right moves the layers left
+  fireEvent.pointerDown(canvas, {clientX: 100, clientY: 100, pointerId: 1, pointerType: 'touch'});
+  fireEvent.pointerMove(canvas, {clientX: 400, clientY: 100, pointerId: 1, pointerType: 'touch'});
+  fireEvent.pointerUp(canvas, {clientX: 400, clientY: 100, pointerId: 1, pointerType: 'touch'});
+  runUntilIdle();
+  expect(drawnUrls()).toEqual(['sky.jpg', 'far.jpg', 'near.jpg', 'fog.jpg']);
+  // Each image is drawn after translating to its layer
+  let offsets = {};
+  ctx.calls.forEach(([method, ...args], idx) => method === 'drawImage' &&
+    (offsets[args[0].src] = ctx.calls.slice(0, idx).filter(call => call[0] === 'translate').pop()[1]));
+  let farOffset = offsets['far.jpg'];
+  expect(farOffset).toBeLessThan(-60);
+  expect(offsets['near.jpg']).toBeCloseTo(2 * farOffset, -1);
+  expect(offsets['sky.jpg']).toBeCloseTo(farOffset / 2, -1);
+  expect(offsets['fog.jpg']).toBeCloseTo(3 * farOffset, -1);
+
+  // The far image shows right of the near one, which moved further. Decorative
+  // layers aren't clickable
+  let {innerWidth: width, innerHeight: height} = window;
+  tap(canvas, width / 2 + offsets['near.jpg'], height / 2);
+  tap(canvas, width / 2 + farOffset + 120, height / 2);
+  tap(canvas, width / 2 + farOffset / 2 - 300, height / 2);
+  expect(onImageClick.mock.calls.map(call => call[0].id)).toEqual(['near', 'far']);
+});
+
+test('reports hovered images & shows a pointer cursor over clickable ones', () => {
+  let images = [
+    {id: 'near', left: 0.5, top: 0.5, w: 100, h: 100, url: 'near.jpg', depth: 2},
+    {id: 'far', left: 0.5, top: 0.5, w: 300, h: 300, url: 'far.jpg', depth: 1},
+  ];
+  let events = [];
+  let callback = name => (img, idx, position) => events.push([name, img.id, idx, position]);
+  let hoverCallbacks = {onImageEnter: callback('enter'), onImageHover: callback('hover'), onImageLeave: callback('leave')};
+  let {container, rerender} = render(<Canvas images={images} onImageClick={callback('click')} {...hoverCallbacks} />);
+  let canvas = container.querySelector('canvas');
+  jest.runAllTimers();
+  scheduler.runFrames(200);
+  let x = window.innerWidth / 2;
+  let y = window.innerHeight / 2;
+  let moveMouse = dx => fireEvent.pointerMove(canvas, {clientX: x + dx, clientY: y, pointerId: 1, pointerType: 'mouse'});
+
+  // The near image is over the far one
+  moveMouse(0);
+  expect(events).toEqual([['enter', 'near', 0, {x, y}], ['hover', 'near', 0, {x, y}]]);
+  expect(canvas.style.cursor).toBe('pointer');
+  events.length = 0;
+  moveMouse(100);
+  expect(events).toEqual([
+    ['leave', 'near', 0, {x: x + 100, y}],
+    ['enter', 'far', 1, {x: x + 100, y}],
+    ['hover', 'far', 1, {x: x + 100, y}],
+  ]);
+  events.length = 0;
+  fireEvent.pointerDown(canvas, {clientX: x + 100, clientY: y, pointerId: 1, pointerType: 'mouse', button: 0});
+  fireEvent.pointerUp(canvas, {clientX: x + 100, clientY: y, pointerId: 1, pointerType: 'mouse', button: 0});
+  expect(events).toEqual([['click', 'far', 1, {x: x + 100, y}]]);
+
+  events.length = 0;
+  // React derives pointerleave from pointerout
+  fireEvent.pointerOut(canvas, {relatedTarget: canvas.parentNode, pointerId: 1, pointerType: 'mouse'});
+  expect(events).toEqual([['leave', 'far', 1, {x: x + 100, y}]]);
+  expect(canvas.style.cursor).toBe('');
+
+  // Images can't be clicked w/o onImageClick
+  rerender(<Canvas images={images} {...hoverCallbacks} />);
+  moveMouse(0);
+  expect(events[events.length - 1][0]).toBe('hover');
+  expect(canvas.style.cursor).toBe('');
+});
+
+test('reports focused images & the end of the intro', () => {
+  let images = [
+    {id: 'left', left: 0.25, top: 0.5, w: 100, h: 100, url: 'left.jpg'},
+    {id: 'right', left: 0.75, top: 0.5, w: 100, h: 100, url: 'right.jpg'},
+  ];
+  let onImageFocus = jest.fn();
+  let onLoadComplete = jest.fn();
+  let {getAllByRole} = render(<Canvas images={images} onImageFocus={onImageFocus} onLoadComplete={onLoadComplete} />);
+  jest.runAllTimers();
+  scheduler.runFrames(10);
+  expect(onLoadComplete).not.toHaveBeenCalled();
+  scheduler.runFrames(200);
+  expect(onLoadComplete).toHaveBeenCalledTimes(1);
+
+  // Keyboard interactions pass the center of the image
+  act(() => getAllByRole('button')[1].focus());
+  expect(onImageFocus).toHaveBeenCalledWith(images[1], 1, {x: 0.75 * window.innerWidth, y: 0.5 * window.innerHeight});
+});
+
+test('retries failing sources, then loads the fallback or keeps the placeholder', () => {
+  let images = [
+    {id: 'ok', left: 0.3, top: 0.5, w: 100, h: 100, url: 'ok.jpg'},
+    {id: 'flaky', left: 0.5, top: 0.5, w: 100, h: 100, url: 'missing.jpg', fallbackUrl: 'fallback.jpg'},
+    {id: 'broken', left: 0.7, top: 0.5, w: 100, h: 100, url: 'missing-too.jpg'},
+  ];
+  let onLoadProgress = jest.fn();
+  render(<Canvas images={images} loading={{retries: 2, retryDelay: 500}} onLoadProgress={onLoadProgress} />);
+  jest.advanceTimersByTime(0);
+  expect(requestedUrls).toEqual(['ok.jpg', 'missing.jpg', 'missing-too.jpg']);
+  expect(onLoadProgress.mock.calls).toEqual([[{loaded: 1, failed: 0, total: 3}]]);
+
+  // Retries wait for the retry delay
+  jest.advanceTimersByTime(499);
+  expect(requestedUrls.length).toBe(3);
+  jest.advanceTimersByTime(1);
+  expect(requestedUrls.slice(3)).toEqual(['missing.jpg', 'missing-too.jpg']);
+
+  // After the last retry the fallback gets the same number of attempts,
+  // images w/o a fallback fail
+  jest.advanceTimersByTime(500);
+  expect(requestedUrls.filter(url => url === 'missing.jpg').length).toBe(3);
+  expect(requestedUrls.filter(url => url === 'missing-too.jpg').length).toBe(3);
+  expect(requestedUrls[requestedUrls.length - 1]).toBe('fallback.jpg');
+  expect(onLoadProgress.mock.calls.slice(1)).toEqual([
+    [{loaded: 1, failed: 1, total: 3}],
+    [{loaded: 2, failed: 1, total: 3}],
+  ]);
+
+  // The failed image stays a placeholder
+  scheduler.runFrames(130);
+  runFrame();
+  expect(drawnUrls().sort()).toEqual(['fallback.jpg', 'ok.jpg']);
+  expect(ctx.calls).toContainEqual(['set', 'fillStyle', '#555555']);
+  expect(ctx.callsTo('fillRect')).toContainEqual([
+    0.7 * window.innerWidth - 50, 0.5 * window.innerHeight - 50, 100, 100,
+  ]);
+});
+
+test('stops waiting for images still loading after the timeout', () => {
+  let images = [
+    {id: 'ok', left: 0.3, top: 0.5, w: 100, h: 100, url: 'ok.jpg'},
+    {id: 'slow', left: 0.7, top: 0.5, w: 100, h: 100, url: 'pending.jpg'},
+  ];
+  let onLoadComplete = jest.fn();
+  render(<Canvas images={images} loading={{timeout: 3000}} onLoadComplete={onLoadComplete} />);
+  jest.runAllTimers();
+
+  // The loaded image has faded in after 2s but the intro waits for the slow one
+  scheduler.runFrames(150);
+  expect(onLoadComplete).not.toHaveBeenCalled();
+  scheduler.runFrames(40);
+  expect(onLoadComplete).toHaveBeenCalledTimes(1);
+  runFrame();
+  expect(drawnUrls()).toEqual(['ok.jpg']);
+});
+
+describe('w/ a scroll mode', () => {
+  let images = [{id: 'center', left: 0.5, top: 0.5, w: 100, h: 100, url: 'center.jpg'}];
+  // Swipes right 4 times, which moves the content left
+  let swipeRight = canvas => {
+    for (let i = 0; i < 4; i++) {
+      fireEvent.pointerDown(canvas, {clientX: 100, clientY: 100, pointerId: 1, pointerType: 'touch'});
+      fireEvent.pointerMove(canvas, {clientX: 1000, clientY: 100, pointerId: 1, pointerType: 'touch'});
+      fireEvent.pointerUp(canvas, {clientX: 1000, clientY: 100, pointerId: 1, pointerType: 'touch'});
+    }
+  };
+  // Returns where the image's center was drawn on screen in the last frame, if it was drawn
+  let getDrawnCenter = () => {
+    let rect = drawnRect('center.jpg');
+    return rect && rect.x + rect.width / 2 + drawnOffset()[0];
+  };
+
+  test('lets the content move out of view in the free mode', () => {
+    let {container} = render(<Canvas images={images} />);
+    jest.runAllTimers();
+    scheduler.runFrames(200);
+    swipeRight(container.querySelector('canvas'));
+    runUntilIdle();
+    // Images out of view aren't drawn
+    expect(getDrawnCenter()).toBeUndefined();
+  });
+
+  test('keeps the content in view & rubber bands past its edges in the bounded mode', () => {
+    let now = jest.spyOn(performance, 'now').mockReturnValue(0);
+    let {container} = render(<Canvas images={images} scroll={{mode: 'bounded'}} />);
+    jest.runAllTimers();
+    scheduler.runFrames(200);
+
+    // The content's left edge may reach the canvas' left edge, plus the overscroll.
+    // The loop keeps running while overscrolled
+    swipeRight(container.querySelector('canvas'));
+    scheduler.runFrames(200);
+    runFrame();
+    let center = getDrawnCenter();
+    expect(center).toBeLessThan(50);
+    expect(center).toBeGreaterThan(50 - 120);
+    // Springs back once the pointer rests
+    now.mockReturnValue(1000);
+    runUntilIdle();
+    expect(getDrawnCenter()).toBeCloseTo(50, -1);
+  });
+
+  test('repeats the content so it re-enters at the opposite edge in the wrap mode', () => {
+    let {container} = render(<Canvas images={images} scroll={{mode: 'wrap'}} />);
+    jest.runAllTimers();
+    scheduler.runFrames(200);
+    swipeRight(container.querySelector('canvas'));
+    runUntilIdle();
+    let center = getDrawnCenter();
+    expect(center).toBeGreaterThan(50);
+    expect(center).toBeLessThan(window.innerWidth);
+  });
+});
+
+describe('w/ a 5,000 image scene', () => {
+  // 100 x 50 images spread over an area ~10x the size of the 1024x768 viewport
+  const COLUMNS = 100;
+  const ROWS = 50;
+  const IMAGES = Array.from({length: COLUMNS * ROWS}, (_, idx) => ({
+    id: `img-${idx}`,
+    left: -4.5 + (idx % COLUMNS) * 0.1,
+    top: -4.5 + Math.floor(idx / COLUMNS) * 0.2,
+    w: 80,
+    h: 60,
+    url: `img-${idx}.jpg`,
+  }));
+
+  test('only draws images within the viewport', () => {
+    render(<Canvas images={IMAGES} />);
+    jest.runAllTimers();
+    // Play the intro, then a frame of the drawing animation
+    scheduler.runFrames(200);
+    runFrame();
+
+    let {innerWidth: width, innerHeight: height} = window;
+    // Images are drawn up to twice their size when zoomed, see DEFAULT_ZOOM_PROFILE
+    let expectedUrls = IMAGES.filter(img =>
+      Math.abs(img.left * width - width / 2) <= width / 2 + img.w &&
+      Math.abs(img.top * height - height / 2) <= height / 2 + img.h
+    ).map(img => img.url);
+
+    expect(drawnUrls().length).toBeLessThan(IMAGES.length / 20);
+    expect(drawnUrls().sort()).toEqual(expectedUrls.sort());
+  });
+
+  test('hit-tests the top-most image', () => {
+    let onImageClick = jest.fn();
+    let {container} = render(<Canvas images={IMAGES} onImageClick={onImageClick} />);
+    jest.runAllTimers();
+    scheduler.runFrames(200);
+
+    // Center of img-2550 (column 50, row 25) in the unmoved canvas
+    let target = IMAGES[2550];
+    tap(container.querySelector('canvas'), target.left * window.innerWidth, target.top * window.innerHeight);
+    expect(onImageClick).toHaveBeenCalledTimes(1);
+    expect(onImageClick.mock.calls[0][0]).toBe(target);
+  });
+});
+
+test('stops requesting frames once the scene is at rest', () => {
+  let images = [{id: 'center', left: 0.5, top: 0.5, w: 100, h: 100, url: 'center.jpg'}];
+  let {container} = render(<Canvas images={images} />);
+  jest.runAllTimers();
+  scheduler.runUntilIdle();
+  expect(scheduler.hasPendingFrame()).toBe(false);
+
+  // Moving the pointer wakes the loop until the scene settles again
+  movePointer(container.querySelector('canvas'));
+  expect(scheduler.hasPendingFrame()).toBe(true);
+  runFrame();
+  expect(drawnUrls()).toEqual(['center.jpg']);
+  scheduler.runUntilIdle();
+});
+
+test('keeps springs oscillating until they settle at their destination', () => {
+  let images = [{id: 'center', left: 0.5, top: 0.5, w: 100, h: 100, url: 'center.jpg'}];
+  // Returns the number of frames until the loop sleeps & the parallax offset
+  // in the last frame
+  let getRestingOffset = easing => {
+    let {container, unmount} = render(<Canvas images={images} easing={easing} />);
+    jest.runAllTimers();
+    scheduler.runUntilIdle();
+    movePointer(container.querySelector('canvas'));
+    let frames = 0;
+    for (; scheduler.hasPendingFrame(); frames++) {
+      runFrame();
+    }
+    let offset = drawnOffset();
+    unmount();
+    return {frames, offset};
+  };
+  // Snapping jumps right to where the springs have to come to rest
+  let snapped = getRestingOffset({origin: 'snap', zoom: 'snap'});
+
+  // Weakly damped springs slow down to a stop at every turning point
+  let sprung = getRestingOffset({origin: {type: 'spring', stiffness: 80, damping: 2}, zoom: 'snap'});
+  expect(sprung.frames).toBeGreaterThan(60);
+  expect(sprung.offset[0]).toBeCloseTo(snapped.offset[0], 0);
+  expect(sprung.offset[1]).toBeCloseTo(snapped.offset[1], 0);
+});
+
+test('pauses while the tab is hidden', () => {
+  let images = [{id: 'center', left: 0.5, top: 0.5, w: 100, h: 100, url: 'center.jpg'}];
+  render(<Canvas images={images} />);
+  let hidden = jest.spyOn(document, 'hidden', 'get').mockReturnValue(true);
+  document.dispatchEvent(new Event('visibilitychange'));
+  expect(scheduler.hasPendingFrame()).toBe(false);
+
+  // Images loading in the background don't resume the loop either
+  jest.runAllTimers();
+  expect(scheduler.hasPendingFrame()).toBe(false);
+
+  hidden.mockReturnValue(false);
+  document.dispatchEvent(new Event('visibilitychange'));
+  expect(scheduler.hasPendingFrame()).toBe(true);
+});
+
+describe('w/ a worker', () => {
+  let images = [{id: 'center', left: 0.5, top: 0.5, w: 100, h: 100, url: 'center.jpg'}];
+
+  test('draws on the main thread when OffscreenCanvas is unsupported', () => {
+    let worker = jest.fn();
+    render(<Canvas images={images} worker={worker} />);
+    jest.runAllTimers();
+    runUntilIdle();
+
+    expect(worker).not.toHaveBeenCalled();
+    expect(drawnUrls()).toEqual(['center.jpg']);
+  });
+
+  test('falls back to the main thread when props can\'t be sent to the worker anymore', () => {
+    let offscreenCanvas = {};
+    HTMLCanvasElement.prototype.transferControlToOffscreen = jest.fn(() => offscreenCanvas);
+    let worker = {postMessage: jest.fn(), addEventListener: jest.fn(), terminate: jest.fn()};
+    let onImageEnter = jest.fn();
+    let {container, rerender} = render(
+      <Canvas images={images} worker={() => worker} onImageEnter={onImageEnter} onImageClick={() => {}} />);
+    let transferredCanvas = container.querySelector('canvas');
+    expect(worker.postMessage).toHaveBeenCalledWith({type: 'init', canvas: offscreenCanvas}, [offscreenCanvas]);
+
+    // The worker reports the hovered image
+    let [, onMessage] = worker.addEventListener.mock.calls.find(([type]) => type === 'message');
+    let position = {x: window.innerWidth / 2, y: window.innerHeight / 2};
+    fireEvent.pointerMove(transferredCanvas, {clientX: position.x, clientY: position.y, pointerId: 1, pointerType: 'mouse'});
+    act(() => onMessage({data: {type: 'event', name: 'imageEnter', payload: {key: 'center', index: 0, position}}}));
+    expect(transferredCanvas.style.cursor).toBe('pointer');
+
+    // Functions can't be posted to the worker
+    let postedCalls = worker.postMessage.mock.calls.length;
+    rerender(<Canvas images={images} worker={() => worker} onImageEnter={onImageEnter} onImageClick={() => {}}
+                     easing={{origin: snapFollower}} />);
+    expect(worker.postMessage.mock.calls.slice(postedCalls)).toEqual([
+      [{type: 'call', method: 'destroy', args: []}],
+    ]);
+    expect(worker.terminate).toHaveBeenCalled();
+
+    // The transferred canvas can't be drawn to anymore, the Scene draws on a new one
+    let canvas = container.querySelector('canvas');
+    expect(canvas).not.toBe(transferredCanvas);
+    expect(canvas.style.cursor).toBe('pointer');
+    jest.runAllTimers();
+    runUntilIdle();
+    expect(drawnUrls()).toEqual(['center.jpg']);
+
+    // It keeps the cursor of the hovered image, which is entered only once
+    expect(canvas.style.cursor).toBe('pointer');
+    expect(onImageEnter).toHaveBeenCalledTimes(1);
+  });
+
+  afterEach(() => {
+    delete HTMLCanvasElement.prototype.transferControlToOffscreen;
+  });
+});
+
+describe('w/ the lightbox enabled', () => {
+  // The near image covers the center of the far one
+  let images = [
+    {id: 'far', left: 0.5, top: 0.5, w: 300, h: 200, url: 'far.jpg'},
+    {id: 'near', left: 0.5, top: 0.5, w: 100, h: 100, url: 'near.jpg', depth: 2},
+  ];
+  let tapFar = canvas => tap(canvas, window.innerWidth / 2 - 110, window.innerHeight / 2);
+
+  test('opens tapped images in the lightbox & closes them via Escape', () => {
+    let renderDetail = img => <p>{img.id}</p>;
+    let {container, queryByRole} = render(
+      <Canvas images={images} lightbox={{enabled: true}} renderDetail={renderDetail} />);
+    jest.runAllTimers();
+    runUntilIdle();
+
+    tapFar(container.querySelector('canvas'));
+    act(() => {
+      scheduler.runFrames(9);
+      runFrame();
+    });
+    // The opened image is painted over the others
+    expect(drawnUrls()).toEqual(['near.jpg', 'far.jpg']);
+    // The detail panel shows once the image is open & the loop then sleeps
+    expect(queryByRole('dialog')).toBeNull();
+    act(() => runUntilIdle());
+    expect(queryByRole('dialog')).toHaveTextContent('far');
+
+    fireEvent.keyDown(window, {key: 'Escape'});
+    expect(queryByRole('dialog')).toBeNull();
+    act(() => runUntilIdle());
+    expect(drawnUrls()).toEqual(['far.jpg', 'near.jpg']);
+  });
+
+  test('taps outside the lightbox & the back button close it', () => {
+    let onImageClick = jest.fn();
+    let {container, queryByRole} = render(
+      <Canvas images={images} lightbox={{enabled: true}} onImageClick={onImageClick} renderDetail={img => img.id} />);
+    let canvas = container.querySelector('canvas');
+    jest.runAllTimers();
+    runUntilIdle();
+    let pushState = jest.spyOn(window.history, 'pushState');
+    let back = jest.spyOn(window.history, 'back').mockImplementation(() => {});
+
+    tapFar(canvas);
+    act(() => runUntilIdle());
+    expect(pushState).toHaveBeenCalledTimes(1);
+    // Taps on the opened image neither close it nor reach the images behind it
+    tapFar(canvas);
+    expect(queryByRole('dialog')).toHaveTextContent('far');
+    tap(canvas, 10, 10);
+    expect(queryByRole('dialog')).toBeNull();
+    expect(onImageClick).toHaveBeenCalledTimes(1);
+    // Closing w/o the back button removes the history entry
+    expect(back).toHaveBeenCalledTimes(1);
+    act(() => runUntilIdle());
+
+    tapFar(canvas);
+    act(() => runUntilIdle());
+    expect(queryByRole('dialog')).toHaveTextContent('far');
+    act(() => {
+      window.dispatchEvent(new PopStateEvent('popstate'));
+    });
+    expect(queryByRole('dialog')).toBeNull();
+    expect(onImageClick).toHaveBeenCalledTimes(2);
+    expect(pushState).toHaveBeenCalledTimes(2);
+    expect(back).toHaveBeenCalledTimes(1);
+  });
+});
+
+test('draws & hit-tests elements of any type', () => {
+  let paintedKeys = [];
+  class Badge extends CanvasElement {
+    paint() {
+      paintedKeys.push(this.key);
+    }
+  }
+  let draw = jest.fn();
+  let elements = [
+    {id: 'label', left: 0.25, top: 0.5, w: 100, h: 40, type: 'text', text: 'Label'},
+    {id: 'badge', left: 0.5, top: 0.5, w: 100, h: 100, type: 'badge'},
+    {id: 'custom', left: 0.75, top: 0.5, w: 100, h: 100, type: 'custom', draw},
+  ];
+  let onImageClick = jest.fn();
+  let {container, getByText} = render(
+    <Canvas images={elements} elementTypes={{badge: Badge}} onImageClick={onImageClick} />);
+  runUntilIdle();
+
+  expect(paintedKeys).toContain('badge');
+  expect(draw).toHaveBeenCalled();
+  expect(getByText('Label')).toBeInTheDocument();
+
+  let canvas = container.querySelector('canvas');
+  tap(canvas, window.innerWidth * 0.5, window.innerHeight * 0.5);
+  tap(canvas, window.innerWidth * 0.25, window.innerHeight * 0.5);
+  expect(onImageClick.mock.calls.map(call => call[0])).toEqual([elements[1], elements[0]]);
+});
+
+test('lays out images automatically & again after resizes', () => {
+  let images = Array.from({length: 12}, (_, idx) => ({id: `img-${idx}`, url: `img-${idx}.jpg`, w: 80, h: 60}));
+  let layout = {type: 'grid', cellWidth: 100, cellHeight: 100};
+  let onImageClick = jest.fn();
+  let {container} = render(<Canvas images={images} layout={layout} onImageClick={onImageClick} />);
+  let canvas = container.querySelector('canvas');
+  jest.runAllTimers();
+  runUntilIdle();
+
+  let tapLaidOutImage = idx => {
+    let size = {width: window.innerWidth, height: window.innerHeight};
+    let rect = computeLayout(images.map(img => ({width: img.w, height: img.h})), size, layout)[idx];
+    tap(canvas, rect.x + rect.width / 2, rect.y + rect.height / 2);
+  };
+  tapLaidOutImage(9);
+  expect(onImageClick.mock.calls[0][0]).toBe(images[9]);
+
+  // Fewer columns fit after the resize, so the image moves to another cell
+  let innerWidth = window.innerWidth;
+  window.innerWidth = 500;
+  window.dispatchEvent(new Event('resize'));
+  tapLaidOutImage(9);
+  window.innerWidth = innerWidth;
+  expect(onImageClick.mock.calls[1][0]).toBe(images[9]);
+});
+
+test('animates w/ the scheduler passed via props', () => {
+  let manualScheduler = createManualScheduler();
+  render(<Canvas images={[{id: 'center', left: 0.5, top: 0.5, w: 100, h: 100, url: 'center.jpg'}]}
+                 scheduler={manualScheduler} />);
+  jest.runAllTimers();
+
+  expect(scheduler.hasPendingFrame()).toBe(false);
+  manualScheduler.runFrames(199);
+  ctx.reset();
+  manualScheduler.runFrame();
+  expect(drawnUrls()).toEqual(['center.jpg']);
+  expect(manualScheduler.runUntilIdle()).toBeLessThan(1000);
+});
+
+test('pans, focuses images & pauses via a ref', () => {
+  let ref = React.createRef();
+  let images = [
+    {id: 'left', left: 0.1, top: 0.5, w: 100, h: 100, url: 'left.jpg'},
+    {id: 'right', left: 0.9, top: 0.5, w: 100, h: 100, url: 'right.jpg', depth: 2},
+  ];
+  let onImageFocus = jest.fn();
+  render(<Canvas ref={ref} images={images} onImageFocus={onImageFocus} />);
+  jest.runAllTimers();
+  scheduler.runUntilIdle();
+  let {innerWidth: width, innerHeight: height} = window;
+  expect(ref.current.getState().view).toEqual({x: width / 2, y: height / 2});
+
+  // Pans ease towards the point
+  act(() => ref.current.panTo(100, 200));
+  scheduler.runFrames(5);
+  let {view} = ref.current.getState();
+  expect(view.x).toBeLessThan(width / 2);
+  expect(view.x).toBeGreaterThan(100);
+  scheduler.runUntilIdle();
+  expect(ref.current.getState().view.x).toBeCloseTo(100, 0);
+  expect(ref.current.getState().view.y).toBeCloseTo(200, 0);
+
+  act(() => ref.current.panTo(300, 300, {animate: false}));
+  scheduler.runFrame();
+  expect(ref.current.getState().view).toEqual({x: 300, y: 300});
+
+  // Images nearer to the viewer move more, so the view moves less to center them
+  act(() => {
+    expect(ref.current.focusImage('right', {animate: false})).toBe(true);
+  });
+  scheduler.runFrame();
+  expect(ref.current.getState().view.x).toBeCloseTo(width / 2 + 0.4 * width / 2);
+  expect(ref.current.getState().focusedKey).toBe('right');
+  expect(onImageFocus.mock.calls[0][0]).toBe(images[1]);
+  expect(ref.current.focusImage('missing')).toBe(false);
+
+  act(() => ref.current.resetView());
+  act(() => ref.current.pause());
+  expect(scheduler.hasPendingFrame()).toBe(false);
+  expect(ref.current.getState().paused).toBe(true);
+  act(() => ref.current.resume());
+  scheduler.runUntilIdle();
+  expect(ref.current.getState().view.x).toBeCloseTo(width / 2, 0);
+});
+
+describe('w/ the view persisted', () => {
+  let images = [
+    {id: 'left', left: 0.1, top: 0.5, w: 100, h: 100, url: 'left.jpg'},
+    {id: 'right', left: 0.9, top: 0.5, w: 100, h: 100, url: 'right.jpg'},
+  ];
+
+  afterEach(() => {
+    window.history.replaceState(null, '', '/');
+    window.sessionStorage.clear();
+  });
+
+  test('restores the view from the URL hash w/o panning or moving focus & saves it there', () => {
+    let ref = React.createRef();
+    window.history.replaceState(null, '', '/#image=right');
+    render(<Canvas ref={ref} images={images} persistView={{enabled: true}} />);
+    jest.runAllTimers();
+    let {innerWidth: width} = window;
+
+    // The intro already draws the image centered
+    runFrame();
+    expect(drawnOffset()[0]).toBeCloseTo(width / 2 - 0.9 * width, 0);
+    // Keyboard focus stays w/ the page
+    expect(ref.current.getState().focusedKey).toBeUndefined();
+    expect(document.activeElement).toBe(document.body);
+    runUntilIdle();
+    expect(ref.current.getState().view.x).toBeCloseTo(0.9 * width, 0);
+
+    act(() => ref.current.panTo(100, 200, {animate: false}));
+    runFrame();
+    jest.runAllTimers();
+    expect(window.location.hash).toBe('#x=100&y=200');
+  });
+
+  test('restores the view from the session storage w/o touching the URL', () => {
+    let ref = React.createRef();
+    let {innerWidth: width, innerHeight: height} = window;
+    window.sessionStorage.setItem('canvas-view', `x=${width / 2 - 50}&y=${height / 2}`);
+    render(<Canvas ref={ref} images={images} persistView={{enabled: true, storage: 'sessionStorage'}} />);
+    jest.runAllTimers();
+    runUntilIdle();
+
+    expect(ref.current.getState().view).toEqual({x: width / 2 - 50, y: height / 2});
+    expect(window.location.hash).toBe('');
+  });
+});
+
+test('staggers the entrances of images & blends in the hover zoom afterwards', () => {
+  let images = [
+    {id: 'first', left: 0.2, top: 0.5, w: 100, h: 100, url: 'first.jpg'},
+    {id: 'second', left: 0.8, top: 0.5, w: 100, h: 100, url: 'second.jpg'},
+  ];
+  let intro = {effect: ['scale', 'blur'], duration: 320, stagger: 160, scale: 0.5, blur: 10, handoff: 320};
+  let {container} = render(<Canvas images={images} intro={intro} />);
+  jest.runAllTimers();
+  // Widths the images were drawn w/, in the order of the images
+  let drawnWidths = () => images.map(({url}) => drawnRect(url).width);
+
+  runFrame();
+  expect(drawnWidths()).toEqual([50, 50]);
+  expect(ctx.callsTo('set').filter(([prop]) => prop === 'filter').map(([, value]) => value))
+    .toEqual(['blur(10px)', 'none', 'blur(10px)', 'none']);
+  // Halfway through the first entrance, the second one only starts
+  scheduler.runFrames(9);
+  runFrame();
+  let [firstWidth, secondWidth] = drawnWidths();
+  expect(firstWidth).toBeGreaterThan(50);
+  expect(secondWidth).toBe(50);
+
+  // Images grow gradually instead of jumping to their hovered size
+  scheduler.runFrames(15);
+  expect(scheduler.hasPendingFrame()).toBe(true);
+  fireEvent.pointerMove(container.querySelector('canvas'),
+    {clientX: 0.2 * window.innerWidth, clientY: window.innerHeight / 2, pointerId: 1, pointerType: 'mouse'});
+  let widths = [];
+  for (let i = 0; i < 20; i++) {
+    runFrame();
+    widths.push(drawnWidths()[0]);
+  }
+  // The intro ends after 30 frames, 5 frames later the zoom only just set in
+  expect(widths[9]).toBeLessThan(102);
+  expect(widths[widths.length - 1]).toBeGreaterThan(110);
+  runUntilIdle();
+});
+
+test('fills the background & blurs the backdrop image only once', () => {
+  let images = [{id: 'center', left: 0.5, top: 0.5, w: 100, h: 100, url: 'center.jpg'}];
+  let background = {
+    fill: {type: 'linear', stops: [[0, 'navy'], [1, 'black']]},
+    image: 'backdrop.jpg',
+    blur: 8,
+    opacity: 0.5,
+  };
+  render(<Canvas images={images} background={background} />);
+  jest.runAllTimers();
+  let {innerWidth: width, innerHeight: height} = window;
+  let filters = () => ctx.callsTo('set').filter(([prop]) => prop === 'filter').map(([, value]) => value);
+  let backdropDraws = () => ctx.callsTo('drawImage').filter(([source]) => source instanceof HTMLCanvasElement);
+
+  runFrame();
+  expect(ctx.callsTo('addColorStop')).toEqual([[0, 'navy'], [1, 'black']]);
+  expect(ctx.callsTo('fillRect')[0]).toEqual([0, 0, width, height]);
+  expect(filters()).toEqual(['blur(8px)']);
+  expect(backdropDraws()).toEqual([[expect.any(HTMLCanvasElement), 0, 0, width, height]]);
+  expect(ctx.calls).toContainEqual(['set', 'globalAlpha', 0.5]);
+
+  // The blurred copy is cached
+  runFrame();
+  expect(filters()).toEqual([]);
+  expect(backdropDraws()).toHaveLength(1);
+});
+
+test('keeps the filtered copies of all hovered images cached', () => {
+  // Sources need a size to be filtered
+  window.Image = class extends window.Image {
+    naturalWidth = 100;
+    naturalHeight = 100;
+  };
+  let images = Array.from({length: 10}, (_, idx) =>
+    ({id: `img-${idx}`, left: 0.05 + idx * 0.1, top: 0.5, w: 80, h: 80, url: `img-${idx}.jpg`}));
+  let {container} = render(<Canvas images={images} imageStyle={{hoverFilter: {grayscale: 1}}} />);
+  jest.runAllTimers();
+  runUntilIdle();
+  let canvas = container.querySelector('canvas');
+  let sweep = () => {
+    for (let x = 0; x <= window.innerWidth; x += 32) {
+      fireEvent.pointerMove(canvas, {clientX: x, clientY: window.innerHeight / 2, pointerId: 1, pointerType: 'mouse'});
+      scheduler.runFrames(2);
+    }
+    runUntilIdle();
+  };
+  let createElement = jest.spyOn(document, 'createElement');
+  let createdCopies = () => createElement.mock.calls.filter(([tagName]) => tagName === 'canvas').length;
+
+  // Sweeping blends each image through the steps of its hover filter, more
+  // copies than the default cache size
+  sweep();
+  sweep();
+  expect(createdCopies()).toBeGreaterThan(50);
+
+  // Sweeping the same way again draws the same copies, none was evicted
+  createElement.mockClear();
+  sweep();
+  expect(createdCopies()).toBe(0);
+});
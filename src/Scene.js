@@ -0,0 +1,1860 @@
+import {
+  euclideanDistance,
+  findClosestInDirection,
+  snapFollower,
+  resolveEasing,
+  resolveFollower,
+  FRAME_DURATION,
+  resolveZoomProfile,
+  clamp,
+  getBoundingBox,
+  wrapCoordinate,
+  rubberBandClamp,
+  rectsIntersect,
+  createSpatialGrid,
+  insertionSort,
+  computeLayout,
+  createCachedLoader,
+  DEFAULT_SCHEDULER,
+  DEFAULT_INTRO,
+  getIntroTransform,
+  getIntroDelays,
+  fitSource,
+  formatFilter,
+  DEFAULT_FILTER_CACHE_SIZE,
+  createFilterCache
+} from './util';
+import {
+  DEFAULT_DEPTH,
+  DEFAULT_PLACEHOLDER_COLOR,
+  getElementType,
+  loadImageElement,
+  createFillStyle
+} from './elements';
+
+/**
+ * Easing used by each animated property unless configured otherwise via props
+ *   - origin: Follower animating the canvas origin (parallax)
+ *   - zoom: Follower animating the dimensions of images (hover zoom)
+ *   - fade: Curve animating the opacity of images fading in
+ *   - lightbox: Curve animating images opening in & closing from the lightbox
+ * See util/easing.js for the available curves & followers
+ */
+const DEFAULT_EASING = {
+  origin: 'easeOut',
+  zoom: 'easeOut',
+  fade: 'easeInQuad',
+  lightbox: 'easeInOutCubic',
+};
+
+/**
+ * Scrolling options unless configured otherwise via props
+ *   - mode: 'free' lets the origin move w/o limits, 'wrap' tiles the images in
+ *           both axes so they re-enter at the opposite edge & 'bounded' keeps
+ *           the content's bounding box in view
+ *   - padding: Space (in px) allowed between the content & the canvas edges in 'bounded' mode
+ *   - overscroll: Max distance (in px) the content can be pulled past its
+ *                 bounds w/ a rubber band effect in 'bounded' mode
+ *   - gap: Extra space (in px) between repeated tiles in 'wrap' mode
+ */
+const DEFAULT_SCROLL = {
+  mode: 'free',
+  padding: 0,
+  overscroll: 120,
+  gap: 0,
+};
+
+/**
+ * Size (in px) of the cells of the spatial index used for viewport culling &
+ * hit-testing, see {@link Scene#indexCanvasElements}
+ */
+const SPATIAL_INDEX_CELL_SIZE = 256;
+
+/**
+ * Largest distance (in px) of an animated value from its destination & largest
+ * change between two frames for the value to count as settled. Both are needed
+ * as springs come to a stop at the turning points of their oscillation. The
+ * animation loop sleeps once all values have settled, see {@link Scene#animate}
+ */
+const REST_THRESHOLD = 0.1;
+
+/**
+ * Longest time (in s) followers are stepped by in a single frame, so the scene
+ * doesn't jump after a stalled frame, see {@link Scene#animate}
+ */
+const MAX_FRAME_ELAPSED = 0.1;
+
+/**
+ * Checks if an animated value has settled, see REST_THRESHOLD
+ *
+ * @param {number} value - Value in the current frame
+ * @param {number} prevValue - Value in the previous frame
+ * @param {number} remainingDistance - Distance of the value from its destination
+ *
+ * @returns True if the value neither moves nor has anywhere to go
+ */
+let isSettled = (value, prevValue, remainingDistance) =>
+  Math.abs(value - prevValue) < REST_THRESHOLD && Math.abs(remainingDistance) < REST_THRESHOLD;
+
+/**
+ * Time (in ms) the pointer has to rest before an overscrolled canvas springs
+ * back within its bounds, see {@link Scene#settleOverscroll}
+ */
+const OVERSCROLL_SETTLE_DELAY = 150;
+
+/**
+ * Image loading options unless configured otherwise via props
+ *   - retries: Number of times a failing source is retried
+ *   - retryDelay: Delay (in ms) before retrying a failed source
+ *   - fallbackUrl: Source loaded once all retries failed (optional)
+ *   - placeholderColor: Color of the placeholder drawn for images that failed to load
+ *   - timeout: Time (in ms) after which the intro finishes even if some images
+ *              are still loading. These images fade in once they load
+ *   - simulatedLatency: Max random delay (in ms) added to every load to
+ *                       simulate network conditions while testing
+ */
+const DEFAULT_LOADING = {
+  retries: 2,
+  retryDelay: 1000,
+  fallbackUrl: undefined,
+  placeholderColor: DEFAULT_PLACEHOLDER_COLOR,
+  timeout: 10000,
+  simulatedLatency: 0,
+};
+
+/**
+ * Lightbox options unless configured otherwise via props, see {@link Scene#openLightbox}
+ *   - enabled: Whether clicking an image opens it in the lightbox
+ *   - duration: Duration (in ms) of the transition between the image's place
+ *               on the canvas & the centered view
+ *   - backdrop: 'dim' darkens the other images, 'blur' blurs them
+ *   - dimOpacity: Opacity of the overlay darkening the other images in 'dim' mode
+ *   - blurRadius: Radius (in px) of the blur in 'blur' mode
+ *   - padding: Min space (in px) between the opened image & the canvas edges
+ */
+const DEFAULT_LIGHTBOX = {
+  enabled: false,
+  duration: 400,
+  backdrop: 'dim',
+  dimOpacity: 0.6,
+  blurRadius: 8,
+  padding: 40,
+};
+
+/**
+ * Follower keeping a value where it is. Freezes the parallax & hover zoom
+ * while an image is open in the lightbox
+ */
+const HOLD_FOLLOWER = (dest, curr) => [curr, 0];
+
+/**
+ * Background options unless configured otherwise via props
+ *   - fill: CSS color or gradient filling the canvas, see {@link createFillStyle}
+ *   - image: Optional url of a backdrop image covering the canvas, drawn over
+ *            the fill once loaded
+ *   - blur: Blur radius (in px) of the backdrop image
+ *   - opacity: Opacity of the backdrop image, so the fill can tint it
+ */
+const DEFAULT_BACKGROUND = {
+  fill: '#000000',
+  image: undefined,
+  blur: 0,
+  opacity: 1,
+};
+
+/**
+ * Curve blending in the hover zoom & parallax once the intro finished,
+ * see {@link Scene#getHandoffProgress}
+ */
+const HANDOFF_CURVE = resolveEasing('easeInOutCubic');
+
+/**
+ * Wraps a zoom follower so elements only gradually follow the mouse: the
+ * destination is blended between the element's original size (the cutoff
+ * distance) & the actual destination
+ *
+ * @param {function} follower - Zoom follower, see util/easing.js
+ * @param {number} progress - Blend (0 to 1) of the actual destination
+ * @param {number} cutoff - Distance beyond which the element doesn't grow, see util/zoom.js
+ *
+ * @returns The wrapped follower
+ */
+const blendZoomFollower = (follower, progress, cutoff) => (dest, curr, speed, elapsed) => {
+  let restingValue = Math.max(dest, cutoff);
+  return follower(restingValue + (dest - restingValue) * progress, curr, speed, elapsed);
+};
+
+/**
+ * Returns the key used to match an image descriptor passed via props to the
+ * CanvasElement instance drawing it. Descriptors are matched on their optional
+ * id and fall back to their index in the images prop.
+ *
+ * @param {object} img - Image descriptor (see {@link Canvas} props)
+ * @param {number} idx - Index of the descriptor in the images prop
+ *
+ * @returns The key identifying the descriptor across prop updates
+ */
+const getImageKey = (img, idx) => (img.id !== undefined ? img.id : idx);
+
+/**
+ * Scene props unless set via {@link Scene#setProps}, matching the defaults of
+ * the corresponding {@link Canvas} props
+ */
+const SCENE_DEFAULT_PROPS = {
+  images: [],
+  parallaxSource: 'pointer',
+  easing: {},
+  zoom: {},
+  backgroundLayers: [],
+  foregroundLayers: [],
+  loading: {},
+  scroll: {},
+  lightbox: {},
+  elementTypes: {},
+  layout: {},
+  imageStyle: {},
+  intro: {},
+  background: {},
+};
+
+/**
+ * Pointer position before the pointer first moves. Far away from all images
+ * so none of them zooms
+ */
+const INITIAL_POINTER_COORD = -10000;
+
+/**
+ * @class holding the drawn scene: the images, the canvas origin & everything
+ * needed to animate them in an animation loop.
+ *
+ * A scene only talks to the outside world through plain data, so it can run
+ * on the main thread next to the {@link Canvas} component or in a worker
+ * drawing to an OffscreenCanvas (see worker/protocol.js):
+ *   - Inputs are passed by calling its methods, e.g. {@link Scene#setPointer}
+ *   - Outputs are emitted as events w/ a name & a payload:
+ *     imageEnter, imageLeave, imageClick & imageFocus w/ the image's key, index
+ *     and position, focusItem w/ the key of the image to move focus to,
+ *     loadProgress w/ the loading progress, loadComplete, lightboxChange
+ *     w/ the state of the lightbox (see {@link Scene#emitLightboxChange}) &
+ *     viewChange w/ the point at the center of the canvas (see {@link Scene#getView})
+ */
+export default class Scene {
+
+  /**
+   * @constructor
+   *
+   * @param {object} canvas - HTML canvas element or OffscreenCanvas drawn to
+   * @param {object} options
+   * @param {function} options.emit - Called w/ the name & payload of emitted events
+   * @param {object} options.scheduler - Schedules frames & timers, merged w/
+   *                                     DEFAULT_SCHEDULER (see util/scheduler.js)
+   * @param {function} options.loadSource - Loads images, see {@link loadImageElement}.
+   *                                        Loaded sources are cached, see {@link createCachedLoader}
+   */
+  constructor(canvas, {emit = () => {}, scheduler = DEFAULT_SCHEDULER, loadSource = loadImageElement} = {}) {
+    this.canvas = canvas;
+    this.emit = emit;
+    this.scheduler = {...DEFAULT_SCHEDULER, ...scheduler};
+    this.loadSource = createCachedLoader(loadSource);
+    /** Caches filtered copies of images & the backdrop, see {@link createFilterCache} */
+    this.filterCache = createFilterCache();
+    /** Scene props, see {@link Scene#setProps} */
+    this.props = {...SCENE_DEFAULT_PROPS};
+    /** Whether {@link Scene#destroy} was called */
+    this.isDestroyed = false;
+    this.resolveEasing();
+  }
+
+  /**
+   * @instance {array} - Contains all elements currently drawn on the canvas
+   */
+  canvasElements = [];
+  /**
+   * @instance {array} - Canvas elements within the viewport in the order they
+   *                     are painted. Updated in {@link Scene#updateVisibleElements}
+   */
+  visibleElements = [];
+  /**
+   * @instance {object} - Maps each depth to a spatial grid of the canvas elements
+   *                      at that depth, in the untranslated space of their layer.
+   *                      Built in {@link Scene#indexCanvasElements}
+   */
+  spatialIndex = new Map();
+  /**
+   * @instance {object} - Contains the elements of the decorative background &
+   *                      foreground layers, ordered by depth
+   */
+  decorativeElements = {
+    background: [],
+    foreground: [],
+  };
+  /**
+   * @typedef {object} mouseCoords
+   * @instance {object} - Contains the most recent mouse position as well as
+   *                      the total relative distance the mouse has traveled
+   *                      in the X and Y axises
+   */
+   mouseCoords = {
+     x: INITIAL_POINTER_COORD,
+     y: INITIAL_POINTER_COORD,
+     totalMovementX: 0,
+     totalMovementY: 0,
+   }
+   /**
+    * @instance {boolean} - Whether the pointer is currently over the canvas
+    */
+   isPointerInside = false;
+
+   /**
+    * @instance {boolean} - Whether a touch/pen pointer is pressed & dragging the
+    *                       canvas. Overscrolling doesn't settle while dragging
+    */
+   isDragging = false;
+
+   /**
+    * @instance {object} - Origin movement derived from the latest orientation
+    *                      reading, used by the 'orientation' parallax source
+    */
+   orientationMovement = {x: 0, y: 0};
+   /**
+    * @instance {object} - The top-most image under the pointer (if any),
+    *                      see {@link Scene#updateHoveredElement}
+    */
+   hoveredElement = undefined;
+   /**
+    * @instance {*} - Key of the image whose accessible item has keyboard focus
+    *                 (if any), see {@link Scene#setFocusedKey}
+    */
+   focusedKey = undefined;
+   /**
+    * @instance {boolean} - Whether the user prefers reduced motion, kept in sync
+    *                       w/ the prefers-reduced-motion media query
+    */
+   prefersReducedMotion = false;
+   /**
+    * @instance {object} - Resolved followers (origin, zoom) & curves (fade, lightbox) used
+    *                      to animate, see {@link Scene#resolveEasing}
+    */
+   easing = undefined;
+   /**
+    * @instance {object} - Contains data used for easing canvas origin animations
+    *                      in {@link Scene#drawingAnimation}
+    *
+    * @param {number} currentLeft - Most up-to-date value of the left-most point of the canvas
+    * @param {number} speedLeft - Rate of change of the left-most point of the canvas
+    * @param {number} currentTop - Most up-to-date value of the top-most point of the canvas
+    * @param {number} speedTop - Rate of change of the left-most point of the canvas
+    * @param {number} coefficient - Controls impact of animation in {@link Scene#drawingAnimation}
+    */
+   origin = {
+     currentLeft: 0,
+     speedLeft: 0,
+     currentTop: 0,
+     speedTop: 0,
+     coefficient: 1/4,
+   }
+   /**
+    * @instance {number} - The ID of the last requested animation frame retrieved
+    *                      via the scheduler. Undefined while the loop
+    *                      sleeps or is paused, see {@link Scene#wake}
+    */
+   animationID = undefined;
+
+   /**
+    * @instance {number} - Timestamp of the previous frame of the loop. Undefined
+    *                      while the loop sleeps or is paused
+    */
+   lastFrameTime = undefined;
+
+   /**
+    * @instance {boolean} - Whether the loop is paused, e.g. while the tab is
+    *                       hidden. See {@link Scene#setPaused}
+    */
+   paused = false;
+   /**
+    * @instance {boolean} - Boolean detoting if the initial animation that first
+    *                      draws images has completed. Used in {@link Scene#animate}
+    */
+   hasInitAnimationFinished = false;
+   /**
+    * @instance {number} - Timestamp of the first frame of the loading animation.
+    *                      Used to stop waiting for images after the loading timeout
+    */
+   loadingStartTime = undefined;
+   /**
+    * @instance {object} - Backdrop image set via the background prop: its url &
+    *                      the loaded source, see {@link Scene#loadBackdrop}
+    */
+   backdrop = undefined;
+   /**
+    * @instance {object} - Maps the elements visible when the intro started to
+    *                      the delays of their entrances, see util/intro.js
+    */
+   introDelays = undefined;
+   /**
+    * @instance {object} - Timestamp of the frame the intro finished in & the
+    *                      origin at that time. The hover zoom & parallax blend
+    *                      in from there, see {@link Scene#getHandoffProgress}
+    */
+   introEnd = undefined;
+   /**
+    * @instance {object} - Current dimensions of the canvas, updated in
+    *                      {@link Scene#setSize}
+    *
+    * @param {number} width - Width (in CSS px) of the canvas
+    * @param {number} height - Height (in CSS px) of the canvas
+    * @param {number} pixelRatio - Number of backing store pixels per CSS px
+    */
+   size = {
+     width: 0,
+     height: 0,
+     pixelRatio: 1,
+   }
+   /**
+    * @instance {object} - Bounding box (minX, minY, maxX, maxY) of all images at
+    *                      their original size, in the untranslated canvas space.
+    *                      Updated in {@link Scene#updateContentBounds}
+    */
+   contentBounds = undefined;
+   /**
+    * @instance {number} - Time (in ms) of the last pointer movement. Used to
+    *                      settle overscrolling in {@link Scene#settleOverscroll}
+    */
+   lastPointerMoveTime = 0;
+   /**
+    * @instance {object} - The image open in the lightbox (if any), see
+    *                      {@link Scene#openLightbox}
+    *
+    * @param {object} element - Canvas element of the opened image
+    * @param {object} from - Region (x, y, width, height) the image occupied on
+    *                        screen when it was opened, which it closes back to
+    * @param {string} state - 'opening', 'open' or 'closing'
+    * @param {number} progress - Progress of the transition, 0 when the image is
+    *                            in its place on the canvas & 1 when it is centered
+    * @param {number} startProgress - Progress when the current transition started
+    * @param {number} startTime - Timestamp of the first frame of the current transition
+    */
+   lightbox = undefined;
+   /**
+    * @instance {object} - x and y coords of the point at the center of the
+    *                      canvas as last emitted via a viewChange event,
+    *                      see {@link Scene#getView}
+    */
+   view = undefined;
+   /**
+    * @instance {object} - Origin movement set by the last {@link Scene#panTo}.
+    *                      Reduced motion ignores the pointer but still pans here
+    */
+   panMovement = {x: 0, y: 0};
+  /**
+   * Updates the scene props - the parts of the {@link Canvas} props that affect
+   * drawing: images, backgroundLayers, foregroundLayers, parallaxSource, easing,
+   * zoom, loading, scroll, lightbox, elementTypes, layout, imageStyle, intro &
+   * background. Only the given props change, so callers may pass
+   * just the props that changed.
+   *
+   * @param {object} props - Changed scene props
+   */
+  setProps(props) {
+    let prevProps = this.props;
+    this.props = {...prevProps, ...props};
+
+    if ('images' in props || 'elementTypes' in props) {
+      this.syncCanvasElements(this.props.images);
+    }
+    if ('backgroundLayers' in props || 'foregroundLayers' in props || 'elementTypes' in props) {
+      this.syncDecorativeElements();
+    }
+    if ('easing' in props) {
+      this.resolveEasing();
+    }
+    if ('zoom' in props) {
+      this.canvasElements.forEach(elem =>
+        elem.zoomProfile = resolveZoomProfile(this.props.zoom, elem.descriptor.zoom)
+      );
+      this.updateContentBounds();
+      this.indexCanvasElements();
+    }
+    if ('layout' in props) {
+      this.layoutCanvasElements();
+    }
+    if ('intro' in props) {
+      this.introDelays = undefined;
+    }
+    if ('background' in props) {
+      this.loadBackdrop();
+    }
+    if ('imageStyle' in props) {
+      this.canvasElements.forEach(elem =>
+        elem.setStyle({...this.props.imageStyle, ...elem.descriptor.style})
+      );
+    }
+    if ('parallaxSource' in props && props.parallaxSource !== prevProps.parallaxSource) {
+      this.orientationMovement = {x: 0, y: 0};
+    }
+    this.wake();
+  }
+
+  /**
+   * Sizes the canvas' backing store by the device pixel ratio so images stay
+   * sharp on high-DPI displays. All drawing & hit-testing happens in CSS px -
+   * the scaling is applied via the context's transform in {@link Scene#resetTransform}.
+   * Images are re-layed out to match the new dimensions.
+   *
+   * @param {object} size - Object containing the width and height (in CSS px)
+   *                        of the canvas and the device pixel ratio
+   */
+  setSize({width, height, pixelRatio}) {
+    if (width === this.size.width && height === this.size.height &&
+        pixelRatio === this.size.pixelRatio) {
+      return;
+    }
+    this.size = {width, height, pixelRatio};
+
+    // Resizing the backing store also clears the canvas
+    this.canvas.width = Math.floor(width * pixelRatio);
+    this.canvas.height = Math.floor(height * pixelRatio);
+    // Images pick sharper sources on high-DPI displays, see CanvasImage#requestResolution
+    this.getElementsInPaintOrder().forEach(elem => elem.loadOptions.pixelRatio = pixelRatio);
+
+    this.layoutCanvasElements();
+    // The opened image closes back to its new place & is centered in the new size
+    if (this.lightbox) {
+      this.lightbox.from = this.getScreenBounds(this.lightbox.element);
+      this.emitLightboxChange(this.lightbox.element, this.lightbox.state);
+    }
+    this.wake();
+  }
+
+  /**
+   * Updates the pointer & the total movement used for the parallax effect in
+   * {@link Scene#drawingAnimation}, then re-evaluates the hovered image.
+   * The parallax ignores movement while an image is open in the lightbox
+   *
+   * @param {object} pointer - Object containing any of
+   *   - x, y: Pointer coords relative to the canvas
+   *   - movementX, movementY: Distance the pointer moved since the last update
+   *   - isInside: Whether the pointer is over the canvas
+   *   - isDragging: Whether a touch/pen pointer is pressed
+   */
+  setPointer({x, y, movementX = 0, movementY = 0, isInside, isDragging}) {
+    if (this.lightbox) {
+      movementX = movementY = 0;
+    }
+    this.mouseCoords = {
+      x: x !== undefined ? x : this.mouseCoords.x,
+      y: y !== undefined ? y : this.mouseCoords.y,
+      totalMovementX: this.mouseCoords.totalMovementX + movementX,
+      totalMovementY: this.mouseCoords.totalMovementY + movementY,
+    };
+    if (movementX || movementY) {
+      this.lastPointerMoveTime = this.scheduler.now();
+    }
+    if (isInside !== undefined) {
+      this.isPointerInside = isInside;
+    }
+    if (isDragging !== undefined) {
+      this.isDragging = isDragging;
+    }
+    this.updateHoveredElement();
+    this.wake();
+  }
+
+  /**
+   * Updates the origin movement used by the 'orientation' parallax source
+   *
+   * @param {object} movement - Object containing x and y movement values
+   */
+  setOrientationMovement(movement) {
+    this.orientationMovement = movement;
+    this.wake();
+  }
+
+  /**
+   * Sets the image focused via keyboard, which grows as if the mouse was over it
+   * (see {@link Scene#getZoomTarget}), and emits an 'imageFocus' event
+   *
+   * @param {*} key - Key of the focused image or undefined once it loses focus
+   */
+  setFocusedKey(key) {
+    this.focusedKey = key;
+    let elem = this.getElementByKey(key);
+    elem && this.emitImageEvent('imageFocus', elem, this.toScreenCoords(elem.center, elem));
+    this.wake();
+  }
+
+  /**
+   * Follows the user's motion preference: reduced motion keeps the layout
+   * static w/o parallax or easing
+   *
+   * @param {boolean} prefersReducedMotion - Whether the user prefers reduced motion
+   */
+  setReducedMotion(prefersReducedMotion) {
+    this.prefersReducedMotion = prefersReducedMotion;
+    this.wake();
+  }
+
+  /**
+   * Pauses or resumes the animation loop, e.g. while the tab is hidden or the
+   * canvas is scrolled out of view
+   *
+   * @param {boolean} paused - Whether to pause the loop
+   */
+  setPaused(paused) {
+    this.paused = paused;
+    if (!paused) {
+      this.wake();
+    } else if (this.animationID !== undefined) {
+      this.scheduler.cancelFrame(this.animationID);
+      this.animationID = undefined;
+      this.lastFrameTime = undefined;
+    }
+  }
+
+  /**
+   * Moves the canvas so a point ends up at its center. The point is given in
+   * the space images at depth 1 are positioned in (see {@link Scene#getView}).
+   * The origin eases there w/ the origin follower & the pointer's movement
+   * continues from there. In 'bounded' scroll mode the point is kept within the
+   * scroll range. Has no effect w/ the 'orientation' parallax source
+   *
+   * @param {number} x - x coord (in px) of the point
+   * @param {number} y - y coord (in px) of the point
+   * @param {object} options
+   * @param {boolean} options.animate - Whether to ease there (default) or jump
+   */
+  panTo(x, y, {animate = true} = {}) {
+    let {coefficient} = this.origin;
+    this.panMovement = {
+      x: (x - this.size.width / 2) / coefficient,
+      y: (y - this.size.height / 2) / coefficient,
+    };
+    this.mouseCoords = {
+      ...this.mouseCoords,
+      totalMovementX: this.panMovement.x,
+      totalMovementY: this.panMovement.y,
+    };
+    if (!animate) {
+      let destination = this.getParallaxDestination();
+      this.origin = {...this.origin, currentLeft: destination.x, currentTop: destination.y, speedLeft: 0, speedTop: 0};
+    }
+    this.wake();
+  }
+
+  /**
+   * Moves the canvas so an image ends up at its center, taking the parallax
+   * depth of the image into account. See {@link Scene#panTo}
+   *
+   * @param {*} key - Key of the image
+   * @param {object} options - See {@link Scene#panTo}
+   */
+  panToImage(key, options) {
+    let elem = this.getElementByKey(key);
+    if (!elem || elem.depth <= 0) {
+      return;
+    }
+    // Layers move by a factor of their depth, see Scene#getLayerOffset
+    let {width, height} = this.size;
+    this.panTo(
+      width / 2 + (elem.center.x - width / 2) / elem.depth,
+      height / 2 + (elem.center.y - height / 2) / elem.depth,
+      options);
+  }
+
+  /**
+   * Moves the canvas back to where it started, see {@link Scene#panTo}
+   *
+   * @param {object} options - See {@link Scene#panTo}
+   */
+  resetView(options) {
+    this.panTo(this.size.width / 2, this.size.height / 2, options);
+  }
+
+  /**
+   * Returns the point currently at the center of the canvas, in the space
+   * images at depth 1 are positioned in. Starts at the center of the canvas
+   *
+   * @returns Object containing the x and y coords (in px) of the point
+   */
+  getView() {
+    let {currentLeft, currentTop, coefficient} = this.origin;
+    return {
+      x: this.size.width / 2 + currentLeft * coefficient,
+      y: this.size.height / 2 + currentTop * coefficient,
+    };
+  }
+
+  /**
+   * Emits a viewChange event w/ the point at the center of the canvas if it
+   * moved since the last event, see {@link Scene#getView}
+   */
+  emitViewChange() {
+    let view = this.getView();
+    if (!this.view || view.x !== this.view.x || view.y !== this.view.y) {
+      this.view = view;
+      this.emit('viewChange', view);
+    }
+  }
+
+  /**
+   * Registers a click/tap at a point of the canvas. The top-most image at the
+   * point (see {@link Scene#getElementAt}) is clicked, see {@link Scene#clickElement}.
+   * While an image is open in the lightbox, clicks outside of it close it instead
+   *
+   * @param {object} point - Object containing x and y coords relative to the canvas
+   */
+  click(point) {
+    if (this.lightbox) {
+      let rect = this.getLightboxRect(this.lightbox.element);
+      rectsIntersect({...point, width: 0, height: 0}, rect) || this.closeLightbox();
+      return;
+    }
+    // Taps don't hover before clicking so move the coords to the clicked point
+    this.mouseCoords = {...this.mouseCoords, x: point.x, y: point.y};
+
+    let clickedElement = this.getElementAt(point);
+    clickedElement && this.clickElement(clickedElement, point);
+    this.wake();
+  }
+
+  /**
+   * Activates an image w/o a pointer, e.g. via keyboard. The image is clicked
+   * w/ its on-screen center as position (see {@link Scene#clickElement}),
+   * or closed if it is open in the lightbox
+   *
+   * @param {*} key - Key of the activated image
+   */
+  activate(key) {
+    let elem = this.getElementByKey(key);
+    if (!elem) {
+      return;
+    }
+    if (this.lightbox && this.lightbox.element === elem) {
+      this.closeLightbox();
+    } else {
+      this.clickElement(elem, this.toScreenCoords(elem.center, elem));
+    }
+  }
+
+  /**
+   * Reports a clicked image via an 'imageClick' event and opens it in the
+   * lightbox if enabled
+   *
+   * @param {object} elem - Canvas element of the clicked image
+   * @param {object} position - Object containing x and y coords relative to the canvas
+   */
+  clickElement(elem, position) {
+    this.emitImageEvent('imageClick', elem, position);
+    this.getLightboxOptions().enabled && this.openLightbox(elem.key);
+  }
+
+  /**
+   * Opens an image in the lightbox: the image animates from its place on the
+   * canvas to a centered view at its full size (fitted to the canvas), while
+   * the other images are dimmed or blurred and the parallax pauses.
+   * Images can only be opened once the intro has finished.
+   *
+   * @param {*} key - Key of the image to open
+   */
+  openLightbox(key) {
+    let elem = this.getElementByKey(key);
+    if (!elem || !elem.isDrawable() || !this.hasInitAnimationFinished ||
+        (this.lightbox && this.lightbox.element === elem)) {
+      return;
+    }
+    this.lightbox = {
+      element: elem,
+      from: this.getScreenBounds(elem),
+      state: 'opening',
+      progress: 0,
+      startProgress: 0,
+      startTime: undefined,
+    };
+    // Images behind the lightbox aren't hovered
+    this.updateHoveredElement();
+    this.emitLightboxChange(elem, 'opening');
+    this.wake();
+  }
+
+  /**
+   * Animates the image open in the lightbox (if any) back to its place on the canvas
+   */
+  closeLightbox() {
+    if (!this.lightbox || this.lightbox.state === 'closing') {
+      return;
+    }
+    // Closing while still opening reverses from the current progress
+    Object.assign(this.lightbox, {state: 'closing', startProgress: this.lightbox.progress, startTime: undefined});
+    this.emitLightboxChange(this.lightbox.element, 'closing');
+    this.wake();
+  }
+
+  /**
+   * Finds the image closest to an image in a direction, based on their on-screen
+   * centers, and reports it via a 'focusItem' event
+   *
+   * @param {*} key - Key of the image to start from
+   * @param {object} direction - Unit vector (x and y) pointing in the search direction
+   */
+  navigate(key, direction) {
+    let fromElement = this.getElementByKey(key);
+    if (!fromElement) {
+      return;
+    }
+    let candidates = this.canvasElements.filter(elem => elem !== fromElement);
+    let onScreenCenter = elem => this.toScreenCoords(elem.center, elem);
+    let next = findClosestInDirection(onScreenCenter(fromElement), candidates.map(onScreenCenter), direction);
+    next !== -1 && this.emit('focusItem', {key: candidates[next].key});
+  }
+
+  /**
+   * Stops the animation loop & all pending image loads
+   */
+  destroy() {
+    this.isDestroyed = true;
+    this.setPaused(true);
+    this.getElementsInPaintOrder().forEach(elem => elem.cancelLoading());
+  }
+
+  /**
+   * Emits an event concerning an image, see {@link Scene}
+   *
+   * @param {string} name - Name of the event, e.g. 'imageClick'
+   * @param {object} elem - Canvas element of the image
+   * @param {object} position - Object containing x and y coords relative to the canvas
+   */
+  emitImageEvent(name, elem, position) {
+    this.emit(name, {key: elem.key, index: elem.index, position});
+  }
+
+  /**
+   * Emits a 'lightboxChange' event w/ the key & index of the image in the
+   * lightbox, the lightbox' state ('opening', 'open', 'closing' or 'closed') and
+   * the centered region (x, y, width, height) the image occupies once open
+   *
+   * @param {object} elem - Canvas element of the image in the lightbox
+   * @param {string} state - State of the lightbox
+   */
+  emitLightboxChange(elem, state) {
+    this.emit('lightboxChange', {key: elem.key, index: elem.index, state, rect: this.getLightboxRect(elem)});
+  }
+
+  /**
+   * Resets the context's transform to a scale by the device pixel ratio so
+   * drawing commands can be issued in CSS px
+   *
+   * @param {object} ctx - Canvas rendering context object
+   */
+  resetTransform(ctx) {
+    let {pixelRatio} = this.size;
+    ctx.setTransform(pixelRatio, 0, 0, pixelRatio, 0, 0);
+  }
+  /**
+   * Clears the canvas completelly
+   *
+   * @param {object} ctx - Canvas rendering context object
+   */
+   clearCanvas = (ctx) => {
+     ctx.save();
+     ctx.globalCompositeOperation = 'copy';
+     ctx.strokeStyle = 'transparent';
+     ctx.beginPath();
+     ctx.lineTo(0, 0);
+     ctx.stroke();
+     ctx.restore();
+   }
+   /**
+    * Loads the backdrop image set via the background prop. The background is
+    * only filled until it has loaded, or if it fails to load
+    */
+   loadBackdrop() {
+     let {image} = this.getBackgroundOptions();
+     if (!image) {
+       this.backdrop = undefined;
+       return;
+     }
+     if (this.backdrop && this.backdrop.url === image) {
+       return;
+     }
+     let backdrop = {url: image, source: undefined};
+     this.backdrop = backdrop;
+     this.loadSource(image, source => {
+       if (this.backdrop === backdrop) {
+         backdrop.source = source;
+         this.wake();
+       }
+     }, () => {});
+   }
+   /**
+    * Fills the canvas w/ the background & draws the backdrop image over it,
+    * see DEFAULT_BACKGROUND. The backdrop covers the canvas like the 'cover'
+    * fit mode. It is blurred once per size & cached (see {@link createFilterCache})
+    * as blurring it every frame is too slow. The backdrop is drawn larger than
+    * the canvas so the blur doesn't fade out its edges
+    *
+    * @param {object} ctx - Canvas rendering context object
+    */
+   drawBackground(ctx) {
+     let {fill, blur, opacity} = this.getBackgroundOptions();
+     let {width, height, pixelRatio} = this.size;
+     this.resetTransform(ctx);
+     ctx.fillStyle = createFillStyle(ctx, fill, 0, 0, width, height);
+     ctx.fillRect(0, 0, width, height);
+
+     let source = this.backdrop && this.backdrop.source;
+     if (!source) {
+       return;
+     }
+     let copyWidth = Math.floor(width * pixelRatio);
+     let copyHeight = Math.floor(height * pixelRatio);
+     let margin = 2 * blur * pixelRatio;
+     let copy = this.filterCache(source, formatFilter({blur: blur * pixelRatio}), copyWidth, copyHeight, copyCtx => {
+       let natural = {width: source.naturalWidth || source.width, height: source.naturalHeight || source.height};
+       let region = {x: -margin, y: -margin, width: copyWidth + 2 * margin, height: copyHeight + 2 * margin};
+       let {source: part, dest} = fitSource('cover', natural, region);
+       copyCtx.drawImage(source, part.x, part.y, part.width, part.height, dest.x, dest.y, dest.width, dest.height);
+     });
+     ctx.globalAlpha = opacity;
+     ctx.drawImage(copy, 0, 0, width, height);
+     ctx.globalAlpha = 1;
+   }
+   /**
+    * Animates canvas in an animation loop to either
+    * A) initially load the images via {@link Scene#loadingAnimation} or
+    * B) animate the images and canvas loading based on the mouse position
+    *    via {@link Scene#drawingAnimation}
+    * The selection above depends on the value of the instance variable
+    * {@link Scene#hasInitAnimationFinished}
+    *
+    * Once the scene comes to rest the loop sleeps, i.e. stops requesting frames,
+    * until something changes & calls {@link Scene#wake}
+    *
+    * Followers are stepped by the time elapsed since the previous frame, or by
+    * a 60fps frame in the first frame after sleeping
+    *
+    * @param {number} timestamp - current point in time (in ms) when requestAnimationFrame()
+    *                             starts to execute callback functions.
+    */
+   animate(timestamp) {
+     this.animationID = undefined;
+     let elapsed = this.lastFrameTime === undefined ? FRAME_DURATION :
+       Math.min((timestamp - this.lastFrameTime) / 1000, MAX_FRAME_ELAPSED);
+     this.lastFrameTime = timestamp;
+
+     let isAtRest = false;
+     if (!this.hasInitAnimationFinished) {
+       this.loadingAnimation(timestamp);
+     } else {
+       isAtRest = this.drawingAnimation(timestamp, elapsed);
+     }
+
+     // Loop animation until the scene is at rest
+     if (!isAtRest) {
+       this.wake();
+     } else {
+       this.lastFrameTime = undefined;
+     }
+   }
+   /**
+    * Resumes the animation loop in {@link Scene#animate} unless it is paused
+    * (see {@link Scene#isPaused}) or a frame was already requested.
+    * Called whenever something may set the scene in motion: input, prop changes,
+    * resizes, image loads, etc.
+    */
+   wake = () => {
+     if (this.animationID === undefined && !this.isPaused() && !this.isDestroyed) {
+       this.animationID = this.scheduler.requestFrame((timestamp)=>this.animate(timestamp));
+     }
+   }
+   /**
+    * Whether the animation loop is paused, see {@link Scene#setPaused}
+    *
+    * @returns True if no frames should be drawn
+    */
+   isPaused() {
+     return this.paused;
+   }
+   /**
+    * Animation loop for when images first load and get drawn to the canvas for
+    * the first time.
+    * Checks if image has actually loaded before starting the animation specified
+    * in {@link CanvasElement#drawFadeIn}
+    *
+    * At each step the each LOADED image's opacity animates from 0 to 1 w/ an
+    * easeOut easing function
+    *
+    * @param {number} timestamp - current point in time (in ms) when requestAnimationFrame()
+    *                             starts to execute callback functions.
+    */
+   loadingAnimation(timestamp) {
+     let ctx = this.canvas.getContext('2d', { alpha: false });
+     // Clear canvas
+     this.clearCanvas(ctx);
+     this.drawBackground(ctx);
+     if (this.loadingStartTime === undefined) {
+       this.loadingStartTime = timestamp;
+     }
+     // Draw new images w/ their entrance effect, skipping images outside the viewport.
+     // Entrances are staggered from the start of the intro on
+     let intro = this.getIntroOptions();
+     let duration = this.prefersReducedMotion ? 0 : intro.duration;
+     let visibleElements = this.updateVisibleElements(this.getZoomTarget());
+     if (!this.introDelays) {
+       this.introDelays = getIntroDelays(visibleElements, this.getView(), intro);
+     }
+     let getTransform = progress => getIntroTransform(progress, intro);
+     let drawElement = elem => {
+       if (elem.isDrawable()) {
+         let delay = this.prefersReducedMotion ? 0 : this.introDelays.get(elem) || 0;
+         this.translateToLayer(ctx, elem);
+         elem.drawFadeIn(ctx, duration, timestamp, this.easing.fade,
+             {startTime: this.loadingStartTime + delay, getTransform});
+       }
+     };
+     this.decorativeElements.background.forEach(drawElement);
+     visibleElements.forEach(drawElement);
+     this.decorativeElements.foreground.forEach(drawElement);
+
+     // initalAnimation has finished iff all images have loaded (or failed) and
+     // the visible ones have opacities 1. Images outside the viewport fade in once they come into view.
+     // After the loading timeout, images that are still loading are no longer waited for
+     let {timeout} = this.getLoadingOptions();
+     let hasTimedOut = timestamp - this.loadingStartTime >= timeout;
+     let isVisible = new Set(visibleElements);
+     this.hasInitAnimationFinished = this.canvasElements.every(elem =>
+       elem.isDrawable() ? elem.opacity === 1 || !isVisible.has(elem) : hasTimedOut
+     );
+
+     if (this.hasInitAnimationFinished) {
+       this.introEnd = {time: timestamp, left: this.origin.currentLeft, top: this.origin.currentTop};
+       this.emit('loadComplete');
+     }
+   }
+  /**
+   * Applies a paralax effect by animating the canvas's origin, based on the
+   * current mouse coordinates.
+   * It then re-draws images, animating their dimensions based on the distance of
+   * their centers to the mouse position - see {@link CanvasElement#draw} method
+   *
+   * At each time step, the canva's origin animates towards its final value using
+   * an easing function.
+   * This easing is not-deterministic as the destinationValue depends on the mouse
+   * movement that may change suddenly
+   *
+   * Images loaded after the initial loading animation are faded in here
+   *
+   * While an image is open in the lightbox the origin & the dimensions of the
+   * images are frozen, see {@link Scene#drawLightbox}
+   *
+   * @param {number} timestamp - current point in time (in ms) when requestAnimationFrame()
+   *                             starts to execute callback functions.
+   * @param {number} elapsed - Time (in s) the followers are stepped by, see {@link Scene#animate}
+   *
+   * @returns True if the scene is at rest, i.e. the origin, the dimensions of
+   *          all drawn elements & their opacities have settled (see REST_THRESHOLD)
+   *          and none of them is animated (see {@link CanvasElement#isAnimated})
+   */
+  drawingAnimation(timestamp, elapsed = FRAME_DURATION) {
+    let ctx = this.canvas.getContext('2d', { alpha: false });
+
+    // Clear canvas
+    this.clearCanvas(ctx);
+    this.drawBackground(ctx);
+
+    // Advance the lightbox transition, which may close the lightbox for good.
+    // The image is still drawn in the lightbox this frame so it lands in its place
+    let lightbox = this.lightbox;
+    lightbox && this.updateLightbox(timestamp);
+
+    // Destination values for canva's origin in the x and y plane resp.
+    // Right after the intro the origin only gradually follows the mouse
+    let handoff = this.getHandoffProgress(timestamp);
+    let {x: destLeft, y: destTop} = this.getParallaxDestination();
+    if (handoff < 1) {
+      destLeft = this.introEnd.left + (destLeft - this.introEnd.left) * handoff;
+      destTop = this.introEnd.top + (destTop - this.introEnd.top) * handoff;
+    }
+    // Values at current time step
+    let currLeft = this.origin.currentLeft;
+    let currTop = this.origin.currentTop;
+    // Rate of change at current time step
+    let speedLeft = this.origin.speedLeft;
+    let speedTop = this.origin.speedTop;
+    // Follower used for easing - Reduced motion keeps the origin static
+    let follower = this.prefersReducedMotion ? snapFollower : this.easing.origin;
+    if (lightbox) {
+      follower = HOLD_FOLLOWER;
+    }
+
+    // Apply easing and store results for next loop
+    [this.origin.currentLeft, this.origin.speedLeft] = follower(destLeft, currLeft, speedLeft, elapsed);
+    [this.origin.currentTop, this.origin.speedTop] = follower(destTop, currTop, speedTop, elapsed);
+    // Values held by the lightbox don't move towards their destinations
+    let isHeld = follower === HOLD_FOLLOWER;
+    let isAtRest = isSettled(this.origin.currentLeft, currLeft, isHeld ? 0 : destLeft - this.origin.currentLeft) &&
+                   isSettled(this.origin.currentTop, currTop, isHeld ? 0 : destTop - this.origin.currentTop) &&
+                   !this.isOverscrolled() && (!lightbox || lightbox.state === 'open') &&
+                   handoff === 1;
+
+
+    // The image focused via keyboard takes the place of the mouse
+    let zoomTarget = this.getZoomTarget();
+
+    // Cull canvas elements outside the viewport & order the rest based on their
+    // depth & the distance of their centers from the mouse
+    let visibleElements = this.updateVisibleElements(zoomTarget);
+
+    // Draw new images by iterating over the sorted visible elements, between the
+    // decorative background & foreground layers
+    // Elements closest to the mouse get painted over elements that are furter away.
+    // Images loading after the intro fade in
+    let duration = this.prefersReducedMotion ? 0 : this.getIntroOptions().duration;
+    let zoomFollower = this.prefersReducedMotion ? snapFollower : this.easing.zoom;
+    if (lightbox) {
+      zoomFollower = HOLD_FOLLOWER;
+    }
+    // In 'single' mode only the top-most image under the mouse zooms
+    let zoomedElement = this.props.zoom.mode === 'single' ?
+      this.getElementAt(zoomTarget) : undefined;
+    let drawElement = (elem, canZoom) => {
+      if (!elem.isDrawable() || (lightbox && elem === lightbox.element)) {
+        return;
+      }
+      // Translate canvas to the position of the element's layer
+      this.translateToLayer(ctx, elem);
+      // Apply changes to mouseCoords so they match the translated layer origin
+      let translatedMouseCoords = this.toLayerCoords(zoomTarget, elem);
+
+      let prevValue = elem.currentValue;
+      elem.opacity < 1 && elem.updateFadeIn(duration, timestamp, this.easing.fade);
+      let follower = handoff < 1 && !lightbox ?
+        blendZoomFollower(zoomFollower, handoff, elem.zoomProfile.cutoff) : zoomFollower;
+      elem.draw(ctx, translatedMouseCoords, follower, canZoom, elapsed);
+      isAtRest = isAtRest && elem.opacity === 1 && !elem.isAnimated() &&
+                 isSettled(elem.currentValue, prevValue, lightbox ? 0 : elem.getRemainingDistance());
+    };
+    let {backdrop, blurRadius} = this.getLightboxOptions();
+    if (lightbox && backdrop === 'blur') {
+      ctx.filter = `blur(${blurRadius * lightbox.progress}px)`;
+    }
+    this.decorativeElements.background.forEach(elem => drawElement(elem, false));
+    visibleElements.forEach(elem => drawElement(elem, !zoomedElement || elem === zoomedElement));
+    this.decorativeElements.foreground.forEach(elem => drawElement(elem, false));
+    if (lightbox) {
+      this.drawLightbox(ctx, lightbox);
+      isAtRest = isAtRest && !lightbox.element.isAnimated();
+    }
+
+    // Images move under a still pointer, so hovering is re-evaluated every frame
+    this.updateHoveredElement();
+    this.emitViewChange();
+
+    return isAtRest;
+  }
+  /**
+   * Advances the transition of the lightbox towards its open or closed state.
+   * Emits a 'lightboxChange' event once the image is open, or once it is back
+   * in its place, in which case the lightbox closes
+   *
+   * @param {number} timestamp - current point in time (in ms) when requestAnimationFrame()
+   *                             starts to execute callback functions.
+   */
+  updateLightbox(timestamp) {
+    let lightbox = this.lightbox;
+    let {duration} = this.getLightboxOptions();
+    if (lightbox.startTime === undefined) {
+      lightbox.startTime = timestamp;
+    }
+    // Reduced motion skips the transition
+    let elapsed = duration > 0 && !this.prefersReducedMotion ?
+      (timestamp - lightbox.startTime) / duration : 1;
+
+    if (lightbox.state === 'opening') {
+      lightbox.progress = Math.min(1, lightbox.startProgress + elapsed);
+      if (lightbox.progress === 1) {
+        lightbox.state = 'open';
+        this.emitLightboxChange(lightbox.element, 'open');
+      }
+    } else if (lightbox.state === 'closing') {
+      lightbox.progress = Math.max(0, lightbox.startProgress - elapsed);
+      if (lightbox.progress === 0) {
+        this.lightbox = undefined;
+        this.emitLightboxChange(lightbox.element, 'closed');
+      }
+    }
+  }
+  /**
+   * Draws the backdrop of the lightbox & the image in it, in between its
+   * place on the canvas & the centered view, see {@link Scene#getLightboxRect}
+   *
+   * @param {object} ctx - Canvas rendering context object
+   * @param {object} lightbox - The lightbox, see {@link Scene#lightbox}
+   */
+  drawLightbox(ctx, lightbox) {
+    let {backdrop, dimOpacity} = this.getLightboxOptions();
+    let {element, from, progress} = lightbox;
+    this.resetTransform(ctx);
+    ctx.filter = 'none';
+    if (backdrop === 'dim') {
+      ctx.fillStyle = `rgba(0, 0, 0, ${dimOpacity * progress})`;
+      ctx.fillRect(0, 0, this.size.width, this.size.height);
+    }
+
+    let to = this.getLightboxRect(element);
+    let t = this.easing.lightbox(progress);
+    let interpolate = (start, end) => start + (end - start) * t;
+    element.paint(ctx,
+        interpolate(from.x, to.x),
+        interpolate(from.y, to.y),
+        interpolate(from.width, to.width),
+        interpolate(from.height, to.height));
+  }
+  /**
+   * Calculates the region an image occupies once open in the lightbox: centered
+   * in the canvas at its full size, scaled down to fit within the padding
+   *
+   * @param {object} elem - Canvas element of the image
+   *
+   * @returns Object containing the x and y coords of the top-left corner as well
+   *          as the width and height of the region, relative to the canvas
+   */
+  getLightboxRect(elem) {
+    let {padding} = this.getLightboxOptions();
+    let {width, height} = elem.getNaturalSize();
+    let scale = Math.max(0, Math.min(1,
+      (this.size.width - 2 * padding) / width,
+      (this.size.height - 2 * padding) / height));
+    return {
+      x: (this.size.width - width * scale) / 2,
+      y: (this.size.height - height * scale) / 2,
+      width: width * scale,
+      height: height * scale,
+    };
+  }
+  /**
+   * Returns the lightbox options passed via props merged w/ DEFAULT_LIGHTBOX
+   *
+   * @returns The lightbox options
+   */
+  getLightboxOptions() {
+    return {...DEFAULT_LIGHTBOX, ...this.props.lightbox};
+  }
+  /**
+   * Returns all elements in the order they are painted: decorative background
+   * layers, images and decorative foreground layers
+   *
+   * @returns Array of elements, the element painted last at its end
+   */
+  getElementsInPaintOrder() {
+    return [
+      ...this.decorativeElements.background,
+      ...this.canvasElements,
+      ...this.decorativeElements.foreground,
+    ];
+  }
+  /**
+   * Resolves the easing configuration passed via props into the followers &
+   * curves used in the animation loop
+   */
+  resolveEasing() {
+    let {origin, zoom, fade, lightbox} = {...DEFAULT_EASING, ...this.props.easing};
+    this.easing = {
+      origin: resolveFollower(origin),
+      zoom: resolveFollower(zoom),
+      fade: resolveEasing(fade),
+      lightbox: resolveEasing(lightbox),
+    };
+  }
+  /**
+   * Returns the point images grow towards in {@link Scene#drawingAnimation}:
+   * the on-screen center of the image focused via keyboard, or the mouse coords
+   *
+   * @returns Object containing x and y coords relative to the canvas
+   */
+  getZoomTarget() {
+    let focusedElement = this.getElementByKey(this.focusedKey);
+    if (focusedElement) {
+      return this.toScreenCoords(focusedElement.center, focusedElement);
+    }
+    return {x: this.mouseCoords.x, y: this.mouseCoords.y};
+  }
+  /**
+   * Returns the canvas element drawing the image w/ the given key
+   *
+   * @param {*} key - Key of the image, see {@link getImageKey}
+   *
+   * @returns The matching canvas element or undefined
+   */
+  getElementByKey(key) {
+    return key === undefined ? undefined : this.canvasElements.find(elem => elem.key === key);
+  }
+  /**
+   * Returns the destination the canvas origin animates towards in
+   * {@link Scene#drawingAnimation}, based on the selected parallax source.
+   * In 'bounded' scroll mode the destination is kept within the content's bounds.
+   * Reduced motion ignores the parallax source & keeps the origin where it was
+   * panned to, see {@link Scene#panTo}
+   *
+   * @returns Object containing x and y destination values
+   */
+  getParallaxDestination() {
+    if (this.prefersReducedMotion) {
+      return this.panMovement;
+    }
+    let destination = this.props.parallaxSource === 'orientation' ?
+      this.orientationMovement :
+      {x: this.mouseCoords.totalMovementX, y: this.mouseCoords.totalMovementY};
+
+    if (this.getScrollOptions().mode === 'bounded' && this.contentBounds) {
+      this.settleOverscroll();
+      return this.applyScrollBounds(destination);
+    }
+    return destination;
+  }
+  /**
+   * Returns the translation of a layer's origin. Layers move in the opposite
+   * direction of the mouse by a factor of origin.coefficient * depth, so near
+   * layers (larger depths) move more than far layers.
+   *
+   * @param {number} depth - Depth of the layer
+   *
+   * @returns Object containing the x and y translation (in px)
+   */
+  getLayerOffset(depth) {
+    return {
+      x: Math.floor(-this.origin.currentLeft * this.origin.coefficient * depth),
+      y: Math.floor(-this.origin.currentTop * this.origin.coefficient * depth),
+    };
+  }
+  /**
+   * Returns the translation of an element: the offset of its layer plus, in
+   * 'wrap' scroll mode, the multiple of the tile size that brings it back into view
+   *
+   * @param {object} elem - Canvas element
+   *
+   * @returns Object containing the x and y translation (in px)
+   */
+  getElementOffset(elem) {
+    let offset = this.getLayerOffset(elem.depth);
+    if (this.getScrollOptions().mode !== 'wrap' || !this.contentBounds) {
+      return offset;
+    }
+
+    // Elements are wrapped into a tile that starts just outside the top-left
+    // edge of the canvas. Tiles are larger than the canvas so that each element
+    // is drawn at most once & never pops in or out while visible
+    let {tileWidth, tileHeight, margin} = this.getWrapTile();
+    let x = elem.center.x + offset.x;
+    let y = elem.center.y + offset.y;
+    return {
+      x: offset.x + wrapCoordinate(x, -margin, tileWidth) - x,
+      y: offset.y + wrapCoordinate(y, -margin, tileHeight) - y,
+    };
+  }
+  /**
+   * Calculates the size of the tile images repeat in when wrapping
+   *
+   * @returns Object containing the tileWidth, tileHeight & the margin (in px)
+   *          around the canvas in which partly visible images are drawn
+   */
+  getWrapTile() {
+    let {gap} = this.getScrollOptions();
+    let {minX, minY, maxX, maxY} = this.contentBounds;
+    let margin = this.contentBounds.margin;
+    return {
+      tileWidth: Math.max(maxX - minX, this.size.width) + 2 * margin + gap,
+      tileHeight: Math.max(maxY - minY, this.size.height) + 2 * margin + gap,
+      margin,
+    };
+  }
+  /**
+   * Translates the canvas to the origin of an element's layer, see
+   * {@link Scene#getElementOffset}
+   *
+   * @param {object} ctx - Canvas rendering context object
+   * @param {object} elem - Canvas element
+   */
+  translateToLayer(ctx, elem) {
+    let offset = this.getElementOffset(elem);
+    this.resetTransform(ctx);
+    ctx.translate(offset.x, offset.y);
+  }
+  /**
+   * Calculates the region an image currently occupies on screen, i.e. the
+   * region it is drawn in (see {@link CanvasElement#getBounds}) mapped out of its layer
+   *
+   * @param {object} elem - Canvas element
+   *
+   * @returns Object containing the x and y coords of the top-left corner as well
+   *          as the width and height of the region, relative to the canvas
+   */
+  getScreenBounds(elem) {
+    let bounds = elem.getBounds(this.toLayerCoords(this.getZoomTarget(), elem));
+    return {...bounds, ...this.toScreenCoords(bounds, elem)};
+  }
+  /**
+   * Maps coordinates relative to the canvas (e.g. the mouse coords) into the
+   * translated space of an element's layer. See {@link Scene#getElementOffset}
+   * ! Does not directly modify the given coordinates
+   *
+   * @param {object} point - Object containing x and y coords relative to the canvas
+   * @param {object} elem - Canvas element
+   *
+   * @returns Object containing the translated x and y coords
+   */
+  toLayerCoords(point, elem) {
+    let offset = this.getElementOffset(elem);
+    return {x: point.x - offset.x, y: point.y - offset.y};
+  }
+  /**
+   * Maps coordinates in the translated space of an element's layer to coordinates
+   * relative to the canvas. Inverse of {@link Scene#toLayerCoords}
+   *
+   * @param {object} point - Object containing x and y coords relative to the layer origin
+   * @param {object} elem - Canvas element
+   *
+   * @returns Object containing x and y coords relative to the canvas
+   */
+  toScreenCoords(point, elem) {
+    let offset = this.getElementOffset(elem);
+    return {x: point.x + offset.x, y: point.y + offset.y};
+  }
+  /**
+   * Returns the scrolling options passed via props merged w/ DEFAULT_SCROLL
+   *
+   * @returns The scrolling options
+   */
+  getScrollOptions() {
+    return {...DEFAULT_SCROLL, ...this.props.scroll};
+  }
+  /**
+   * Returns the background options merged w/ DEFAULT_BACKGROUND
+   */
+  getBackgroundOptions() {
+    return {...DEFAULT_BACKGROUND, ...this.props.background};
+  }
+  /**
+   * Returns the intro options merged w/ their defaults, see util/intro.js
+   */
+  getIntroOptions() {
+    return {...DEFAULT_INTRO, ...this.props.intro};
+  }
+  /**
+   * Returns how far the hover zoom & parallax have blended in after the intro,
+   * so they don't jump to their destinations the moment the intro finishes
+   *
+   * @param {number} timestamp - Timestamp (in ms) of the current frame
+   *
+   * @returns The eased progress from 0 to 1, 1 w/ reduced motion
+   */
+  getHandoffProgress(timestamp) {
+    let {handoff} = this.getIntroOptions();
+    if (!this.introEnd || this.prefersReducedMotion || !(handoff > 0)) {
+      return 1;
+    }
+    return HANDOFF_CURVE(clamp((timestamp - this.introEnd.time) / handoff, 0, 1));
+  }
+  /**
+   * Re-computes the bounding box of the images, plus the margin needed to fit
+   * the largest image at its max zoom. Used for the 'wrap' & 'bounded' scroll modes
+   */
+  updateContentBounds() {
+    this.contentBounds = getBoundingBox(this.canvasElements.map(elem => ({
+      x: elem.center.x - elem.width / 2,
+      y: elem.center.y - elem.height / 2,
+      width: elem.width,
+      height: elem.height,
+    })));
+    if (this.contentBounds) {
+      this.contentBounds.margin = this.getElementsInPaintOrder().reduce((margin, elem) => {
+        let {width, height} = elem.getMaxBounds();
+        return Math.max(margin, width / 2, height / 2);
+      }, 0);
+    }
+  }
+  /**
+   * Calculates the range the canvas origin may move in for the 'bounded' scroll
+   * mode, expressed in the same units as the accumulated mouse movement.
+   * Content larger than the canvas may move until its edges reach the canvas edges,
+   * smaller content may move until it touches them (both plus the padding).
+   *
+   * @returns Object containing the minX, maxX, minY & maxY of the range
+   */
+  getScrollRange() {
+    let {padding} = this.getScrollOptions();
+    let {minX, minY, maxX, maxY} = this.contentBounds;
+    let {coefficient} = this.origin;
+    // Range of the translation of the canvas origin, see {@link Scene#getLayerOffset}
+    let translationRange = (min, max, size) => {
+      let a = size - max - padding;
+      let b = padding - min;
+      return [Math.min(a, b), Math.max(a, b)];
+    };
+    let [minTranslateX, maxTranslateX] = translationRange(minX, maxX, this.size.width);
+    let [minTranslateY, maxTranslateY] = translationRange(minY, maxY, this.size.height);
+    // The origin moves in the opposite direction of the mouse
+    return {
+      minX: -maxTranslateX / coefficient,
+      maxX: -minTranslateX / coefficient,
+      minY: -maxTranslateY / coefficient,
+      maxY: -minTranslateY / coefficient,
+    };
+  }
+  /**
+   * Keeps a destination of the canvas origin within the scroll range, letting it
+   * overshoot the range w/ a rubber band effect. See {@link Scene#getScrollRange}
+   *
+   * @param {object} destination - Object containing x and y destination values
+   *
+   * @returns The constrained destination
+   */
+  applyScrollBounds(destination) {
+    let range = this.getScrollRange();
+    let limit = this.getScrollOptions().overscroll / this.origin.coefficient;
+    return {
+      x: rubberBandClamp(destination.x, range.minX, range.maxX, limit),
+      y: rubberBandClamp(destination.y, range.minY, range.maxY, limit),
+    };
+  }
+  /**
+   * Whether the accumulated mouse movement lies outside the scroll range in
+   * 'bounded' scroll mode, i.e. the canvas is overscrolled & will spring back
+   * once the pointer rests. See {@link Scene#settleOverscroll}
+   *
+   * @returns True if the canvas is overscrolled
+   */
+  isOverscrolled() {
+    if (this.getScrollOptions().mode !== 'bounded' || !this.contentBounds ||
+        this.props.parallaxSource === 'orientation') {
+      return false;
+    }
+    let range = this.getScrollRange();
+    let {totalMovementX, totalMovementY} = this.mouseCoords;
+    return totalMovementX < range.minX || totalMovementX > range.maxX ||
+           totalMovementY < range.minY || totalMovementY > range.maxY;
+  }
+  /**
+   * Once the pointer rests, pulls the accumulated mouse movement back within the
+   * scroll range so an overscrolled canvas springs back (via the origin's easing)
+   */
+  settleOverscroll() {
+    if (this.isDragging) {
+      return;
+    }
+    if (this.scheduler.now() - this.lastPointerMoveTime < OVERSCROLL_SETTLE_DELAY) {
+      return;
+    }
+    let range = this.getScrollRange();
+    let {totalMovementX, totalMovementY} = this.mouseCoords;
+    this.mouseCoords.totalMovementX = clamp(totalMovementX, range.minX, range.maxX);
+    this.mouseCoords.totalMovementY = clamp(totalMovementY, range.minY, range.maxY);
+  }
+  /**
+   * Creates a compare function ordering canvas elements bassed on their depth and
+   * the distance of their centers from the given coordinates. Far elements get
+   * placed before near elements. Within the same depth, elements w/ centers
+   * closest to the coordinates get placed at end of array and are painted last.
+   * Ties are broken by the order of the images prop.
+   *
+   * @param {object} coords - Object containing x and y coords relative to the canvas
+   *
+   * @returns Compare function, as in Array.prototype.sort
+   */
+  comparePaintOrder(coords) {
+    // Distances are cached as each element is compared several times
+    let distances = new Map();
+    let distanceTo = elem => {
+      if (!distances.has(elem)) {
+        distances.set(elem, euclideanDistance(elem.center, this.toLayerCoords(coords, elem)));
+      }
+      return distances.get(elem);
+    };
+    return (elem1, elem2) =>
+      (elem1.depth - elem2.depth) || (distanceTo(elem2) - distanceTo(elem1)) ||
+      (elem1.index - elem2.index);
+  }
+  /**
+   * Finds the canvas elements within the viewport & sorts them in paint order
+   * (see {@link Scene#comparePaintOrder}).
+   * The order of the previous frame is kept as a starting point, so the
+   * insertion sort only has to move the few elements whose order changed
+   * instead of re-sorting all of them every frame.
+   * The filter cache grows to hold the filtered copies of all visible elements
+   * (plus the backdrop), so hovering several of them doesn't evict copies
+   * still drawn every frame
+   *
+   * @param {object} coords - Object containing x and y coords relative to the
+   *                          canvas, usually the zoom target
+   *
+   * @returns The visible elements in paint order
+   */
+  updateVisibleElements(coords) {
+    let viewport = {x: 0, y: 0, width: this.size.width, height: this.size.height};
+    let newlyVisible = new Set(this.getElementsInRect(viewport));
+    // Elements that stay visible keep their order, the remaining ones are new
+    let visibleElements = this.visibleElements.filter(elem => newlyVisible.delete(elem));
+    newlyVisible.forEach(elem => visibleElements.push(elem));
+    this.visibleElements = insertionSort(visibleElements, this.comparePaintOrder(coords));
+
+    let filterVariants = visibleElements.reduce((count, elem) => count + elem.getFilterVariantCount(), 1);
+    this.filterCache.setMaxEntries(Math.max(DEFAULT_FILTER_CACHE_SIZE, filterVariants));
+    return this.visibleElements;
+  }
+  /**
+   * Rebuilds the spatial index of the canvas elements, see {@link Scene#getElementsInRect}
+   * Elements are indexed by the largest region they may be drawn in
+   * (see {@link CanvasElement#getMaxBounds}) w/ one grid per depth, as each
+   * depth is translated by a different offset.
+   */
+  indexCanvasElements() {
+    this.spatialIndex = new Map();
+    this.canvasElements.forEach(elem => {
+      if (!this.spatialIndex.has(elem.depth)) {
+        this.spatialIndex.set(elem.depth, createSpatialGrid(SPATIAL_INDEX_CELL_SIZE));
+      }
+      this.spatialIndex.get(elem.depth).insert(elem, elem.getMaxBounds());
+    });
+  }
+  /**
+   * Finds the canvas elements that may be drawn within a region of the canvas,
+   * in no particular order. The region is mapped into the translated space of each
+   * depth & looked up in the spatial index (see {@link Scene#indexCanvasElements}).
+   * In 'wrap' scroll mode each element is translated differently so the elements
+   * are checked one by one instead.
+   *
+   * @param {object} rect - Object containing the x and y coords of the top-left
+   *                        corner as well as the width and height of the region,
+   *                        relative to the canvas
+   *
+   * @returns Array of the elements whose largest region overlaps the given region
+   */
+  getElementsInRect(rect) {
+    if (this.getScrollOptions().mode === 'wrap' && this.contentBounds) {
+      return this.canvasElements.filter(elem => {
+        let bounds = elem.getMaxBounds();
+        let offset = this.getElementOffset(elem);
+        return rectsIntersect({...bounds, x: bounds.x + offset.x, y: bounds.y + offset.y}, rect);
+      });
+    }
+    let elements = [];
+    this.spatialIndex.forEach((grid, depth) => {
+      let offset = this.getLayerOffset(depth);
+      let layerRect = {...rect, x: rect.x - offset.x, y: rect.y - offset.y};
+      elements = elements.concat(grid.query(layerRect));
+    });
+    return elements;
+  }
+  /**
+   * Turns the fractional left/top of an element's descriptor into an absolute
+   * position based on the current canvas dimensions
+   *
+   * @param {object} elem - Canvas element w/ the descriptor it was created from
+   */
+  layoutCanvasElement(elem) {
+    let img = elem.descriptor;
+    elem.setPosition(
+      img.left * this.size.width - img.w / 2,
+      img.top * this.size.height - img.h / 2,
+      img.w, img.h);
+  }
+  /**
+   * Re-computes the positions of all elements, e.g. after the canvas was resized
+   */
+  layoutCanvasElements() {
+    this.getElementsInPaintOrder().forEach(elem => this.layoutCanvasElement(elem));
+    this.applyLayout();
+    this.updateContentBounds();
+    this.indexCanvasElements();
+  }
+  /**
+   * Positions & sizes the canvas elements w/ the layout strategy passed via
+   * props (see util/layout.js) instead of their own left & top. The aspect
+   * ratios of the elements are taken from their w & h.
+   * Decorative elements keep their own positions
+   */
+  applyLayout() {
+    if (!this.props.layout.type) {
+      return;
+    }
+    let items = this.canvasElements.map(({descriptor}) => ({width: descriptor.w, height: descriptor.h}));
+    let rects = computeLayout(items, this.size, this.props.layout);
+    this.canvasElements.forEach((elem, idx) => {
+      let {x, y, width, height} = rects[idx];
+      elem.setPosition(x, y, width, height);
+    });
+  }
+  /**
+   * Brings a list of elements in sync w/ a list of descriptors.
+   * Descriptors are matched to existing elements via their keys:
+   * matched elements are repositioned & updated (e.g. reloaded if their url
+   * changed), new descriptors get a new element of their type (see
+   * {@link getElementType}) that loads and fades in, and elements whose
+   * descriptor was removed or changed its type are dropped.
+   *
+   * @param {array} elements - Current elements
+   * @param {array} entries - Objects containing the key, image descriptor
+   *                          (see {@link Canvas} props), index of the descriptor
+   *                          and depth of each element
+   *
+   * @returns The synced elements, in the order of the entries
+   */
+  syncElements(elements, entries) {
+    let existingElements = new Map(elements.map(elem => [elem.key, elem]));
+    let loadingOptions = this.getLoadingOptions();
+
+    let syncedElements = entries.map(({key, img, index, depth}) => {
+      let ElementType = getElementType(img.type, this.props.elementTypes);
+      let elem = existingElements.get(key);
+      let loadOptions = {
+        ...loadingOptions,
+        fallbackUrl: img.fallbackUrl || loadingOptions.fallbackUrl,
+        onSettled: this.handleElementSettled,
+        onSourceChange: this.wake,
+        loadSource: this.loadSource,
+        scheduler: this.scheduler,
+        pixelRatio: this.size.pixelRatio,
+        filterCache: this.filterCache,
+      };
+
+      if (elem && elem.constructor === ElementType) {
+        existingElements.delete(key);
+        elem.loadOptions = loadOptions;
+        elem.update(img);
+      } else {
+        elem = new ElementType(img);
+        elem.key = key;
+        elem.load(loadOptions);
+      }
+      elem.index = index;
+      elem.depth = depth;
+      elem.zoomProfile = resolveZoomProfile(this.props.zoom, img.zoom);
+      elem.setStyle({...this.props.imageStyle, ...img.style});
+      this.layoutCanvasElement(elem);
+      return elem;
+    });
+
+    // Elements left over were removed
+    existingElements.forEach(elem => elem.cancelLoading());
+    return syncedElements;
+  }
+  /**
+   * Returns the image loading options passed via props merged w/ DEFAULT_LOADING
+   *
+   * @returns The loading options
+   */
+  getLoadingOptions() {
+    return {...DEFAULT_LOADING, ...this.props.loading};
+  }
+  /**
+   * Called whenever an element loads or fails to load, see {@link CanvasElement#load}.
+   * Wakes the animation loop so the element gets drawn & reports the loading
+   * progress of the images via a 'loadProgress' event
+   * Decorative elements are not reported
+   *
+   * @param {object} settledElement - The element that loaded or failed
+   */
+  handleElementSettled = (settledElement) => {
+    this.wake();
+    if (!this.canvasElements.includes(settledElement)) {
+      return;
+    }
+    let loaded = this.canvasElements.filter(elem => elem.hasLoaded).length;
+    let failed = this.canvasElements.filter(elem => elem.hasFailed).length;
+    this.emit('loadProgress', {loaded, failed, total: this.canvasElements.length});
+  }
+  /**
+   * Brings the canvas elements in sync with the images passed via props.
+   * Images are matched to existing elements via {@link getImageKey}, see
+   * {@link Scene#syncElements}
+   *
+   * @param {array} images - Image descriptors (see {@link Canvas} props)
+   */
+  syncCanvasElements(images) {
+    this.canvasElements = this.syncElements(this.canvasElements, images.map((img, idx) => ({
+      key: getImageKey(img, idx),
+      img,
+      index: idx,
+      depth: img.depth !== undefined ? img.depth : DEFAULT_DEPTH,
+    })));
+
+    this.applyLayout();
+    this.updateContentBounds();
+    this.indexCanvasElements();
+
+    // Forget the hovered image if it was removed
+    if (this.hoveredElement && !this.canvasElements.includes(this.hoveredElement)) {
+      this.hoveredElement = undefined;
+    }
+    // Close the lightbox right away if its image was removed
+    if (this.lightbox && !this.canvasElements.includes(this.lightbox.element)) {
+      let {element} = this.lightbox;
+      this.lightbox = undefined;
+      this.emitLightboxChange(element, 'closed');
+    }
+  }
+  /**
+   * Brings the elements of the decorative layers in sync with the
+   * backgroundLayers & foregroundLayers props, see {@link Scene#syncElements}
+   */
+  syncDecorativeElements() {
+    ['background', 'foreground'].forEach(position => {
+      let entries = [];
+      this.props[`${position}Layers`].forEach((layer, layerIdx) =>
+        layer.images.forEach((img, idx) => entries.push({
+          key: `${layerIdx}-${getImageKey(img, idx)}`,
+          img,
+          index: idx,
+          depth: layer.depth,
+        }))
+      );
+      this.decorativeElements[position] = this.syncElements(this.decorativeElements[position], entries)
+        .sort((elem1, elem2) => elem1.depth - elem2.depth);
+    });
+    this.updateContentBounds();
+  }
+  /**
+   * Finds the top-most image under the pointer (see {@link Scene#getElementAt})
+   * and emits 'imageLeave' & 'imageEnter' events when it changes.
+   * Nothing is hovered while an image is open in the lightbox
+   */
+  updateHoveredElement() {
+    let position = {x: this.mouseCoords.x, y: this.mouseCoords.y};
+    let hoveredElement = this.isPointerInside && !this.lightbox ? this.getElementAt(position) : undefined;
+    if (hoveredElement === this.hoveredElement) {
+      return;
+    }
+
+    this.hoveredElement && this.emitImageEvent('imageLeave', this.hoveredElement, position);
+    this.hoveredElement = hoveredElement;
+    hoveredElement && this.emitImageEvent('imageEnter', hoveredElement, position);
+  }
+  /**
+   * Finds the top-most loaded element drawn at the given point.
+   * Candidates are looked up in the spatial index (see {@link Scene#getElementsInRect}),
+   * then the point is mapped into the translated space of each candidate's layer
+   * and hit-tested against the region the element was drawn in - see
+   * {@link CanvasElement#getBounds}. As images may overlap in the canvas, the
+   * matched element painted last (see {@link Scene#comparePaintOrder}) is selected.
+   * Decorative elements are never hit.
+   *
+   * @param {object} point - Object containing x and y coords relative to the canvas
+   *
+   * @returns The top-most element at the point or undefined
+   */
+  getElementAt(point) {
+    let zoomTarget = this.getZoomTarget();
+    let compare = this.comparePaintOrder(zoomTarget);
+    let topElement;
+    this.getElementsInRect({...point, width: 0, height: 0}).forEach(elem => {
+      if (elem.isDrawable() && elem.containsPoint(
+          this.toLayerCoords(point, elem), this.toLayerCoords(zoomTarget, elem)) &&
+          (!topElement || compare(elem, topElement) > 0)) {
+        topElement = elem;
+      }
+    });
+    return topElement;
+  }
+
+}
+
+export {getImageKey}
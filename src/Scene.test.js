@@ -0,0 +1,87 @@
+import Scene from './Scene';
+import {createManualScheduler, easeInQuad} from './util';
+import {createRecordingContext} from './testing';
+
+let ctx;
+let scheduler;
+let events;
+
+beforeEach(() => {
+  ctx = createRecordingContext();
+  scheduler = createManualScheduler({frameDuration: 16});
+  events = [];
+});
+
+/**
+ * Creates an 800x600 scene drawing to the recording context. Frames & image
+ * loads are driven by the manual scheduler: images load w/ the next frame
+ *
+ * @param {object} props - Scene props, see {@link Scene#setProps}
+ *
+ * @returns The scene
+ */
+let createScene = props => {
+  let canvas = {width: 0, height: 0, getContext: () => ctx};
+  let scene = new Scene(canvas, {
+    emit: (name, payload) => events.push([name, payload]),
+    scheduler,
+    loadSource: (url, onLoad) => scheduler.setTimer(() => onLoad({src: url}), 0),
+  });
+  scene.setSize({width: 800, height: 600, pixelRatio: 1});
+  scene.setProps(props);
+  return scene;
+};
+
+// Runs a frame, recording only the calls made during it
+let runFrame = () => {
+  ctx.reset();
+  scheduler.runFrame();
+};
+let drawnUrls = () => ctx.callsTo('drawImage').map(([img]) => img.src);
+
+test('fades images in along the fade curve', () => {
+  createScene({images: [{id: 'center', left: 0.5, top: 0.5, w: 100, h: 100, url: 'center.jpg'}]});
+
+  let alphas = [];
+  for (let i = 0; i < 130; i++) {
+    runFrame();
+    alphas.push(ctx.calls.find(([method, prop]) => method === 'set' && prop === 'globalAlpha')[2]);
+  }
+  // The fade starts w/ the frame the image loads in & lasts 2s
+  alphas.slice(0, 125).forEach((alpha, i) => expect(alpha).toBeCloseTo(easeInQuad(i * 16 / 2000)));
+  expect(alphas[alphas.length - 1]).toBe(1);
+  expect(scheduler.runUntilIdle()).toBeLessThan(1000);
+});
+
+test('eases the parallax until it settles', () => {
+  let scene = createScene({images: [{id: 'center', left: 0.5, top: 0.5, w: 100, h: 100, url: 'center.jpg'}]});
+  scheduler.runUntilIdle();
+
+  scene.setPointer({x: 300, y: 200, movementX: 200, movementY: 100, isInside: true});
+  let offsets = [];
+  while (scheduler.hasPendingFrame()) {
+    runFrame();
+    offsets.push(ctx.callsTo('translate')[0][0]);
+  }
+  let steps = offsets.slice(1).map((offset, i) => offset - offsets[i]);
+  // The origin moves in one direction w/ ever smaller steps until the loop sleeps
+  expect(offsets.length).toBeGreaterThan(10);
+  steps.forEach(step => expect(Math.sign(step)).not.toBe(-Math.sign(steps[0])));
+  expect(Math.abs(steps[steps.length - 1])).toBeLessThan(Math.abs(steps[0]));
+});
+
+test('paints images in depth order & hit-tests the top-most one', () => {
+  // A small image in front of a large one
+  let scene = createScene({images: [
+    {id: 'near', left: 0.5, top: 0.5, w: 100, h: 100, url: 'near.jpg', depth: 2},
+    {id: 'far', left: 0.5, top: 0.5, w: 300, h: 300, url: 'far.jpg', depth: 1},
+  ]});
+  runFrame();
+  expect(drawnUrls()).toEqual(['far.jpg', 'near.jpg']);
+  scheduler.runUntilIdle();
+
+  scene.click({x: 400, y: 300});
+  scene.click({x: 520, y: 420});
+  scene.click({x: 700, y: 300});
+  expect(events.filter(([name]) => name === 'imageClick').map(([, {key}]) => key)).toEqual(['near', 'far']);
+});
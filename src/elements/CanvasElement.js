@@ -0,0 +1,415 @@
+import {
+  euclideanDistance,
+  easeInQuad,
+  easeOutFollower,
+  FRAME_DURATION,
+  resolveZoomProfile,
+  getZoomScale,
+  getZoomWeight
+} from '../util';
+
+/**
+ * Depth of elements w/o a depth of their own. Elements at depth 1 move by the
+ * original parallax amount, see {@link Scene#getLayerOffset}
+ */
+const DEFAULT_DEPTH = 1;
+
+/**
+ * Color of the placeholder drawn in place of elements that failed to load
+ */
+const DEFAULT_PLACEHOLDER_COLOR = '#555555';
+
+/**
+ * @class representing elements drawn on screen
+ *  Each instance holds all positional data & methods necessary to fade in,
+ *  zoom, order & hit-test an element on an HTML5 canvas. What an element looks
+ *  like is up to its subclass, which paints it into the region it occupies,
+ *  see {@link CanvasElement#paint}
+ *
+ *  Subclasses (e.g. {@link CanvasImage}) implement
+ *   - paint(ctx, x, y, width, height): Paints the element into a region
+ *  and may override
+ *   - load(options): Loads the element's resources. Elements w/o resources are
+ *                    ready right away
+ *   - update(descriptor): Applies a changed descriptor to an existing element
+ *   - cancelLoading(): Stops loading the element's resources
+ *   - isAnimated(): Whether the element changes by itself (e.g. a playing
+ *                   video), which keeps the animation loop running
+ *   - setStyle(style): Sets the element's style, e.g. checking its values
+ *   - getFilterVariantCount(): Number of filtered copies of the element that
+ *                              may be cached, see {@link createFilterCache}
+ *   - getNaturalSize(): Full size of the element, e.g. for the lightbox
+ */
+export default class CanvasElement {
+
+  /**
+   * Represents an element and all positional data needed for painting on an HTML5 canvas
+   * Also initializes data used for easing element animations
+   * @constructor
+   *
+   * @param {object} descriptor - Descriptor the element is created from, see
+   *                              {@link Canvas} props. Its w & h are the width
+   *                              and height (in px) the element occupies in the canvas
+   */
+  constructor(descriptor) {
+    this.descriptor = descriptor;
+    this.setPosition(0, 0, descriptor.w, descriptor.h);
+    /** Boolean denoting whether on not the element has finished loading */
+    this.hasLoaded = false;
+    /** Boolean denoting whether all attempts to load the element failed,
+        in which case a placeholder is drawn instead */
+    this.hasFailed = false;
+    /** Options used to load the element, see {@link CanvasElement#load} */
+    this.loadOptions = {};
+    /** Opacity of element, animated in {@link CanvasElement#drawFadeIn} */
+    this.opacity = 0;
+    /** Timestamp equal to the time the element started it's fadein animation
+        in {@link CanvasElement#drawFadeIn}*/
+    this.loadingAnimationStartTime = null;
+    /** Used for easing animations in the {@link CanvasElement#draw} method */
+    this.currentValue = 2000;
+    /** Value currentValue eases towards, see {@link CanvasElement#getRemainingDistance} */
+    this.destinationValue = 2000;
+    this.speed = 0;
+    /** Describes how the element grows w/ the mouse's proximity, see util/zoom.js */
+    this.zoomProfile = resolveZoomProfile();
+    /** Appearance options, i.e. the imageStyle prop merged w/ the descriptor's
+        style, see {@link CanvasImage#getStyle} */
+    this.style = {};
+    /** Parallax depth of the layer the element is drawn in. Elements w/ larger
+        depths are nearer to the viewer and move more */
+    this.depth = DEFAULT_DEPTH;
+  }
+
+  /**
+   * Updates the positional data of the element, e.g. when the props describing
+   * it change after it has been drawn.
+   *
+   * @param {number} left - Element's left corner (in px) relative to the canvas origin
+   * @param {number} top -  Element's top corner (in px) relative to the canvas origin
+   * @param {number} width - Width (in px) the element will occupy in the canvas
+   * @param {number} height - Height (in px) the element will occupy in the canvas
+   */
+  setPosition(left, top, width, height) {
+    this.width = width;
+    this.height = height;
+    this.center = {
+      x: left + width / 2,
+      y: top + height / 2,
+    }
+  }
+
+  /**
+   * Applies a changed descriptor to the element, e.g. a new text or source.
+   * Subclasses reloading resources should call this first
+   *
+   * @param {object} descriptor - The new descriptor
+   */
+  update(descriptor) {
+    this.descriptor = descriptor;
+  }
+
+  /**
+   * Loads the element's resources. Elements w/o resources are ready right away
+   *
+   * @param {object} options - Loading options, see {@link CanvasImage#load}
+   * @param {function} options.onSettled - Called w/ the element once it has
+   *                                       either loaded or failed
+   */
+  load(options = {}) {
+    this.loadOptions = options;
+    this.hasLoaded = true;
+    options.onSettled && options.onSettled(this);
+  }
+
+  /**
+   * Stops loading the element's resources. Pending loads are ignored
+   */
+  cancelLoading() {}
+
+  /**
+   * Whether the element can be drawn, i.e. it either loaded or failed to load
+   * and is drawn as a placeholder
+   *
+   * @returns True if the element can be drawn
+   */
+  isDrawable() {
+    return this.hasLoaded || this.hasFailed;
+  }
+
+  /**
+   * Whether the element changes by itself, e.g. a playing video. The animation
+   * loop keeps running while such elements are visible
+   *
+   * @returns True if the element has to be re-painted every frame
+   */
+  isAnimated() {
+    return false;
+  }
+
+  /**
+   * Sets the element's appearance options, see {@link CanvasElement#style}
+   *
+   * @param {object} style - The imageStyle prop merged w/ the descriptor's style
+   */
+  setStyle(style) {
+    this.style = style;
+  }
+
+  /**
+   * Returns how many filtered copies of the element may be drawn, so the
+   * scene's filter cache can hold those of all visible elements
+   *
+   * @returns The number of copies, 0 for elements drawn w/o filters
+   */
+  getFilterVariantCount() {
+    return 0;
+  }
+
+  /**
+   * Returns the full size of the element, e.g. to show it in the lightbox.
+   * Defaults to the element's dimensions on the canvas
+   *
+   * @returns Object containing the width and height (in px)
+   */
+  getNaturalSize() {
+    return {width: this.width, height: this.height};
+  }
+
+  /**
+   * Paints the element into a region. Implemented by subclasses
+   *
+   * @param {object} ctx - Canvas rendering context object
+   * @param {number} x - Left corner (in px) of the region
+   * @param {number} y - Top corner (in px) of the region
+   * @param {number} width - Width (in px) of the region
+   * @param {number} height - Height (in px) of the region
+   */
+  paint(ctx, x, y, width, height) {
+    throw new Error(`${this.constructor.name} doesn't implement paint()`);
+  }
+
+  /**
+   * Paints the placeholder drawn in place of elements that failed to load
+   *
+   * @param {object} ctx - Canvas rendering context object
+   * @param {number} x - Left corner (in px) of the region
+   * @param {number} y - Top corner (in px) of the region
+   * @param {number} width - Width (in px) of the region
+   * @param {number} height - Height (in px) of the region
+   */
+  paintPlaceholder(ctx, x, y, width, height) {
+    ctx.fillStyle = this.loadOptions.placeholderColor || DEFAULT_PLACEHOLDER_COLOR;
+    ctx.fillRect(x, y, width, height);
+  }
+
+  /**
+   * Animates the opacity of the element from 0 to 1 w/ an easing curve
+   * (easeInQuad by default). The animation starts the first time this method
+   * is called, or at the given start time if that is later (e.g. to stagger
+   * the entrances of elements)
+   *
+   * @param {number} duration - Total animation duration (in ms)
+   * @param {number} timestamp - current point in time (in ms) when requestAnimationFrame()
+   *                             starts to execute callback functions.
+   * @param {function} easing - Easing curve, see util/easing.js
+   * @param {number} startTime - Earliest time (in ms) the animation may start at
+   */
+  updateFadeIn(duration, timestamp, easing = easeInQuad, startTime = timestamp) {
+    // Set animation start time
+    if (this.loadingAnimationStartTime === null) {
+      this.loadingAnimationStartTime = Math.max(timestamp, startTime);
+    }
+    // Calculate animation progress
+    let currentTime = timestamp - this.loadingAnimationStartTime;
+    if (currentTime < 0) {
+      // Still waiting for its turn
+      this.opacity = 0;
+    } else if (currentTime < duration) {
+      // Normalise currentTime/progress in the [0,1] range
+      let normalizedTime = currentTime / duration;
+      // Apply easing to normalized time
+      normalizedTime = easing(normalizedTime);
+      // Update animated opacity
+      this.opacity = normalizedTime;
+    } else {
+      this.opacity = 1;
+    }
+  }
+
+  /**
+   * Draws the element w/ its original dimensions while fading it in.
+   * See {@link CanvasElement#updateFadeIn}. An entrance transform may scale,
+   * offset & blur the element on top of that, based on the eased progress
+   * (the animated opacity), see util/intro.js
+   *
+   * @param {object} ctx - Canvas rendering context object
+   * @param {number} duration - Total animation duration (in ms)
+   * @param {number} timestamp - current point in time (in ms) when requestAnimationFrame()
+   *                             starts to execute callback functions.
+   * @param {function} easing - Easing curve, see util/easing.js
+   * @param {object} intro
+   * @param {number} intro.startTime - Earliest time (in ms) the entrance may start at
+   * @param {function} intro.getTransform - Maps the progress to the opacity,
+   *                                        scale, x & y offset and blur of the element
+   */
+  drawFadeIn(ctx, duration, timestamp, easing, {startTime, getTransform} = {}) {
+    this.updateFadeIn(duration, timestamp, easing, startTime);
+    let {opacity, scale, x, y, blur} = getTransform ?
+      getTransform(this.opacity) : {opacity: this.opacity, scale: 1, x: 0, y: 0, blur: 0};
+    let width = this.width * scale;
+    let height = this.height * scale;
+
+    // Draw element w/ opacity by manipulating globalAlpha, then reset.
+    // Overshooting curves may leave the [0,1] range
+    ctx.globalAlpha = Math.max(0, Math.min(1, opacity));
+    if (blur > 0) {
+      ctx.filter = `blur(${blur}px)`;
+    }
+    this.paint(ctx,
+        Math.floor(this.center.x - width / 2 + x),
+        Math.floor(this.center.y - height / 2 + y),
+        Math.floor(width),
+        Math.floor(height));
+    ctx.globalAlpha = 1;
+    if (blur > 0) {
+      ctx.filter = 'none';
+    }
+  }
+
+  /**
+   * Redraws an element on the canvas while animating the element's dimensions.
+   * The dimensions of the drawn element depend on the distance between the element's
+   * center and the mouse position, as described by the element's zoom profile
+   * (see util/zoom.js). By default the dimensions depend linerly on the distance:
+   * the closer the mouse gets to the element's center, the more the element's
+   * dimensions grow (up to 2x size)
+   *
+   * This function is called within an animation loop. At each time step,
+   * the element's dimensions slowly animate towards their final value using a
+   * follower (ease out by default, see util/easing.js).
+   * This easing is not-deterministic as the destinationValue depends on the mouseCoords
+   * that may change suddenly
+   *
+   * Elements that are still fading in (e.g. elements added after the initial
+   * loading animation) are drawn w/ their current opacity.
+   *
+   * @param {object} ctx - Canvas rendering context object
+   * @param {object} mouseCoords - Object containing x and y coords of the mouse
+   *                               relative to the canvas origin
+   * @param {function} follower - Follower easing the dimensions, see util/easing.js
+   * @param {boolean} canZoom - When false, the element animates back to its original
+   *                            size (e.g. while another element is the only one zoomed)
+   * @param {number} elapsed - Time (in s) since the previous frame the follower steps by
+   */
+  draw(ctx, mouseCoords, follower = easeOutFollower, canZoom = true, elapsed = FRAME_DURATION) {
+
+    // Value we want to reach as we animate - Expresses distance
+    let dest = euclideanDistance(this.center, mouseCoords);
+    // Elements that can't zoom animate towards the cutoff distance, i.e. their original size
+    if (!canZoom) {
+      dest = Math.max(dest, this.zoomProfile.cutoff);
+    }
+    // Value at current time step - Expresses distance
+    let curr = this.currentValue;
+    // Current rate of change
+    let speed = this.speed;
+    // All distances beyond the cutoff leave the element at its original size.
+    // Easing from further away (e.g. from the initial value) would only delay
+    // the zoom & then rush it, so the element starts at the cutoff at most
+    let restingValue = Math.max(dest, this.zoomProfile.cutoff);
+    if (curr > restingValue) {
+      curr = restingValue;
+      speed = 0;
+    }
+    // Apply easing
+    [this.currentValue, this.speed] = follower(dest, curr, speed, elapsed);
+    this.destinationValue = dest;
+
+    // Draw the element on the canvas w/ the new dimensions
+    let bounds = this.getBounds(mouseCoords);
+    ctx.globalAlpha = this.opacity;
+    this.paint(ctx, bounds.x, bounds.y, bounds.width, bounds.height);
+    ctx.globalAlpha = 1;
+  }
+
+  /**
+   * Returns how far the eased distance (currentValue) still is from its
+   * destination, see {@link CanvasElement#draw}. All distances beyond the
+   * cutoff leave the element at its original size, so they count as the same
+   *
+   * @returns The remaining distance (in px)
+   */
+  getRemainingDistance() {
+    let {cutoff} = this.zoomProfile;
+    return Math.abs(Math.min(this.destinationValue, cutoff) - Math.min(this.currentValue, cutoff));
+  }
+
+  /**
+   * Calculates the region the element occupies when drawn in {@link CanvasElement#draw},
+   * based on the eased distance (currentValue) & the element's zoom profile.
+   * Used for both drawing & hit-testing so the two can't drift apart.
+   *
+   * In 'repel' mode, elements are also pushed away from the mouse. The push is
+   * strongest mid-way to the cutoff distance and vanishes at the mouse position.
+   *
+   * @param {object} mouseCoords - Object containing x and y coords of the mouse
+   *                               relative to the canvas origin
+   *
+   * @returns Object containing the x and y coords of the top-left corner as well
+   *          as the width and height of the drawn element
+   */
+  getBounds(mouseCoords) {
+    let profile = this.zoomProfile;
+    let scale = getZoomScale(this.currentValue, profile);
+    let width = Math.floor(this.width * scale);
+    let height = Math.floor(this.height * scale);
+    let {x, y} = this.center;
+
+    if (profile.mode === 'repel') {
+      let distance = euclideanDistance(this.center, mouseCoords);
+      if (distance > 0) {
+        let weight = getZoomWeight(this.currentValue, profile);
+        let push = profile.repelStrength * 4 * weight * (1 - weight);
+        x += (this.center.x - mouseCoords.x) / distance * push;
+        y += (this.center.y - mouseCoords.y) / distance * push;
+      }
+    }
+
+    return {x: x - width / 2, y: y - height / 2, width, height};
+  }
+
+  /**
+   * Calculates the largest region the element may occupy when drawn, i.e. at its
+   * max zoom & pushed the furthest in 'repel' mode. See {@link CanvasElement#getBounds}
+   *
+   * @returns Object containing the x and y coords of the top-left corner as well
+   *          as the width and height of the region, relative to the canvas origin
+   */
+  getMaxBounds() {
+    let {maxScale, mode, repelStrength} = this.zoomProfile;
+    let scale = Math.max(maxScale, 1);
+    let push = mode === 'repel' ? repelStrength : 0;
+    let width = this.width * scale + 2 * push;
+    let height = this.height * scale + 2 * push;
+    return {x: this.center.x - width / 2, y: this.center.y - height / 2, width, height};
+  }
+
+  /**
+   * Checks if a point lies within the region the element occupies when drawn
+   *
+   * @param {object} point - Object containing x and y coords relative to the canvas origin
+   * @param {object} mouseCoords - Object containing x and y coords of the mouse
+   *                               relative to the canvas origin
+   *
+   * @returns True if the point lies within the drawn element
+   */
+  containsPoint(point, mouseCoords) {
+    let bounds = this.getBounds(mouseCoords);
+    return point.x > bounds.x && point.x < bounds.x + bounds.width &&
+           point.y > bounds.y && point.y < bounds.y + bounds.height;
+  }
+
+}
+
+export {DEFAULT_DEPTH, DEFAULT_PLACEHOLDER_COLOR}
@@ -0,0 +1,548 @@
+import CanvasElement, {DEFAULT_DEPTH} from './CanvasElement';
+import {
+  fitSource,
+  traceRoundedRect,
+  parseSrcset,
+  selectCandidate,
+  DEFAULT_SCHEDULER,
+  getZoomWeight,
+  removeUnknownFilters,
+  formatFilter,
+  blendFilters,
+  createFilterCache
+} from '../util';
+
+/**
+ * Appearance of images unless configured otherwise via the imageStyle prop or
+ * the descriptor's style
+ *   - fit: How the image fills its box, like CSS object-fit: 'fill' stretches
+ *          it, 'contain' & 'cover' keep its aspect ratio & 'none' keeps its natural size
+ *   - focalPoint: x and y (fractions of the image's dimensions) of the point
+ *                 kept in view when the image is cropped, like CSS object-position
+ *   - cornerRadius: Radius (in px) of the corners of the drawn image
+ *   - border: Optional {width, color} of a border drawn inside the image's edges
+ *   - shadow: Optional {color, blur, offsetX, offsetY} of a drop shadow
+ *   - filter: Filter the image is drawn w/, e.g. {grayscale: 1, brightness: 0.8},
+ *             see FILTER_FUNCTIONS in util/filters.js
+ *   - hoverFilter: Optional filter the image blends into as it zooms, e.g.
+ *                  {grayscale: 0} to show the image's colors only when hovered
+ *   - depthBlur: Blur (in px) per unit of depth the image's layer lies in front
+ *                of or behind depth 1, like a camera's depth of field
+ *   - highlight: Optional {type, color, width} of a highlight fading in as the
+ *                image zooms, see DEFAULT_HIGHLIGHT
+ * Lengths are in px at the image's original size and grow w/ it when it zooms
+ */
+const DEFAULT_IMAGE_STYLE = {
+  fit: 'fill',
+  focalPoint: {x: 0.5, y: 0.5},
+  cornerRadius: 0,
+  border: undefined,
+  shadow: undefined,
+  filter: {},
+  hoverFilter: undefined,
+  depthBlur: 0,
+  highlight: undefined,
+};
+
+/**
+ * Highlight options unless configured otherwise via the image's style
+ *   - type: 'glow' surrounds the image w/ a blurred halo, 'outline' w/ a line
+ *   - color: CSS color of the highlight
+ *   - width: Blur radius of the glow or width of the outline (in px)
+ */
+const DEFAULT_HIGHLIGHT = {
+  type: 'glow',
+  color: 'rgba(255, 255, 255, 0.8)',
+  width: 12,
+};
+
+/**
+ * Types of highlights, see DEFAULT_HIGHLIGHT
+ */
+const HIGHLIGHT_TYPES = ['glow', 'outline'];
+
+/**
+ * Number of steps hover filters blend in, so a zooming image reuses the
+ * filtered copies cached for its previous frames
+ */
+const HOVER_FILTER_STEPS = 10;
+
+/**
+ * Filter cache used by images loaded w/o one, see {@link CanvasImage#getFilteredSource}
+ */
+const DEFAULT_FILTER_CACHE = createFilterCache();
+
+/**
+ * Default image loader - Loads a source into an HTMLImageElement.
+ * Loaders are passed to {@link Scene} so environments w/o the DOM (e.g. workers)
+ * can provide their own, see worker/protocol.js
+ *
+ * @param {string} url - Source of the image
+ * @param {function} onLoad - Called w/ the drawable image once loaded
+ * @param {function} onError - Called if the source failed to load
+ */
+const loadImageElement = (url, onLoad, onError) => {
+  let img = new Image();
+  img.addEventListener('load', () => onLoad(img), false);
+  img.addEventListener('error', onError, false);
+  img.src = url;
+};
+
+/**
+ * @class representing images drawn on screen
+ *  Draws the image at the descriptor's url using the drawImage() method from the canvas API
+ *  See https://developer.mozilla.org/en-US/docs/Web/API/Canvas_API/Tutorial/Using_images
+ *
+ *  Images w/ a srcset (see {@link parseSrcset}) start w/ the smallest source
+ *  sharp enough for their base size & the device pixel ratio. Sharper sources
+ *  are loaded once the image is drawn larger, e.g. while zoomed or in the
+ *  lightbox, and swapped in w/o fading the image again
+ * @extends CanvasElement
+ */
+export default class CanvasImage extends CanvasElement {
+
+  /**
+   * @constructor
+   *
+   * @param {object} descriptor - Image descriptor, see {@link Canvas} props
+   */
+  constructor(descriptor) {
+    super(descriptor);
+    this.url = descriptor.url;
+    /** Sources of the image sorted by width, see {@link parseSrcset} */
+    this.srcset = parseSrcset(descriptor.srcset, descriptor.w);
+    /** Width of the srcset candidate currently drawn, 0 w/o a srcset */
+    this.sourceWidth = 0;
+    /** Sharper srcset candidate being loaded, see {@link CanvasImage#requestResolution} */
+    this.pendingCandidate = undefined;
+  }
+
+  /**
+   * Reloads the image if the descriptor's url or srcset changed
+   *
+   * @param {object} descriptor - The new descriptor
+   */
+  update(descriptor) {
+    super.update(descriptor);
+    let srcset = parseSrcset(descriptor.srcset, descriptor.w);
+    let getUrls = candidates => candidates.map(candidate => candidate.url).join(' ');
+    if (getUrls(srcset) !== getUrls(this.srcset)) {
+      this.srcset = srcset;
+      this.url = descriptor.url;
+      this.reload();
+    } else {
+      this.setUrl(descriptor.url);
+    }
+  }
+
+  /**
+   * Changes the source of the image. The new source is loaded and faded in
+   * the same way the original source was.
+   *
+   * @param {string} url - New source of the image
+   */
+  setUrl(url) {
+    if (url === this.url) {
+      return;
+    }
+    this.url = url;
+    this.reload();
+  }
+
+  /**
+   * Loads the image again from scratch, fading it in once loaded
+   */
+  reload() {
+    this.hasLoaded = false;
+    this.hasFailed = false;
+    this.opacity = 0;
+    this.loadingAnimationStartTime = null;
+    this.load(this.loadOptions);
+  }
+
+  /**
+   * Loads an image for use on the canvas
+   * Failing sources are retried. Once all retries fail, the fallback source
+   * (if any) is loaded the same way, and if that fails as well the image is
+   * marked as failed and drawn as a placeholder.
+   *
+   * @param {object} options - Loading options
+   * @param {number} options.retries - Number of times a failing source is retried
+   * @param {number} options.retryDelay - Delay (in ms) before retrying a failed source
+   * @param {string} options.fallbackUrl - Source loaded once all retries failed
+   * @param {string} options.placeholderColor - Color of the placeholder
+   * @param {number} options.simulatedLatency - Max random delay (in ms) added
+   *                                            to simulate network conditions
+   * @param {function} options.loadSource - Loads a source, see {@link loadImageElement}
+   * @param {object} options.scheduler - Schedules retries & simulated latency,
+   *                                     see util/scheduler.js
+   * @param {number} options.pixelRatio - Device pixel ratio of the canvas, used
+   *                                      to pick sources from the srcset
+   * @param {function} options.onSettled - Called w/ the image once it has
+   *                                       either loaded or failed
+   * @param {function} options.onSourceChange - Called w/ the image once a
+   *                                            sharper source was swapped in
+   * @param {function} options.filterCache - Caches filtered copies of the
+   *                                         image, see {@link createFilterCache}
+   */
+  load(options = {}) {
+    this.loadOptions = options;
+    let {
+      retries = 0, retryDelay = 0, fallbackUrl, simulatedLatency = 0, onSettled,
+      loadSource = loadImageElement, pixelRatio = 1, scheduler = DEFAULT_SCHEDULER,
+    } = options;
+    let candidate = selectCandidate(this.srcset, this.width * pixelRatio);
+    this.sourceWidth = candidate ? candidate.width : 0;
+    this.pendingCandidate = undefined;
+
+    let attempt = (url, retriesLeft) => {
+      let request = {url};
+      this.request = request;
+      // Ignore results of sources replaced in the meantime, e.g. via setUrl()
+      let isCurrent = () => this.request === request;
+
+      let handleLoad = source => {
+        let markLoaded = () => {
+          if (isCurrent()) {
+            this.img = source;
+            this.hasLoaded = true;
+            onSettled && onSettled(this);
+          }
+        };
+        simulatedLatency > 0 ? scheduler.setTimer(markLoaded, simulatedLatency * Math.random()) : markLoaded();
+      };
+
+      let handleError = () => {
+        if (!isCurrent()) {
+          return;
+        }
+        if (retriesLeft > 0) {
+          scheduler.setTimer(() => isCurrent() && attempt(url, retriesLeft - 1), retryDelay);
+        } else if (fallbackUrl && url !== fallbackUrl) {
+          attempt(fallbackUrl, retries);
+        } else {
+          this.hasFailed = true;
+          onSettled && onSettled(this);
+        }
+      };
+
+      loadSource(url, handleLoad, handleError);
+    };
+
+    attempt(candidate ? candidate.url : this.url, retries);
+  }
+
+  /**
+   * Loads the smallest srcset candidate sharp enough for the width the image
+   * is drawn at, unless the current source is sharp enough already. The current
+   * source is drawn until the new one has loaded. Sources never get swapped for
+   * blurrier ones, so zooming out keeps the sharper source
+   *
+   * @param {number} width - Width (in CSS px) the whole image is drawn at
+   */
+  requestResolution(width) {
+    let {loadSource = loadImageElement, pixelRatio = 1, onSourceChange} = this.loadOptions;
+    let candidate = selectCandidate(this.srcset, width * pixelRatio);
+    if (!this.hasLoaded || this.pendingCandidate || !candidate || candidate.width <= this.sourceWidth) {
+      return;
+    }
+    this.pendingCandidate = candidate;
+    loadSource(candidate.url, source => {
+      if (this.pendingCandidate === candidate) {
+        this.img = source;
+        this.sourceWidth = candidate.width;
+        this.pendingCandidate = undefined;
+        onSourceChange && onSourceChange(this);
+      }
+    }, () => {
+      // Keep the current source & don't try the failed one again
+      if (this.pendingCandidate === candidate) {
+        this.srcset = this.srcset.filter(other => other !== candidate);
+        this.pendingCandidate = undefined;
+      }
+    });
+  }
+
+  /**
+   * Stops loading the image. Pending loads & retries are ignored
+   */
+  cancelLoading() {
+    if (!this.hasLoaded) {
+      this.request = undefined;
+    }
+    this.pendingCandidate = undefined;
+  }
+
+  /**
+   * Returns the dimensions (in px) of the source currently drawn
+   *
+   * @returns Object containing the width and height, undefined for
+   *          placeholders & sources w/o known dimensions
+   */
+  getSourceSize() {
+    let source = this.hasFailed ? undefined : this.img;
+    let width = source && (source.naturalWidth || source.width);
+    let height = source && (source.naturalHeight || source.height);
+    return width && height ? {width, height} : undefined;
+  }
+
+  /**
+   * Returns the dimensions of the image, e.g. to show it at its full size in
+   * the lightbox. Images w/ a srcset are as wide as their largest source.
+   * Falls back to the image's dimensions on the canvas for placeholders &
+   * sources w/o known dimensions
+   *
+   * @returns Object containing the width and height (in px)
+   */
+  getNaturalSize() {
+    let size = this.getSourceSize();
+    if (!size) {
+      return super.getNaturalSize();
+    }
+    if (!this.srcset.length) {
+      return size;
+    }
+    let width = this.srcset[this.srcset.length - 1].width;
+    return {width, height: width * size.height / size.width};
+  }
+
+  /**
+   * Sets the image's style. Unknown highlight types & filters are checked when
+   * props are set instead of in the animation loop: they are replaced by the
+   * default highlight type & left out of the filters w/ a warning
+   *
+   * @param {object} style - Style of the image, see DEFAULT_IMAGE_STYLE
+   */
+  setStyle(style = {}) {
+    let {highlight, filter, hoverFilter} = style;
+    let checkedStyle = {...style};
+    if (highlight && highlight.type !== undefined && !HIGHLIGHT_TYPES.includes(highlight.type)) {
+      console.warn(`Unknown highlight type "${highlight.type}" ignored`);
+      checkedStyle.highlight = {...highlight, type: DEFAULT_HIGHLIGHT.type};
+    }
+    filter && (checkedStyle.filter = removeUnknownFilters(filter));
+    hoverFilter && (checkedStyle.hoverFilter = removeUnknownFilters(hoverFilter));
+    this.style = checkedStyle;
+  }
+
+  /**
+   * Returns the image's style merged w/ DEFAULT_IMAGE_STYLE
+   *
+   * @returns The style, see DEFAULT_IMAGE_STYLE
+   */
+  getStyle() {
+    return {...DEFAULT_IMAGE_STYLE, ...this.style};
+  }
+
+  /**
+   * Returns how strongly the image is hovered, based on the same eased distance
+   * to the mouse that drives its zoom, see {@link CanvasElement#draw}
+   *
+   * @returns A weight in the [0,1] range, 1 when fully zoomed
+   */
+  getHoverWeight() {
+    return getZoomWeight(this.currentValue, this.zoomProfile);
+  }
+
+  /**
+   * Returns the filter the image is drawn w/: its filter blended into its hover
+   * filter by the hover weight, plus the blur of its depth
+   *
+   * @param {number} weight - Hover weight, see {@link CanvasImage#getHoverWeight}
+   *
+   * @returns The filter object, lengths in px at the image's original size
+   */
+  getFilter(weight) {
+    let {filter, hoverFilter, depthBlur} = this.getStyle();
+    let blended = hoverFilter ?
+      blendFilters(filter, hoverFilter, Math.round(weight * HOVER_FILTER_STEPS) / HOVER_FILTER_STEPS) :
+      {...filter};
+    if (depthBlur > 0) {
+      blended.blur = (blended.blur || 0) + depthBlur * Math.abs(this.depth - DEFAULT_DEPTH);
+    }
+    return blended;
+  }
+
+  /**
+   * Returns how many filtered copies of the image may be drawn: one per hover
+   * filter step w/ a hover filter, one w/ a static filter
+   *
+   * @returns The number of copies, see {@link CanvasElement#getFilterVariantCount}
+   */
+  getFilterVariantCount() {
+    if (this.getStyle().hoverFilter) {
+      return HOVER_FILTER_STEPS + 1;
+    }
+    return formatFilter(this.getFilter(0)) === 'none' ? 0 : 1;
+  }
+
+  /**
+   * Returns the source drawn w/ a filter. Filtered copies of the source are
+   * cached (see {@link createFilterCache}), so the filter is only applied once
+   * & not every frame. The copy is as large as the source, so its blur is
+   * converted from px at the image's original size to source px
+   *
+   * @param {object} filter - Filter object, see {@link CanvasImage#getFilter}
+   *
+   * @returns The filtered copy, or the source itself w/o a filter or known size
+   */
+  getFilteredSource(filter) {
+    let {filterCache = DEFAULT_FILTER_CACHE} = this.loadOptions;
+    let sourceSize = this.getSourceSize();
+    if (!sourceSize) {
+      return this.img;
+    }
+    let {width, height} = sourceSize;
+    let {source, dest} = this.fitInto({x: 0, y: 0, width: this.width, height: this.height});
+    let sourceScale = dest.width > 0 ? source.width / dest.width : 1;
+    let filterString = formatFilter(filter.blur ?
+      {...filter, blur: Math.round(filter.blur * sourceScale * 2) / 2} : filter);
+    if (filterString === 'none') {
+      return this.img;
+    }
+    return filterCache(this.img, filterString, width, height, ctx => ctx.drawImage(this.img, 0, 0, width, height));
+  }
+
+  /**
+   * Fits the image into a region according to its fit mode & focal point,
+   * see {@link fitSource}. Placeholders fill the whole region
+   *
+   * @param {object} region - Object containing the x and y coords of the top-left
+   *                          corner as well as the width and height of the region
+   *
+   * @returns Object containing the drawn part of the source (source) & where
+   *          it is drawn (dest)
+   */
+  fitInto(region) {
+    if (this.hasFailed) {
+      return {source: undefined, dest: region};
+    }
+    let {fit, focalPoint} = this.getStyle();
+    let scale = this.width > 0 ? region.width / this.width : 1;
+    let natural = this.getNaturalSize();
+    let {source, dest} = fitSource(fit, natural, region, {focalPoint, scale});
+    // Srcset sources may be smaller than the natural size
+    let {width, height} = this.getSourceSize() || natural;
+    let scaleX = width / natural.width;
+    let scaleY = height / natural.height;
+    return {
+      source: {x: source.x * scaleX, y: source.y * scaleY, width: source.width * scaleX, height: source.height * scaleY},
+      dest,
+    };
+  }
+
+  /**
+   * Paints the image, or a placeholder if it failed to load, into a region.
+   * The image is fitted into the region (see {@link CanvasImage#fitInto}) and
+   * drawn w/ its shadow, rounded corners, border, filter & highlight. Sharper
+   * sources are requested as needed, see {@link CanvasImage#requestResolution}
+   *
+   * @param {object} ctx - Canvas rendering context object
+   * @param {number} x - Left corner (in px) of the region
+   * @param {number} y - Top corner (in px) of the region
+   * @param {number} width - Width (in px) of the region
+   * @param {number} height - Height (in px) of the region
+   */
+  paint(ctx, x, y, width, height) {
+    let {cornerRadius, border, shadow, highlight} = this.getStyle();
+    let region = {x, y, width, height};
+    let {source, dest} = this.fitInto(region);
+    let sourceSize = this.getSourceSize();
+    if (sourceSize && source.width > 0) {
+      let img = this.img;
+      // Width of the whole source as drawn, wider than the region when cropped
+      this.requestResolution(dest.width * sourceSize.width / source.width);
+      // Cached sources are swapped in right away
+      if (this.img !== img) {
+        ({source, dest} = this.fitInto(region));
+      }
+    }
+    let scale = this.width > 0 ? width / this.width : 1;
+    let radius = cornerRadius * scale;
+    let tracePath = () => {
+      ctx.beginPath();
+      traceRoundedRect(ctx, dest, radius);
+    };
+    let weight = this.getHoverWeight();
+    let highlightOptions = highlight && {...DEFAULT_HIGHLIGHT, ...highlight};
+
+    ctx.save();
+    if (shadow) {
+      // The shadow is cast by filling the image's shape, which the image covers
+      ctx.shadowColor = shadow.color || 'rgba(0, 0, 0, 0.5)';
+      ctx.shadowBlur = (shadow.blur !== undefined ? shadow.blur : 10) * scale;
+      ctx.shadowOffsetX = (shadow.offsetX || 0) * scale;
+      ctx.shadowOffsetY = (shadow.offsetY !== undefined ? shadow.offsetY : 4) * scale;
+      ctx.fillStyle = '#000000';
+      tracePath();
+      ctx.fill();
+      ctx.shadowColor = 'transparent';
+    }
+    if (highlightOptions && highlightOptions.type === 'glow' && weight > 0) {
+      // Like the shadow, the glow is cast by the image's shape
+      ctx.save();
+      ctx.globalAlpha *= weight;
+      ctx.shadowColor = highlightOptions.color;
+      ctx.shadowBlur = highlightOptions.width * scale;
+      ctx.fillStyle = highlightOptions.color;
+      tracePath();
+      ctx.fill();
+      ctx.restore();
+    }
+    if (radius > 0) {
+      tracePath();
+      ctx.clip();
+    }
+    if (this.hasFailed) {
+      this.paintPlaceholder(ctx, dest.x, dest.y, dest.width, dest.height);
+    } else {
+      ctx.drawImage(this.getFilteredSource(this.getFilter(weight)),
+          source.x, source.y, source.width, source.height,
+          dest.x, dest.y, dest.width, dest.height);
+    }
+    if (border && border.width > 0) {
+      // Borders are drawn inside the image's edges. The clip cuts off the outer half
+      ctx.lineWidth = 2 * border.width * scale;
+      ctx.strokeStyle = border.color || '#ffffff';
+      tracePath();
+      ctx.stroke();
+    }
+    ctx.restore();
+    if (highlightOptions && highlightOptions.type === 'outline' && weight > 0) {
+      // Outlines are drawn outside the image's edges
+      let lineWidth = highlightOptions.width * scale;
+      ctx.save();
+      ctx.globalAlpha *= weight;
+      ctx.lineWidth = lineWidth;
+      ctx.strokeStyle = highlightOptions.color;
+      ctx.beginPath();
+      traceRoundedRect(ctx, {
+        x: dest.x - lineWidth / 2,
+        y: dest.y - lineWidth / 2,
+        width: dest.width + lineWidth,
+        height: dest.height + lineWidth,
+      }, radius + lineWidth / 2);
+      ctx.stroke();
+      ctx.restore();
+    }
+  }
+
+  /**
+   * Checks if a point lies within the part of the region the image is drawn
+   * in, e.g. not in the empty space left by the 'contain' fit mode
+   *
+   * @param {object} point - Object containing x and y coords relative to the canvas origin
+   * @param {object} mouseCoords - Object containing x and y coords of the mouse
+   *                               relative to the canvas origin
+   *
+   * @returns True if the point lies within the drawn image
+   */
+  containsPoint(point, mouseCoords) {
+    let {dest} = this.fitInto(this.getBounds(mouseCoords));
+    return point.x > dest.x && point.x < dest.x + dest.width &&
+           point.y > dest.y && point.y < dest.y + dest.height;
+  }
+
+}
+
+export {DEFAULT_IMAGE_STYLE, DEFAULT_HIGHLIGHT, loadImageElement}
@@ -0,0 +1,41 @@
+import CanvasElement from './CanvasElement';
+
+/**
+ * @class representing elements drawn by a user-provided function
+ *  The descriptor provides
+ *   - draw(ctx, region): Draws the element into the region (x, y, width & height
+ *                        in px) it currently occupies. The canvas is already
+ *                        translated & faded, so only the region has to be filled
+ *   - animated: Whether the drawing changes over time & has to be repeated
+ *               every frame (default false)
+ *  As functions can't be sent to workers, canvases w/ custom elements draw on
+ *  the main thread.
+ * @extends CanvasElement
+ */
+export default class CustomElement extends CanvasElement {
+
+  /**
+   * Whether the drawing changes over time, see {@link CanvasElement#isAnimated}
+   *
+   * @returns True if the descriptor is animated
+   */
+  isAnimated() {
+    return !!this.descriptor.animated;
+  }
+
+  /**
+   * Calls the descriptor's draw function w/ the region to paint
+   *
+   * @param {object} ctx - Canvas rendering context object
+   * @param {number} x - Left corner (in px) of the region
+   * @param {number} y - Top corner (in px) of the region
+   * @param {number} width - Width (in px) of the region
+   * @param {number} height - Height (in px) of the region
+   */
+  paint(ctx, x, y, width, height) {
+    ctx.save();
+    this.descriptor.draw(ctx, {x, y, width, height});
+    ctx.restore();
+  }
+
+}
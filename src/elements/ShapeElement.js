@@ -0,0 +1,73 @@
+import CanvasElement from './CanvasElement';
+import {traceRoundedRect} from '../util';
+
+/**
+ * Creates the fill style of a shape from its descriptor's fill, relative to
+ * the region the shape is painted in
+ *
+ * @param {object} ctx - Canvas rendering context object
+ * @param {*} fill - A CSS color, or a gradient object w/
+ *   - type: 'linear' or 'radial'
+ *   - stops: Array of [offset, color] pairs, offsets in the [0,1] range
+ *   - angle: Direction (in degrees) of linear gradients, 90 (default) runs top to bottom
+ * @param {number} x - Left corner (in px) of the region
+ * @param {number} y - Top corner (in px) of the region
+ * @param {number} width - Width (in px) of the region
+ * @param {number} height - Height (in px) of the region
+ *
+ * @returns A color or CanvasGradient
+ */
+let createFillStyle = (ctx, fill, x, y, width, height) => {
+  if (!fill || typeof fill !== 'object') {
+    return fill;
+  }
+  let centerX = x + width / 2;
+  let centerY = y + height / 2;
+  let gradient;
+  if (fill.type === 'radial') {
+    gradient = ctx.createRadialGradient(centerX, centerY, 0, centerX, centerY, Math.max(width, height) / 2);
+  } else {
+    let angle = (fill.angle !== undefined ? fill.angle : 90) * Math.PI / 180;
+    let dx = Math.cos(angle) * width / 2;
+    let dy = Math.sin(angle) * height / 2;
+    gradient = ctx.createLinearGradient(centerX - dx, centerY - dy, centerX + dx, centerY + dy);
+  }
+  (fill.stops || []).forEach(([offset, color]) => gradient.addColorStop(offset, color));
+  return gradient;
+}
+
+/**
+ * @class representing solid or gradient shapes drawn on screen
+ *  The descriptor describes the shape:
+ *   - shape: 'rect' (default) or 'ellipse' filling the element's box
+ *   - fill: A CSS color or a gradient, see {@link createFillStyle}
+ *   - cornerRadius: Radius (in px) of the corners of rects at their original size
+ * @extends CanvasElement
+ */
+export default class ShapeElement extends CanvasElement {
+
+  /**
+   * Paints the shape into a region. Corner radii grow w/ the element when it zooms
+   *
+   * @param {object} ctx - Canvas rendering context object
+   * @param {number} x - Left corner (in px) of the region
+   * @param {number} y - Top corner (in px) of the region
+   * @param {number} width - Width (in px) of the region
+   * @param {number} height - Height (in px) of the region
+   */
+  paint(ctx, x, y, width, height) {
+    let {shape = 'rect', fill = '#ffffff', cornerRadius = 0} = this.descriptor;
+    ctx.fillStyle = createFillStyle(ctx, fill, x, y, width, height);
+    ctx.beginPath();
+    if (shape === 'ellipse') {
+      ctx.ellipse(x + width / 2, y + height / 2, width / 2, height / 2, 0, 0, 2 * Math.PI);
+    } else {
+      let scale = this.width > 0 ? width / this.width : 1;
+      traceRoundedRect(ctx, {x, y, width, height}, cornerRadius * scale);
+    }
+    ctx.fill();
+  }
+
+}
+
+export {createFillStyle}
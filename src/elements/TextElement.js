@@ -0,0 +1,57 @@
+import CanvasElement from './CanvasElement';
+
+/**
+ * Text styles unless configured otherwise via the descriptor
+ *   - fontSize: Size (in px) of the text at the element's original size
+ *   - fontFamily, fontWeight: As in the CSS font property
+ *   - color: Fill color of the text
+ *   - background: Fill color of the element's box behind the text (optional)
+ *   - align: 'left', 'center' or 'right' within the element's box
+ */
+const DEFAULT_TEXT_STYLE = {
+  fontSize: 16,
+  fontFamily: 'sans-serif',
+  fontWeight: 'normal',
+  color: '#ffffff',
+  background: undefined,
+  align: 'center',
+};
+
+/**
+ * @class representing text labels drawn on screen
+ *  The descriptor's text is drawn on a single line, vertically centered in the
+ *  element's box. The font grows w/ the element when it zooms.
+ * @extends CanvasElement
+ */
+export default class TextElement extends CanvasElement {
+
+  /**
+   * Paints the text into a region, scaling the font by the region's size
+   * relative to the element's original size
+   *
+   * @param {object} ctx - Canvas rendering context object
+   * @param {number} x - Left corner (in px) of the region
+   * @param {number} y - Top corner (in px) of the region
+   * @param {number} width - Width (in px) of the region
+   * @param {number} height - Height (in px) of the region
+   */
+  paint(ctx, x, y, width, height) {
+    let {text = '', ...style} = this.descriptor;
+    let {fontSize, fontFamily, fontWeight, color, background, align} = {...DEFAULT_TEXT_STYLE, ...style};
+    if (background) {
+      ctx.fillStyle = background;
+      ctx.fillRect(x, y, width, height);
+    }
+
+    let scale = this.width > 0 ? width / this.width : 1;
+    let textX = {left: x, center: x + width / 2, right: x + width}[align];
+    ctx.font = `${fontWeight} ${fontSize * scale}px ${fontFamily}`;
+    ctx.fillStyle = color;
+    ctx.textAlign = align;
+    ctx.textBaseline = 'middle';
+    ctx.fillText(text, textX, y + height / 2, width);
+  }
+
+}
+
+export {DEFAULT_TEXT_STYLE}
@@ -0,0 +1,134 @@
+import CanvasElement from './CanvasElement';
+
+/**
+ * @class representing videos drawn on screen
+ *  The current frame of a <video> playing the descriptor's url is painted
+ *  every frame. The descriptor may also set
+ *   - loop: Whether the video restarts once it ends (default true)
+ *   - muted: Whether the video plays w/o sound (default true). Browsers only
+ *            autoplay muted videos
+ *   - autoplay: Whether the video starts playing once loaded (default true)
+ *  Videos need the DOM, so canvases w/ videos draw on the main thread.
+ * @extends CanvasElement
+ */
+export default class VideoElement extends CanvasElement {
+
+  /**
+   * Whether the element type can be drawn in a worker, see worker/protocol.js
+   */
+  static supportsWorkers = false;
+
+  /**
+   * @constructor
+   *
+   * @param {object} descriptor - Video descriptor, see {@link Canvas} props
+   */
+  constructor(descriptor) {
+    super(descriptor);
+    this.url = descriptor.url;
+  }
+
+  /**
+   * Reloads the video if the descriptor's url changed
+   *
+   * @param {object} descriptor - The new descriptor
+   */
+  update(descriptor) {
+    super.update(descriptor);
+    if (descriptor.url !== this.url) {
+      this.cancelLoading();
+      this.url = descriptor.url;
+      this.hasLoaded = false;
+      this.hasFailed = false;
+      this.opacity = 0;
+      this.loadingAnimationStartTime = null;
+      this.load(this.loadOptions);
+    }
+  }
+
+  /**
+   * Loads the video into a <video> element. The video counts as loaded once
+   * its first frame is available & failed videos are drawn as placeholders
+   *
+   * @param {object} options - Loading options
+   * @param {string} options.placeholderColor - Color of the placeholder
+   * @param {function} options.onSettled - Called w/ the video once it has
+   *                                       either loaded or failed
+   */
+  load(options = {}) {
+    this.loadOptions = options;
+    let {loop = true, muted = true, autoplay = true} = this.descriptor;
+    let video = document.createElement('video');
+    this.video = video;
+    // Ignore events of videos replaced in the meantime
+    let settle = (hasLoaded) => {
+      if (this.video !== video || this.isDrawable()) {
+        return;
+      }
+      this.hasLoaded = hasLoaded;
+      this.hasFailed = !hasLoaded;
+      if (hasLoaded && autoplay) {
+        // Autoplay may be blocked, in which case the first frame is shown
+        let playing = video.play();
+        playing && playing.catch(() => {});
+      }
+      options.onSettled && options.onSettled(this);
+    };
+    video.addEventListener('loadeddata', () => settle(true), false);
+    video.addEventListener('error', () => settle(false), false);
+    video.loop = loop;
+    video.muted = muted;
+    video.playsInline = true;
+    video.src = this.url;
+  }
+
+  /**
+   * Stops loading & playing the video
+   */
+  cancelLoading() {
+    let video = this.video;
+    this.video = undefined;
+    if (video) {
+      video.pause();
+      video.removeAttribute('src');
+    }
+  }
+
+  /**
+   * Playing videos have to be re-painted every frame
+   *
+   * @returns True while the video is playing
+   */
+  isAnimated() {
+    return this.hasLoaded && !!this.video && !this.video.paused && !this.video.ended;
+  }
+
+  /**
+   * Returns the dimensions of the video's frames
+   *
+   * @returns Object containing the width and height (in px)
+   */
+  getNaturalSize() {
+    let video = this.hasLoaded && this.video;
+    return video && video.videoWidth && video.videoHeight ?
+      {width: video.videoWidth, height: video.videoHeight} : super.getNaturalSize();
+  }
+
+  /**
+   * Paints the current frame of the video, or a placeholder if it failed to load
+   *
+   * @param {object} ctx - Canvas rendering context object
+   * @param {number} x - Left corner (in px) of the region
+   * @param {number} y - Top corner (in px) of the region
+   * @param {number} width - Width (in px) of the region
+   * @param {number} height - Height (in px) of the region
+   */
+  paint(ctx, x, y, width, height) {
+    if (this.hasFailed || !this.video) {
+      this.paintPlaceholder(ctx, x, y, width, height);
+    } else {
+      ctx.drawImage(this.video, x, y, width, height);
+    }
+  }
+
+}
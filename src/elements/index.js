@@ -0,0 +1,53 @@
+import CanvasElement, {DEFAULT_DEPTH, DEFAULT_PLACEHOLDER_COLOR} from './CanvasElement.js';
+import CanvasImage, {DEFAULT_IMAGE_STYLE, DEFAULT_HIGHLIGHT, loadImageElement} from './CanvasImage.js';
+import TextElement from './TextElement.js';
+import VideoElement from './VideoElement.js';
+import ShapeElement, {createFillStyle} from './ShapeElement.js';
+import CustomElement from './CustomElement.js';
+
+/**
+ * Element types available via the type of a descriptor (see {@link Canvas} props)
+ * Descriptors w/o a type are images
+ */
+const ELEMENT_TYPES = {
+  image: CanvasImage,
+  text: TextElement,
+  video: VideoElement,
+  shape: ShapeElement,
+  custom: CustomElement,
+};
+
+/**
+ * Resolves the class drawing a descriptor from its type. Types passed via
+ * the elementTypes prop take precedence over the built-in ones
+ *
+ * @param {string} type - Type of the descriptor, 'image' if undefined
+ * @param {object} elementTypes - Additional types, mapping type names to
+ *                                subclasses of {@link CanvasElement}
+ *
+ * @returns The class of the type
+ */
+let getElementType = (type = 'image', elementTypes = {}) => {
+  let ElementType = elementTypes[type] || ELEMENT_TYPES[type];
+  if (!ElementType) {
+    throw new Error(`Unknown element type "${type}"`);
+  }
+  return ElementType;
+}
+
+export {
+  CanvasElement,
+  CanvasImage,
+  TextElement,
+  VideoElement,
+  ShapeElement,
+  CustomElement,
+  ELEMENT_TYPES,
+  DEFAULT_DEPTH,
+  DEFAULT_PLACEHOLDER_COLOR,
+  DEFAULT_IMAGE_STYLE,
+  DEFAULT_HIGHLIGHT,
+  getElementType,
+  loadImageElement,
+  createFillStyle
+};
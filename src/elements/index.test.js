@@ -0,0 +1,158 @@
+import {
+  CanvasElement,
+  CanvasImage,
+  TextElement,
+  ShapeElement,
+  CustomElement,
+  getElementType
+} from './index';
+import {createRecordingContext} from '../testing';
+
+test('descriptors w/o a type are images & custom types take precedence', () => {
+  class Badge extends CanvasElement {}
+  expect(getElementType()).toBe(CanvasImage);
+  expect(getElementType('text')).toBe(TextElement);
+  expect(getElementType('text', {text: Badge})).toBe(Badge);
+  expect(() => getElementType('sparkles')).toThrow('Unknown element type "sparkles"');
+});
+
+test('elements w/o resources are ready right away', () => {
+  let onSettled = jest.fn();
+  let elem = new ShapeElement({w: 10, h: 10, fill: 'red'});
+  elem.load({onSettled});
+  expect(elem.isDrawable()).toBe(true);
+  expect(onSettled).toHaveBeenCalledWith(elem);
+});
+
+test('text scales w/ the region it is painted in', () => {
+  let ctx = createRecordingContext();
+  let elem = new TextElement({w: 100, h: 20, text: 'Hello', fontSize: 12, color: 'black'});
+  elem.paint(ctx, 0, 0, 200, 40);
+  expect(ctx.calls).toContainEqual(['set', 'font', 'normal 24px sans-serif']);
+  expect(ctx.calls).toContainEqual(['fillText', 'Hello', 100, 20, 200]);
+});
+
+test('shapes are filled w/ colors or gradients', () => {
+  let ctx = createRecordingContext();
+  let fill = {type: 'linear', stops: [[0, 'white'], [1, 'black']]};
+  new ShapeElement({w: 100, h: 50, fill}).paint(ctx, 0, 0, 100, 50);
+  expect(ctx.calls).toContainEqual(['createLinearGradient', 50, 0, 50, 50]);
+  expect(ctx.calls).toContainEqual(['addColorStop', 1, 'black']);
+
+  ctx = createRecordingContext();
+  new ShapeElement({w: 100, h: 50, shape: 'ellipse', fill: 'red'}).paint(ctx, 0, 0, 100, 50);
+  expect(ctx.calls).toContainEqual(['set', 'fillStyle', 'red']);
+  expect(ctx.calls).toContainEqual(['ellipse', 50, 25, 50, 25, 0, 0, 2 * Math.PI]);
+});
+
+test('custom elements draw into the region they occupy', () => {
+  let draw = jest.fn();
+  let elem = new CustomElement({w: 100, h: 50, draw, animated: true});
+  let ctx = createRecordingContext();
+  elem.setPosition(10, 20, 100, 50);
+  elem.drawFadeIn(ctx, 0, 0);
+  expect(draw.mock.calls[0][0]).toBe(ctx);
+  expect(draw.mock.calls[0][1]).toEqual({x: 10, y: 20, width: 100, height: 50});
+  expect(elem.isAnimated()).toBe(true);
+});
+
+test('elements must implement paint', () => {
+  let elem = new (class Badge extends CanvasElement {})({w: 10, h: 10});
+  expect(() => elem.paint(createRecordingContext(), 0, 0, 10, 10)).toThrow("Badge doesn't implement paint()");
+});
+
+test('images are fitted, clipped & hit-tested by their style', () => {
+  // A landscape image in a square box
+  let elem = new CanvasImage({w: 100, h: 100, url: 'wide.jpg'});
+  elem.load({loadSource: (url, onLoad) => onLoad({width: 200, height: 100})});
+  elem.setPosition(0, 0, 100, 100);
+  elem.style = {fit: 'contain', cornerRadius: 8, border: {width: 2, color: 'white'}};
+
+  let ctx = createRecordingContext();
+  elem.paint(ctx, 0, 0, 200, 200);
+  // Letterboxed & scaled w/ the region, i.e. while zoomed
+  expect(ctx.calls).toContainEqual(['drawImage', elem.img, 0, 0, 200, 100, 0, 50, 200, 100]);
+  expect(ctx.calls).toContainEqual(['arcTo', 200, 50, 200, 150, 16]);
+  expect(ctx.calls).toContainEqual(['set', 'lineWidth', 8]);
+  expect(ctx.calls.map(([method]) => method)).toContain('clip');
+
+  let mouse = {x: -1000, y: -1000};
+  expect(elem.containsPoint({x: 50, y: 50}, mouse)).toBe(true);
+  expect(elem.containsPoint({x: 50, y: 10}, mouse)).toBe(false);
+
+  elem.style = {fit: 'cover', focalPoint: {x: 0, y: 0.5}};
+  ctx = createRecordingContext();
+  elem.paint(ctx, 0, 0, 100, 100);
+  expect(ctx.calls).toContainEqual(['drawImage', elem.img, 0, 0, 100, 100, 0, 0, 100, 100]);
+  expect(elem.containsPoint({x: 50, y: 10}, mouse)).toBe(true);
+});
+
+test('images switch to sharper sources when drawn larger', () => {
+  let pending = {};
+  let loadSource = jest.fn((url, onLoad) => pending[url] = () => onLoad({url, width: parseInt(url), height: parseInt(url) / 2}));
+  let onSourceChange = jest.fn();
+  let elem = new CanvasImage({w: 100, h: 50, srcset: '100.jpg 100w, 200.jpg 200w, 400.jpg 400w'});
+  elem.load({loadSource, onSourceChange, pixelRatio: 2});
+  expect(loadSource.mock.calls[0][0]).toBe('200.jpg');
+  pending['200.jpg']();
+  expect(elem.getNaturalSize()).toEqual({width: 400, height: 200});
+
+  let ctx = createRecordingContext();
+  elem.paint(ctx, 0, 0, 100, 50);
+  expect(loadSource).toHaveBeenCalledTimes(1);
+  // Zoomed in, the current source is drawn until the sharper one loaded
+  elem.paint(ctx, 0, 0, 200, 100);
+  expect(loadSource.mock.calls[1][0]).toBe('400.jpg');
+  expect(ctx.calls).toContainEqual(['drawImage', elem.img, 0, 0, 200, 100, 0, 0, 200, 100]);
+  pending['400.jpg']();
+  expect(onSourceChange).toHaveBeenCalledWith(elem);
+  expect(elem.img.url).toBe('400.jpg');
+
+  // Zooming out keeps the sharper source
+  ctx = createRecordingContext();
+  elem.paint(ctx, 0, 0, 100, 50);
+  expect(loadSource).toHaveBeenCalledTimes(2);
+  expect(ctx.calls).toContainEqual(['drawImage', elem.img, 0, 0, 400, 200, 0, 0, 100, 50]);
+});
+
+test('images are filtered & highlighted by how strongly they are hovered', () => {
+  let filterCache = jest.fn((source, filter, width, height) => ({filter, width, height}));
+  let elem = new CanvasImage({w: 100, h: 50, url: 'photo.jpg'});
+  elem.load({filterCache, loadSource: (url, onLoad) => onLoad({width: 200, height: 100})});
+  elem.setPosition(0, 0, 100, 50);
+  elem.depth = 0.5;
+  elem.setStyle({
+    filter: {grayscale: 1},
+    hoverFilter: {grayscale: 0},
+    depthBlur: 2,
+    highlight: {type: 'outline', width: 4, color: 'gold'},
+  });
+
+  // Far from the mouse the image is gray & blurred by its depth. The blur is
+  // in source px, which are half as large
+  let ctx = createRecordingContext();
+  ctx.globalAlpha = 1;
+  elem.paint(ctx, 0, 0, 100, 50);
+  expect(ctx.callsTo('drawImage')[0][0]).toEqual({filter: 'grayscale(1) blur(2px)', width: 200, height: 100});
+  expect(ctx.calls).not.toContainEqual(['set', 'strokeStyle', 'gold']);
+
+  // Hovered it shows its colors & the outline
+  elem.currentValue = 0;
+  ctx.reset();
+  elem.paint(ctx, 0, 0, 200, 100);
+  expect(ctx.callsTo('drawImage')[0][0].filter).toBe('blur(2px)');
+  expect(ctx.calls).toContainEqual(['set', 'lineWidth', 8]);
+  expect(ctx.calls).toContainEqual(['set', 'strokeStyle', 'gold']);
+  expect(ctx.calls).toContainEqual(['arcTo', 204, -4, 204, 104, 4]);
+  expect(filterCache).toHaveBeenCalledTimes(2);
+
+  // Unknown values are replaced by defaults or left out w/ a warning when the
+  // style is set, so painting doesn't throw
+  let warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+  elem.setStyle({highlight: {type: 'sparkle', color: 'gold'}, hoverFilter: {glow: 1, sepia: 1}});
+  expect(warn.mock.calls).toEqual([['Unknown highlight type "sparkle" ignored'], ['Unknown filter "glow" ignored']]);
+  expect(elem.style.highlight).toEqual({type: 'glow', color: 'gold'});
+  expect(elem.style.hoverFilter).toEqual({sepia: 1});
+  expect(() => elem.paint(ctx, 0, 0, 100, 50)).not.toThrow();
+  warn.mockRestore();
+});
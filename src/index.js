@@ -1,12 +1,58 @@
-import React from 'react';
-import ReactDOM from 'react-dom';
-import './index.css';
-import App from './App';
-import * as serviceWorker from './serviceWorker';
+/**
+ * Entry point of the library. The demo app importing it lives in examples/demo.
+ * Test helpers have their own entry point, react-parallax-canvas/testing
+ * (see testing/index.js), so they don't end up in app bundles
+ */
+import Canvas from './Canvas.js';
+import Scene, {getImageKey} from './Scene.js';
+import {
+  CanvasElement,
+  CanvasImage,
+  TextElement,
+  VideoElement,
+  ShapeElement,
+  CustomElement,
+  ELEMENT_TYPES,
+  DEFAULT_DEPTH,
+  DEFAULT_PLACEHOLDER_COLOR,
+  DEFAULT_IMAGE_STYLE,
+  DEFAULT_HIGHLIGHT,
+  getElementType,
+  loadImageElement,
+  createFillStyle
+} from './elements/index.js';
+import {
+  supportsWorkerRendering,
+  resolveSceneUrls,
+  loadImageBitmap,
+  createWorkerRenderer,
+  attachSceneToWorker
+} from './worker/protocol.js';
 
-ReactDOM.render(<App />, document.getElementById('root'));
-
-// If you want your app to work offline and load faster, you can change
-// unregister() to register() below. Note this comes with some pitfalls.
-// Learn more about service workers: https://bit.ly/CRA-PWA
-serviceWorker.unregister();
+// All util functions & their defaults are public, see util/index.js
+export * from './util/index.js';
+export {
+  Canvas,
+  Scene,
+  getImageKey,
+  CanvasElement,
+  CanvasImage,
+  TextElement,
+  VideoElement,
+  ShapeElement,
+  CustomElement,
+  ELEMENT_TYPES,
+  DEFAULT_DEPTH,
+  DEFAULT_PLACEHOLDER_COLOR,
+  DEFAULT_IMAGE_STYLE,
+  DEFAULT_HIGHLIGHT,
+  getElementType,
+  loadImageElement,
+  createFillStyle,
+  supportsWorkerRendering,
+  resolveSceneUrls,
+  loadImageBitmap,
+  createWorkerRenderer,
+  attachSceneToWorker
+};
+export default Canvas;
@@ -0,0 +1,171 @@
+/**
+ * Harness shared by the Canvas tests
+ * jsdom neither draws nor animates, so canvases draw to a recording context
+ * (see testing/index.js) & requestAnimationFrame is replaced by a manual
+ * scheduler (see util/scheduler.js), which only runs frames when told to.
+ * Images load via a mock Image: urls containing 'missing' fail to load, urls
+ * containing 'pending' never settle, all others load once timers run
+ */
+import {fireEvent} from '@testing-library/react';
+import {createManualScheduler} from './util';
+import {createRecordingContext} from './testing';
+
+/** Globals replaced while a test runs, restored after each test */
+const STUBBED_GLOBALS = [
+  'Image', 'PointerEvent', 'requestAnimationFrame', 'cancelAnimationFrame', 'devicePixelRatio', 'matchMedia',
+];
+
+let ctx;
+let scheduler;
+/** Urls requested from the mock Image, in order */
+const requestedUrls = [];
+let savedGlobals = [];
+
+/**
+ * Registers the hooks setting up the recording context, the manual frames &
+ * the mock Image before each test & restoring the globals after it
+ */
+let setUpCanvasTests = () => {
+  beforeEach(() => {
+    savedGlobals = STUBBED_GLOBALS.map(name => Object.getOwnPropertyDescriptor(window, name));
+    jest.useFakeTimers();
+    ctx = createRecordingContext();
+    jest.spyOn(HTMLCanvasElement.prototype, 'getContext').mockReturnValue(ctx);
+    scheduler = createManualScheduler();
+    window.requestAnimationFrame = scheduler.requestFrame;
+    window.cancelAnimationFrame = scheduler.cancelFrame;
+    requestedUrls.length = 0;
+    window.Image = class {
+      addEventListener(type, listener) {
+        this[type] = listener;
+      }
+      set src(url) {
+        this.url = url;
+        requestedUrls.push(url);
+        if (!url.includes('pending')) {
+          setTimeout(() => url.includes('missing') ? this.error() : this.load(), 0);
+        }
+      }
+      get src() {
+        return this.url;
+      }
+    };
+    // jsdom doesn't implement pointer events
+    window.PointerEvent = class extends MouseEvent {
+      constructor(type, init = {}) {
+        super(type, init);
+        this.pointerId = init.pointerId;
+        this.pointerType = init.pointerType;
+      }
+    };
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    jest.useRealTimers();
+    STUBBED_GLOBALS.forEach((name, idx) => savedGlobals[idx] ?
+      Object.defineProperty(window, name, savedGlobals[idx]) :
+      delete window[name]);
+  });
+}
+
+/**
+ * Taps a point of the canvas w/ a touch
+ *
+ * @param {object} canvas - Canvas element
+ * @param {number} x - Horizontal position (in px) relative to the canvas
+ * @param {number} y - Vertical position (in px) relative to the canvas
+ */
+let tap = (canvas, x, y) => {
+  fireEvent.pointerDown(canvas, {clientX: x, clientY: y, pointerId: 1, pointerType: 'touch'});
+  fireEvent.pointerUp(canvas, {clientX: x, clientY: y, pointerId: 1, pointerType: 'touch'});
+}
+
+/**
+ * Moves the mouse across the canvas, which moves the pointer parallax
+ *
+ * @param {object} canvas - Canvas element
+ */
+let movePointer = canvas => {
+  fireEvent.pointerMove(canvas, {clientX: 100, clientY: 100, pointerId: 1, pointerType: 'mouse'});
+  fireEvent.pointerMove(canvas, {clientX: 300, clientY: 200, pointerId: 1, pointerType: 'mouse'});
+}
+
+/**
+ * Runs a frame, recording only the calls made during it
+ */
+let runFrame = () => {
+  ctx.reset();
+  scheduler.runFrame();
+}
+
+/**
+ * Runs frames until the animation loop sleeps, recording only the calls made
+ * during the last frame. Throws if the loop doesn't sleep within 10,000 frames
+ */
+let runUntilIdle = () => {
+  for (let count = 0; scheduler.hasPendingFrame(); count++) {
+    if (count >= 10000) {
+      throw new Error('Still animating after 10000 frames');
+    }
+    runFrame();
+  }
+}
+
+/**
+ * @returns The urls of the images drawn since the calls were last reset
+ */
+let drawnUrls = () => ctx.callsTo('drawImage').map(([img]) => img.src);
+
+/**
+ * Returns where an image was drawn since the calls were last reset
+ *
+ * @param {string} url - Url of the image
+ *
+ * @returns The destination rectangle {x, y, width, height}, undefined if the
+ *          image wasn't drawn
+ */
+let drawnRect = url => {
+  let args = ctx.callsTo('drawImage').find(([img]) => img.src === url);
+  if (!args) {
+    return undefined;
+  }
+  let [x, y, width, height] = args.slice(-4);
+  return {x, y, width, height};
+}
+
+/**
+ * @returns The offset [x, y] the canvas origin was first translated by since
+ *          the calls were last reset, i.e. where the parallax moved the canvas
+ */
+let drawnOffset = () => ctx.callsTo('translate')[0];
+
+/**
+ * Returns the opacity each image was drawn w/ since the calls were last reset
+ *
+ * @returns Object mapping the url of each drawn image to its globalAlpha
+ */
+let drawnAlphas = () => {
+  let alphas = {};
+  let alpha = 1;
+  ctx.calls.forEach(([method, ...args]) => {
+    method === 'set' && args[0] === 'globalAlpha' && (alpha = args[1]);
+    method === 'drawImage' && (alphas[args[0].src] = alpha);
+  });
+  return alphas;
+}
+
+export {
+  ctx,
+  scheduler,
+  requestedUrls,
+  setUpCanvasTests,
+  tap,
+  movePointer,
+  runFrame,
+  runUntilIdle,
+  drawnUrls,
+  drawnRect,
+  drawnOffset,
+  drawnAlphas
+}
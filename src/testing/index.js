@@ -0,0 +1,47 @@
+/**
+ * Creates a stand-in for a canvas' 2D rendering context that records what is
+ * drawn instead of drawing it, as jsdom doesn't implement the canvas API.
+ * Method calls are recorded as [name, ...args] & property assignments as
+ * ['set', name, value]. Assigned properties read back their last value, all
+ * other properties are methods. Methods creating gradients or patterns return
+ * an object recording its addColorStop calls the same way
+ *
+ * Use w/ a manual scheduler (see util/scheduler.js) to step frames deterministically
+ *
+ * @returns The context w/ the additional properties
+ *   - calls: Array of the recorded calls
+ *   - callsTo(name): Arguments of the recorded calls to a method, e.g. 'drawImage'
+ *   - reset(): Forgets the recorded calls
+ */
+let createRecordingContext = () => {
+  let calls = [];
+  let values = {};
+  let gradient = {addColorStop: (...args) => calls.push(['addColorStop', ...args])};
+  let helpers = {
+    calls,
+    callsTo: name => calls.filter(call => call[0] === name).map(call => call.slice(1)),
+    reset: () => calls.splice(0, calls.length),
+  };
+
+  return new Proxy(helpers, {
+    get: (target, prop) => {
+      if (prop in target) {
+        return target[prop];
+      }
+      if (prop in values) {
+        return values[prop];
+      }
+      return (...args) => {
+        calls.push([prop, ...args]);
+        return typeof prop === 'string' && prop.startsWith('create') ? gradient : undefined;
+      };
+    },
+    set: (target, prop, value) => {
+      calls.push(['set', prop, value]);
+      values[prop] = value;
+      return true;
+    },
+  });
+}
+
+export {createRecordingContext}
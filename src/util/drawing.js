@@ -0,0 +1,76 @@
+/**
+ * Scales a source into a region like the CSS object-fit property:
+ *   - fill: Stretches the source to the region
+ *   - contain: Scales the source to fit within the region, keeping its aspect ratio
+ *   - cover: Scales the source to cover the region, keeping its aspect ratio.
+ *            The parts outside the region are cropped
+ *   - none: Keeps the source at its natural size (times the scale option)
+ * The source is positioned by the focal point like the CSS object-position
+ * property: the focal point of the source lines up w/ the same point of the
+ * region, so it stays visible when the source is cropped.
+ *
+ * @param {string} mode - 'fill', 'contain', 'cover' or 'none'
+ * @param {object} natural - Object containing the natural width and height of the source
+ * @param {object} region - Object containing the x and y coords of the top-left
+ *                          corner as well as the width and height of the region
+ * @param {object} options
+ * @param {object} options.focalPoint - x and y of the focal point as fractions of
+ *                                      the source's dimensions (default centered)
+ * @param {number} options.scale - Scale of the source in 'none' mode, e.g. while zoomed
+ *
+ * @returns Object containing the part of the source that is drawn (source) &
+ *          where it is drawn (dest), both w/ x, y, width and height, as
+ *          expected by the 9 argument form of drawImage()
+ */
+let fitSource = (mode, natural, region, {focalPoint = {x: 0.5, y: 0.5}, scale = 1} = {}) => {
+  let scaleX = region.width / natural.width;
+  let scaleY = region.height / natural.height;
+  if (mode === 'contain' || mode === 'cover') {
+    scaleX = scaleY = (mode === 'contain' ? Math.min : Math.max)(scaleX, scaleY);
+  } else if (mode === 'none') {
+    scaleX = scaleY = scale;
+  } else if (mode !== 'fill') {
+    throw new Error(`Unknown fit mode "${mode}"`);
+  }
+
+  // Region the whole source would occupy, clipped to the region
+  let width = natural.width * scaleX;
+  let height = natural.height * scaleY;
+  let x = region.x + (region.width - width) * focalPoint.x;
+  let y = region.y + (region.height - height) * focalPoint.y;
+  let left = Math.max(x, region.x);
+  let top = Math.max(y, region.y);
+  let right = Math.min(x + width, region.x + region.width);
+  let bottom = Math.min(y + height, region.y + region.height);
+
+  return {
+    source: {
+      x: (left - x) / scaleX,
+      y: (top - y) / scaleY,
+      width: Math.max(right - left, 0) / scaleX,
+      height: Math.max(bottom - top, 0) / scaleY,
+    },
+    dest: {x: left, y: top, width: Math.max(right - left, 0), height: Math.max(bottom - top, 0)},
+  };
+}
+
+/**
+ * Adds a rectangle w/ rounded corners to the current path of a context
+ *
+ * @param {object} ctx - Canvas rendering context object
+ * @param {object} rect - Object containing the x and y coords of the top-left
+ *                        corner as well as the width and height of the rectangle
+ * @param {number} radius - Radius (in px) of the corners, limited to half the
+ *                          rectangle's smaller dimension
+ */
+let traceRoundedRect = (ctx, {x, y, width, height}, radius) => {
+  let r = Math.max(0, Math.min(radius, width / 2, height / 2));
+  ctx.moveTo(x + r, y);
+  ctx.arcTo(x + width, y, x + width, y + height, r);
+  ctx.arcTo(x + width, y + height, x, y + height, r);
+  ctx.arcTo(x, y + height, x, y, r);
+  ctx.arcTo(x, y, x + width, y, r);
+  ctx.closePath();
+}
+
+export {fitSource, traceRoundedRect}
@@ -0,0 +1,35 @@
+import {fitSource} from './drawing';
+
+const NATURAL = {width: 400, height: 200};
+const REGION = {x: 10, y: 20, width: 100, height: 100};
+
+test('fill stretches the source over the region', () => {
+  expect(fitSource('fill', NATURAL, REGION)).toEqual({
+    source: {x: 0, y: 0, width: 400, height: 200},
+    dest: REGION,
+  });
+});
+
+test('contain letterboxes the source', () => {
+  expect(fitSource('contain', NATURAL, REGION)).toEqual({
+    source: {x: 0, y: 0, width: 400, height: 200},
+    dest: {x: 10, y: 45, width: 100, height: 50},
+  });
+  expect(fitSource('contain', NATURAL, REGION, {focalPoint: {x: 0.5, y: 1}}).dest.y).toBe(70);
+});
+
+test('cover crops the source around the focal point', () => {
+  expect(fitSource('cover', NATURAL, REGION)).toEqual({
+    source: {x: 100, y: 0, width: 200, height: 200},
+    dest: REGION,
+  });
+  expect(fitSource('cover', NATURAL, REGION, {focalPoint: {x: 0, y: 0.5}}).source.x).toBe(0);
+  expect(fitSource('cover', NATURAL, REGION, {focalPoint: {x: 1, y: 0.5}}).source.x).toBe(200);
+});
+
+test('none keeps the natural size times the scale', () => {
+  let {source, dest} = fitSource('none', {width: 50, height: 50}, REGION, {scale: 2});
+  expect(source).toEqual({x: 0, y: 0, width: 50, height: 50});
+  expect(dest).toEqual({x: 10, y: 20, width: 100, height: 100});
+  expect(() => fitSource('stretch', NATURAL, REGION)).toThrow('Unknown fit mode "stretch"');
+});
@@ -0,0 +1,192 @@
+import {applyNonDeterministicEaseOut} from './util.js';
+
+/**
+ * Deterministic easing curves
+ * Each curve maps normalized time/progress in the [0,1] range to an eased
+ * progress value, where curve(0) = 0 and curve(1) = 1. Back & elastic curves
+ * overshoot the [0,1] range in between.
+ * See https://easings.net
+ */
+const BACK_OVERSHOOT = 1.70158;
+const ELASTIC_PERIOD = (2 * Math.PI) / 3;
+
+let linear = t => t;
+
+let easeInQuad = t => t * t;
+let easeOutQuad = t => 1 - (1 - t) * (1 - t);
+let easeInOutQuad = t => t < 0.5 ? 2 * t * t : 1 - Math.pow(-2 * t + 2, 2) / 2;
+
+let easeInCubic = t => t * t * t;
+let easeOutCubic = t => 1 - Math.pow(1 - t, 3);
+let easeInOutCubic = t => t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2;
+
+let easeInExpo = t => t === 0 ? 0 : Math.pow(2, 10 * t - 10);
+let easeOutExpo = t => t === 1 ? 1 : 1 - Math.pow(2, -10 * t);
+let easeInOutExpo = t => {
+  if (t === 0 || t === 1) {
+    return t;
+  }
+  return t < 0.5 ? Math.pow(2, 20 * t - 10) / 2 : (2 - Math.pow(2, -20 * t + 10)) / 2;
+}
+
+let easeInBack = t => (BACK_OVERSHOOT + 1) * t * t * t - BACK_OVERSHOOT * t * t;
+let easeOutBack = t => 1 - easeInBack(1 - t);
+let easeInOutBack = t => t < 0.5 ? easeInBack(2 * t) / 2 : 1 - easeInBack(2 - 2 * t) / 2;
+
+let easeInElastic = t => {
+  if (t === 0 || t === 1) {
+    return t;
+  }
+  return -Math.pow(2, 10 * t - 10) * Math.sin((t * 10 - 10.75) * ELASTIC_PERIOD);
+}
+let easeOutElastic = t => 1 - easeInElastic(1 - t);
+let easeInOutElastic = t => t < 0.5 ? easeInElastic(2 * t) / 2 : 1 - easeInElastic(2 - 2 * t) / 2;
+
+const EASING_CURVES = {
+  linear,
+  easeInQuad, easeOutQuad, easeInOutQuad,
+  easeInCubic, easeOutCubic, easeInOutCubic,
+  easeInExpo, easeOutExpo, easeInOutExpo,
+  easeInBack, easeOutBack, easeInOutBack,
+  easeInElastic, easeOutElastic, easeInOutElastic,
+};
+
+/**
+ * Non deterministic followers
+ * Unlike deterministic curves, followers don't know the duration of the
+ * animation. They are stepped once per animation frame & move a value towards
+ * a destination that may change suddenly (e.g. w/ the mouse position).
+ *
+ * Every follower has the signature
+ * (destinationValue, currentValue, speed, elapsed, options) => [currentValue, speed]
+ * where elapsed is the time (in s) since the previous step, so the motion
+ * doesn't depend on the frame rate
+ */
+
+/** Duration (in s) of an animation frame at 60fps, the default step of followers */
+const FRAME_DURATION = 1 / 60;
+
+/**
+ * Ease out follower - The original motion model of the canvas, see
+ * {@link applyNonDeterministicEaseOut}
+ *
+ * @param {number} options.acceleration - Fraction of the remaining distance covered per 60fps frame
+ */
+let easeOutFollower = (destinationValue, currentValue, speed, elapsed = FRAME_DURATION, {acceleration = 0.05} = {}) => {
+  // Covers the same distance per second at any frame rate
+  let fraction = 1 - Math.pow(1 - acceleration, elapsed / FRAME_DURATION);
+  return applyNonDeterministicEaseOut(destinationValue, currentValue, speed, fraction, (a, b) => Math.abs(a - b));
+}
+
+/**
+ * Spring/damper follower - A damped harmonic oscillator pulling the value
+ * towards the destination. Low damping makes the value overshoot & oscillate.
+ * Speed is the signed velocity (per s) of the value.
+ *
+ * @param {number} options.stiffness - Spring constant, higher values move faster
+ * @param {number} options.damping - Damping coefficient, higher values oscillate less
+ * @param {number} options.mass - Mass attached to the spring
+ */
+let springFollower = (destinationValue, currentValue, speed, elapsed = FRAME_DURATION,
+                      {stiffness = 170, damping = 26, mass = 1} = {}) => {
+  // Long frames are integrated in steps of at most a 60fps frame to stay stable
+  let steps = Math.ceil(elapsed / FRAME_DURATION);
+  let dt = elapsed / steps;
+  for (let i = 0; i < steps; i++) {
+    let springForce = stiffness * (destinationValue - currentValue);
+    let dampingForce = -damping * speed;
+    speed += ((springForce + dampingForce) / mass) * dt;
+    currentValue += speed * dt;
+  }
+  return [currentValue, speed];
+}
+
+/**
+ * Critically damped follower - Reaches the destination as fast as possible
+ * w/o overshooting it. Speed is the signed velocity (per s) of the value.
+ * See Game Programming Gems 4, Chapter 1.10
+ *
+ * @param {number} options.smoothTime - Approximate time (in s) to reach the destination
+ */
+let criticallyDampedFollower = (destinationValue, currentValue, speed, elapsed = FRAME_DURATION,
+                                {smoothTime = 0.25} = {}) => {
+  let omega = 2 / smoothTime;
+  let x = omega * elapsed;
+  let decay = 1 / (1 + x + 0.48 * x * x + 0.235 * x * x * x);
+  let change = currentValue - destinationValue;
+  let temp = (speed + omega * change) * elapsed;
+  speed = (speed - omega * temp) * decay;
+  currentValue = destinationValue + (change + temp) * decay;
+  return [currentValue, speed];
+}
+
+/**
+ * Snap follower - Jumps to the destination w/o animating (e.g. for reduced motion)
+ */
+let snapFollower = (destinationValue) => [destinationValue, 0];
+
+const FOLLOWERS = {
+  easeOut: easeOutFollower,
+  spring: springFollower,
+  criticallyDamped: criticallyDampedFollower,
+  snap: snapFollower,
+};
+
+/**
+ * Resolves an easing curve from its configuration
+ *
+ * @param {string|function} spec - Name of a curve in EASING_CURVES or a
+ *                                 custom curve mapping [0,1] to [0,1]
+ *
+ * @returns The easing curve
+ */
+let resolveEasing = spec => {
+  if (typeof spec === 'function') {
+    return spec;
+  }
+  if (!EASING_CURVES[spec]) {
+    throw new Error(`Unknown easing curve "${spec}"`);
+  }
+  return EASING_CURVES[spec];
+}
+
+/**
+ * Resolves a follower from its configuration
+ *
+ * @param {string|object|function} spec - Name of a follower in FOLLOWERS,
+ *   an object w/ the follower's name as type plus its options
+ *   (e.g. {type: 'spring', stiffness: 120, damping: 14}) or a custom follower
+ *
+ * @returns A follower w/ its options bound:
+ *          (destinationValue, currentValue, speed, elapsed) => [currentValue, speed]
+ */
+let resolveFollower = spec => {
+  if (typeof spec === 'function') {
+    return spec;
+  }
+  let {type, ...options} = typeof spec === 'string' ? {type: spec} : spec;
+  let follower = FOLLOWERS[type];
+  if (!follower) {
+    throw new Error(`Unknown follower "${type}"`);
+  }
+  return (destinationValue, currentValue, speed, elapsed) =>
+    follower(destinationValue, currentValue, speed, elapsed, options);
+}
+
+export {
+  EASING_CURVES,
+  FOLLOWERS,
+  FRAME_DURATION,
+  linear,
+  easeInQuad, easeOutQuad, easeInOutQuad,
+  easeInCubic, easeOutCubic, easeInOutCubic,
+  easeInExpo, easeOutExpo, easeInOutExpo,
+  easeInBack, easeOutBack, easeInOutBack,
+  easeInElastic, easeOutElastic, easeInOutElastic,
+  easeOutFollower,
+  springFollower,
+  criticallyDampedFollower,
+  snapFollower,
+  resolveEasing,
+  resolveFollower
+}
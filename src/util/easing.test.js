@@ -0,0 +1,115 @@
+import {
+  EASING_CURVES,
+  easeInQuad,
+  easeInOutCubic,
+  easeOutExpo,
+  easeInBack,
+  easeOutBack,
+  easeOutElastic,
+  easeOutFollower,
+  springFollower,
+  criticallyDampedFollower,
+  snapFollower,
+  resolveEasing,
+  resolveFollower
+} from './easing';
+
+/**
+ * Steps a follower frame by frame and returns the value at every frame
+ */
+let runFollower = (follower, destinationValue, currentValue, frames, elapsed) => {
+  let speed = 0;
+  let values = [];
+  for (let i = 0; i < frames; i++) {
+    [currentValue, speed] = follower(destinationValue, currentValue, speed, elapsed);
+    values.push(currentValue);
+  }
+  return values;
+};
+
+test.each(Object.keys(EASING_CURVES))('%s starts at 0 and ends at 1', name => {
+  let curve = EASING_CURVES[name];
+  expect(curve(0)).toBeCloseTo(0);
+  expect(curve(1)).toBeCloseTo(1);
+});
+
+test.each(['linear', 'easeInQuad', 'easeOutQuad', 'easeInOutQuad', 'easeInCubic',
+  'easeOutCubic', 'easeInOutCubic', 'easeInExpo', 'easeOutExpo', 'easeInOutExpo'])(
+  '%s increases monotonically within [0,1]', name => {
+  let curve = EASING_CURVES[name];
+  let prev = 0;
+  for (let t = 0.05; t <= 1; t += 0.05) {
+    expect(curve(t)).toBeGreaterThanOrEqual(prev);
+    expect(curve(t)).toBeLessThanOrEqual(1);
+    prev = curve(t);
+  }
+});
+
+test('ease in curves start slow, ease out curves start fast', () => {
+  expect(easeInQuad(0.5)).toBeCloseTo(0.25);
+  expect(easeOutExpo(0.5)).toBeGreaterThan(0.9);
+  expect(easeInOutCubic(0.5)).toBeCloseTo(0.5);
+});
+
+test('back curves overshoot', () => {
+  expect(easeInBack(0.2)).toBeLessThan(0);
+  expect(easeOutBack(0.8)).toBeGreaterThan(1);
+});
+
+test('elastic curve oscillates around its end value', () => {
+  let values = [0.2, 0.3, 0.4, 0.5, 0.6].map(easeOutElastic);
+  expect(values.some(value => value > 1)).toBe(true);
+  expect(values.some(value => value < 1)).toBe(true);
+});
+
+test('ease out follower matches the original acceleration and converges', () => {
+  let [value, speed] = easeOutFollower(100, 0, 0);
+  expect(value).toBeCloseTo(5);
+  expect(speed).toBeCloseTo(5);
+
+  let values = runFollower(easeOutFollower, 100, 0, 300);
+  expect(values[values.length - 1]).toBeCloseTo(100, 0);
+});
+
+test('spring follower overshoots when underdamped and converges', () => {
+  let bouncy = (dest, curr, speed) => springFollower(dest, curr, speed, undefined, {stiffness: 200, damping: 5});
+  let values = runFollower(bouncy, 100, 0, 600);
+  expect(Math.max(...values)).toBeGreaterThan(100);
+  expect(values[values.length - 1]).toBeCloseTo(100, 1);
+});
+
+test('critically damped follower converges w/o overshooting', () => {
+  let values = runFollower(criticallyDampedFollower, 100, 0, 120);
+  expect(Math.max(...values)).toBeLessThanOrEqual(100);
+  expect(values[values.length - 1]).toBeCloseTo(100, 1);
+});
+
+test.each([
+  ['easeOut', easeOutFollower],
+  ['spring', springFollower],
+  ['criticallyDamped', criticallyDampedFollower],
+])('%s follower moves as far per second at 30fps as at 60fps', (name, follower) => {
+  let at60fps = runFollower(follower, 100, 0, 30, 1 / 60);
+  let at30fps = runFollower(follower, 100, 0, 15, 1 / 30);
+  expect(at30fps[14]).toBeCloseTo(at60fps[29], 1);
+  expect(runFollower(follower, 100, 0, 1, 1 / 30)[0]).toBeGreaterThan(runFollower(follower, 100, 0, 1, 1 / 60)[0]);
+});
+
+test('snap follower jumps to the destination', () => {
+  expect(snapFollower(42, 0, 3)).toEqual([42, 0]);
+});
+
+test('resolveEasing returns named curves and passes through custom ones', () => {
+  let custom = t => t;
+  expect(resolveEasing('easeInQuad')).toBe(easeInQuad);
+  expect(resolveEasing(custom)).toBe(custom);
+  expect(() => resolveEasing('bounce')).toThrow('Unknown easing curve "bounce"');
+});
+
+test('resolveFollower binds the options of configured followers', () => {
+  let stiff = resolveFollower({type: 'spring', stiffness: 500, damping: 45});
+  let soft = resolveFollower('spring');
+  expect(stiff(100, 0, 0)[1]).toBeGreaterThan(soft(100, 0, 0)[1]);
+  expect(resolveFollower('snap')(7, 0, 0)).toEqual([7, 0]);
+  expect(() => resolveFollower({type: 'bounce'})).toThrow('Unknown follower "bounce"');
+});
@@ -0,0 +1,164 @@
+/**
+ * Filter functions images can be drawn w/, see https://developer.mozilla.org/en-US/docs/Web/CSS/filter
+ * Maps the names used in filter objects (e.g. {grayscale: 1, blur: 4}) to the
+ * CSS function, its unit & the value leaving the image unchanged
+ */
+const FILTER_FUNCTIONS = {
+  blur: {name: 'blur', unit: 'px', neutral: 0},
+  brightness: {name: 'brightness', unit: '', neutral: 1},
+  contrast: {name: 'contrast', unit: '', neutral: 1},
+  grayscale: {name: 'grayscale', unit: '', neutral: 0},
+  hueRotate: {name: 'hue-rotate', unit: 'deg', neutral: 0},
+  invert: {name: 'invert', unit: '', neutral: 0},
+  saturate: {name: 'saturate', unit: '', neutral: 1},
+  sepia: {name: 'sepia', unit: '', neutral: 0},
+};
+
+/**
+ * Looks up a filter function by name
+ *
+ * @param {string} name - Name of the filter, see FILTER_FUNCTIONS
+ *
+ * @returns The filter function
+ */
+let getFilterFunction = name => {
+  let filterFunction = FILTER_FUNCTIONS[name];
+  if (!filterFunction) {
+    throw new Error(`Unknown filter "${name}"`);
+  }
+  return filterFunction;
+}
+
+/**
+ * Removes the functions missing from FILTER_FUNCTIONS from a filter object,
+ * warning about each, so a typo in a prop doesn't break drawing
+ *
+ * @param {object} filter - Object mapping filter names to values
+ *
+ * @returns The filter object w/o unknown functions
+ */
+let removeUnknownFilters = (filter = {}) => {
+  let known = {};
+  Object.keys(filter).forEach(key => {
+    FILTER_FUNCTIONS[key] ?
+      known[key] = filter[key] :
+      console.warn(`Unknown filter "${key}" ignored`);
+  });
+  return known;
+}
+
+/**
+ * Formats a filter object as the value of a canvas context's filter property.
+ * Values are rounded to 2 decimals & neutral values are left out, so filters
+ * that look the same format the same, e.g. to be cached
+ *
+ * @param {object} filter - Object mapping names in FILTER_FUNCTIONS to values
+ *
+ * @returns The filter, e.g. 'grayscale(1) blur(4px)', or 'none'
+ */
+let formatFilter = (filter = {}) => {
+  let functions = Object.keys(filter).map(key => {
+    let {name, unit, neutral} = getFilterFunction(key);
+    let value = Math.round(filter[key] * 100) / 100;
+    return value === neutral ? undefined : `${name}(${value}${unit})`;
+  }).filter(Boolean);
+  return functions.length > 0 ? functions.join(' ') : 'none';
+}
+
+/**
+ * Interpolates between two filter objects. Values missing in one of them are
+ * neutral there, so {grayscale: 1} blends into {} by fading out the grayscale
+ *
+ * @param {object} from - Filter at weight 0
+ * @param {object} to - Filter at weight 1
+ * @param {number} weight - Blend (0 to 1) of the filters
+ *
+ * @returns The blended filter
+ */
+let blendFilters = (from = {}, to = {}, weight) => {
+  let blended = {};
+  new Set([...Object.keys(from), ...Object.keys(to)]).forEach(key => {
+    let {neutral} = getFilterFunction(key);
+    let fromValue = from[key] !== undefined ? from[key] : neutral;
+    let toValue = to[key] !== undefined ? to[key] : neutral;
+    blended[key] = fromValue + (toValue - fromValue) * weight;
+  });
+  return blended;
+}
+
+/**
+ * Creates a canvas to draw into off screen. Workers get an OffscreenCanvas
+ *
+ * @param {number} width - Width (in px) of the canvas
+ * @param {number} height - Height (in px) of the canvas
+ *
+ * @returns The canvas
+ */
+let createCanvas = (width, height) => {
+  if (typeof OffscreenCanvas !== 'undefined') {
+    return new OffscreenCanvas(width, height);
+  }
+  let canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  return canvas;
+}
+
+/**
+ * Number of filtered copies a filter cache keeps unless told otherwise
+ */
+const DEFAULT_FILTER_CACHE_SIZE = 50;
+
+/**
+ * Creates a cache of filtered copies of sources, as filters (blurs in particular)
+ * are too expensive to apply every frame. Copies are drawn once per source,
+ * filter & size and can then be drawn like the source itself. The least recently
+ * used copies are dropped once the cache holds more than maxEntries
+ *
+ * @param {number} maxEntries - Max number of filtered copies kept
+ * @param {function} create - Creates the canvases the copies are drawn into, see {@link createCanvas}
+ *
+ * @returns Function called w/ the source, the filter (see {@link formatFilter})
+ *   & the size of the copy & a function drawing the source into a context.
+ *   Returns the copy. Its setMaxEntries(count) method changes the max number
+ *   of copies kept, e.g. to fit the copies of all images on screen
+ */
+let createFilterCache = (maxEntries = DEFAULT_FILTER_CACHE_SIZE, create = createCanvas) => {
+  let entries = new Map();
+  let sourceIDs = new WeakMap();
+  let nextID = 1;
+  let evict = () => {
+    while (entries.size > maxEntries) {
+      entries.delete(entries.keys().next().value);
+    }
+  };
+
+  let cache = (source, filter, width, height, draw) => {
+    if (!sourceIDs.has(source)) {
+      sourceIDs.set(source, nextID++);
+    }
+    let key = `${sourceIDs.get(source)} ${filter} ${width}x${height}`;
+    let copy = entries.get(key);
+    if (copy) {
+      // Mark as recently used
+      entries.delete(key);
+      entries.set(key, copy);
+      return copy;
+    }
+
+    copy = create(width, height);
+    let ctx = copy.getContext('2d');
+    ctx.filter = filter;
+    draw(ctx);
+    entries.set(key, copy);
+    evict();
+    return copy;
+  };
+  cache.setMaxEntries = count => {
+    maxEntries = count;
+    evict();
+  };
+  return cache;
+}
+
+export {FILTER_FUNCTIONS, removeUnknownFilters, formatFilter, blendFilters, createCanvas, DEFAULT_FILTER_CACHE_SIZE, createFilterCache}
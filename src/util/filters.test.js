@@ -0,0 +1,61 @@
+import {removeUnknownFilters, formatFilter, blendFilters, createFilterCache} from './filters';
+import {createRecordingContext} from '../testing';
+
+test('filters format as canvas filters & blend into each other', () => {
+  expect(formatFilter({grayscale: 1, blur: 2.345, brightness: 1, hueRotate: 90}))
+    .toBe('grayscale(1) blur(2.35px) hue-rotate(90deg)');
+  expect(formatFilter({saturate: 1})).toBe('none');
+  expect(formatFilter()).toBe('none');
+  expect(blendFilters({grayscale: 1}, {brightness: 1.5}, 0.5)).toEqual({grayscale: 0.5, brightness: 1.25});
+  expect(() => formatFilter({glow: 1})).toThrow('Unknown filter "glow"');
+});
+
+test('unknown filters are left out w/ a warning', () => {
+  let warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+  expect(removeUnknownFilters({glow: 1, sepia: 0.5})).toEqual({sepia: 0.5});
+  expect(warn).toHaveBeenCalledWith('Unknown filter "glow" ignored');
+  warn.mockRestore();
+});
+
+test('filtered copies are drawn once & the least recently used dropped', () => {
+  let create = jest.fn((width, height) => {
+    let ctx = createRecordingContext();
+    return {width, height, getContext: () => ctx};
+  });
+  let cache = createFilterCache(2, create);
+  let draw = jest.fn();
+  let [first, second, third] = [{}, {}, {}];
+
+  let copy = cache(first, 'blur(4px)', 100, 50, draw);
+  expect(copy.getContext('2d').calls).toEqual([['set', 'filter', 'blur(4px)']]);
+  expect(draw.mock.calls[0][0]).toBe(copy.getContext('2d'));
+  expect(cache(first, 'blur(4px)', 100, 50, draw)).toBe(copy);
+  expect(cache(first, 'blur(2px)', 100, 50, draw)).not.toBe(copy);
+  expect(draw).toHaveBeenCalledTimes(2);
+
+  // Drops the blur(2px) copy, then the copy of the second source
+  cache(first, 'blur(4px)', 100, 50, draw);
+  cache(second, 'blur(4px)', 100, 50, draw);
+  cache(first, 'blur(4px)', 100, 50, draw);
+  cache(third, 'blur(4px)', 100, 50, draw);
+  expect(cache(first, 'blur(4px)', 100, 50, draw)).toBe(copy);
+  expect(draw).toHaveBeenCalledTimes(4);
+  cache(second, 'blur(4px)', 100, 50, draw);
+  expect(create).toHaveBeenCalledTimes(5);
+});
+
+test('filter caches grow & shrink to a new max number of copies', () => {
+  let create = jest.fn(() => ({getContext: () => createRecordingContext()}));
+  let cache = createFilterCache(2, create);
+  let sources = [{}, {}, {}];
+  cache.setMaxEntries(3);
+  sources.forEach(source => cache(source, 'grayscale(1)', 10, 10, () => {}));
+  sources.forEach(source => cache(source, 'grayscale(1)', 10, 10, () => {}));
+  expect(create).toHaveBeenCalledTimes(3);
+
+  // Shrinking drops the least recently used copies right away
+  cache.setMaxEntries(1);
+  cache(sources[2], 'grayscale(1)', 10, 10, () => {});
+  cache(sources[1], 'grayscale(1)', 10, 10, () => {});
+  expect(create).toHaveBeenCalledTimes(4);
+});
@@ -1,8 +1,134 @@
 import {
   euclideanDistance,
+  findClosestInDirection,
   applyNonDeterministicEaseOut
 } from './util.js';
+import {
+  createDeviceOrientationSource,
+  createSimulatedOrientationSource,
+  orientationToMovement
+} from './orientation.js';
+import {
+  EASING_CURVES,
+  FOLLOWERS,
+  FRAME_DURATION,
+  easeInQuad,
+  easeOutFollower,
+  snapFollower,
+  resolveEasing,
+  resolveFollower
+} from './easing.js';
+import {
+  DEFAULT_ZOOM_PROFILE,
+  ZOOM_FALLOFFS,
+  resolveZoomProfile,
+  getZoomWeight,
+  getZoomScale
+} from './zoom.js';
+import {
+  clamp,
+  getBoundingBox,
+  wrapCoordinate,
+  rubberBand,
+  rubberBandClamp
+} from './scroll.js';
+import {
+  rectsIntersect,
+  createSpatialGrid,
+  insertionSort
+} from './spatial.js';
+import {
+  DEFAULT_LAYOUT,
+  LAYOUTS,
+  createRandom,
+  computeLayout
+} from './layout.js';
+import {
+  fitSource,
+  traceRoundedRect
+} from './drawing.js';
+import {
+  parseSrcset,
+  selectCandidate,
+  createCachedLoader
+} from './srcset.js';
+import {
+  DEFAULT_SCHEDULER,
+  createManualScheduler
+} from './scheduler.js';
+import {
+  VIEW_STATE_PARAMS,
+  serializeViewState,
+  parseViewState,
+  createViewStore
+} from './viewState.js';
+import {
+  DEFAULT_INTRO,
+  INTRO_EFFECTS,
+  getIntroTransform,
+  getIntroDelays
+} from './intro.js';
+import {
+  FILTER_FUNCTIONS,
+  removeUnknownFilters,
+  formatFilter,
+  blendFilters,
+  createCanvas,
+  DEFAULT_FILTER_CACHE_SIZE,
+  createFilterCache
+} from './filters.js';
 export {
   euclideanDistance,
-  applyNonDeterministicEaseOut
+  findClosestInDirection,
+  applyNonDeterministicEaseOut,
+  createDeviceOrientationSource,
+  createSimulatedOrientationSource,
+  orientationToMovement,
+  EASING_CURVES,
+  FOLLOWERS,
+  FRAME_DURATION,
+  easeInQuad,
+  easeOutFollower,
+  snapFollower,
+  resolveEasing,
+  resolveFollower,
+  DEFAULT_ZOOM_PROFILE,
+  ZOOM_FALLOFFS,
+  resolveZoomProfile,
+  getZoomWeight,
+  getZoomScale,
+  clamp,
+  getBoundingBox,
+  wrapCoordinate,
+  rubberBand,
+  rubberBandClamp,
+  rectsIntersect,
+  createSpatialGrid,
+  insertionSort,
+  DEFAULT_LAYOUT,
+  LAYOUTS,
+  createRandom,
+  computeLayout,
+  fitSource,
+  traceRoundedRect,
+  parseSrcset,
+  selectCandidate,
+  createCachedLoader,
+  DEFAULT_SCHEDULER,
+  createManualScheduler,
+  VIEW_STATE_PARAMS,
+  serializeViewState,
+  parseViewState,
+  createViewStore,
+  DEFAULT_INTRO,
+  INTRO_EFFECTS,
+  getIntroTransform,
+  getIntroDelays,
+  FILTER_FUNCTIONS,
+  removeUnknownFilters,
+  formatFilter,
+  blendFilters,
+  createCanvas,
+  DEFAULT_FILTER_CACHE_SIZE,
+  createFilterCache
 };
@@ -0,0 +1,104 @@
+import {euclideanDistance} from './util.js';
+
+/**
+ * Intro options unless configured otherwise:
+ *   - effect: Entrance effect of the images, see INTRO_EFFECTS. Either a name,
+ *             an array of names to combine or a custom effect function
+ *   - duration: Duration (in ms) of each image's entrance
+ *   - stagger: Delay (in ms) between the entrances of consecutive images
+ *   - staggerOrder: 'index' staggers the images in the order of the images prop,
+ *                   'distance' from the center of the canvas outwards
+ *   - scale: Initial scale of 'scale' entrances
+ *   - from: Edge 'slide' entrances start from: 'top', 'bottom', 'left' or 'right'
+ *   - distance: Distance (in px) 'slide' entrances travel
+ *   - blur: Initial blur radius (in px) of 'blur' entrances
+ *   - handoff: Duration (in ms) over which the hover zoom & parallax blend in
+ *              once the intro finished
+ */
+const DEFAULT_INTRO = {
+  effect: 'fade',
+  duration: 2000,
+  stagger: 0,
+  staggerOrder: 'index',
+  scale: 0.6,
+  from: 'bottom',
+  distance: 40,
+  blur: 12,
+  handoff: 600,
+};
+
+/**
+ * Unit vectors pointing from the center of an image towards an edge
+ */
+const EDGE_DIRECTIONS = {
+  top: {x: 0, y: -1},
+  bottom: {x: 0, y: 1},
+  left: {x: -1, y: 0},
+  right: {x: 1, y: 0},
+};
+
+/**
+ * Entrance effects. Each effect maps the eased progress of an entrance (0 to 1)
+ * & the intro options to the parts of the transform it animates:
+ *   - opacity: Opacity of the image
+ *   - scale: Scale of the image around its center
+ *   - x, y: Offset (in px) of the image
+ *   - blur: Blur radius (in px)
+ * Custom effects are functions w/ the same signature
+ */
+const INTRO_EFFECTS = {
+  fade: progress => ({opacity: progress}),
+  scale: (progress, {scale}) => ({scale: scale + (1 - scale) * progress}),
+  slide: (progress, {from, distance}) => {
+    let direction = EDGE_DIRECTIONS[from];
+    if (!direction) {
+      throw new Error(`Unknown slide edge "${from}"`);
+    }
+    return {x: direction.x * distance * (1 - progress), y: direction.y * distance * (1 - progress)};
+  },
+  blur: (progress, {blur}) => ({blur: blur * (1 - progress)}),
+};
+
+/**
+ * Calculates the transform an image is drawn w/ during its entrance. All
+ * effects fade the image in, other effects add to that
+ *
+ * @param {number} progress - Eased progress of the entrance, 0 at its start & 1 at its end
+ * @param {object} options - Intro options merged w/ DEFAULT_INTRO
+ *
+ * @returns Object containing the opacity, scale, x & y offset and blur of the image
+ */
+let getIntroTransform = (progress, options) => {
+  let effects = [].concat(options.effect);
+  return effects.reduce((transform, effect) => {
+    let effectFunction = typeof effect === 'function' ? effect : INTRO_EFFECTS[effect];
+    if (!effectFunction) {
+      throw new Error(`Unknown intro effect "${effect}"`);
+    }
+    return {...transform, ...effectFunction(progress, options)};
+  }, {opacity: progress, scale: 1, x: 0, y: 0, blur: 0});
+}
+
+/**
+ * Staggers the entrances of elements, see DEFAULT_INTRO
+ *
+ * @param {array} elements - Canvas elements w/ their index & center
+ * @param {object} center - Object containing the x and y coords of the center of the canvas
+ * @param {object} options - Intro options merged w/ DEFAULT_INTRO
+ *
+ * @returns Map from the elements to their delays (in ms)
+ */
+let getIntroDelays = (elements, center, {stagger, staggerOrder}) => {
+  let ordered = [...elements];
+  if (staggerOrder === 'distance') {
+    let distances = new Map(elements.map(elem => [elem, euclideanDistance(elem.center, center)]));
+    ordered.sort((elem1, elem2) => distances.get(elem1) - distances.get(elem2));
+  } else if (staggerOrder === 'index') {
+    ordered.sort((elem1, elem2) => elem1.index - elem2.index);
+  } else {
+    throw new Error(`Unknown stagger order "${staggerOrder}"`);
+  }
+  return new Map(ordered.map((elem, rank) => [elem, rank * stagger]));
+}
+
+export {DEFAULT_INTRO, INTRO_EFFECTS, getIntroTransform, getIntroDelays}
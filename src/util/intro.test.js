@@ -0,0 +1,33 @@
+import {DEFAULT_INTRO, getIntroTransform, getIntroDelays} from './intro';
+
+test('intro effects animate the transform of an entrance', () => {
+  let options = {...DEFAULT_INTRO, scale: 0.5, from: 'left', distance: 40, blur: 10};
+  expect(getIntroTransform(0.5, options)).toEqual({opacity: 0.5, scale: 1, x: 0, y: 0, blur: 0});
+  expect(getIntroTransform(0.5, {...options, effect: 'scale'}).scale).toBe(0.75);
+  expect(getIntroTransform(0.25, {...options, effect: 'slide'})).toMatchObject({x: -30, y: 0});
+  expect(getIntroTransform(1, {...options, effect: 'slide'}).x).toBeCloseTo(0);
+  expect(getIntroTransform(0, {...options, effect: 'blur'}).blur).toBe(10);
+
+  // Effects combine & custom effects are functions
+  expect(getIntroTransform(0.5, {...options, effect: ['scale', 'blur', progress => ({opacity: progress / 2})]}))
+    .toEqual({opacity: 0.25, scale: 0.75, x: 0, y: 0, blur: 5});
+
+  expect(() => getIntroTransform(0.5, {...options, effect: 'spin'})).toThrow('Unknown intro effect "spin"');
+  expect(() => getIntroTransform(0.5, {...options, effect: 'slide', from: 'front'}))
+    .toThrow('Unknown slide edge "front"');
+});
+
+test('entrances are staggered by index or distance from the center', () => {
+  let elements = [
+    {index: 0, center: {x: 500, y: 0}},
+    {index: 1, center: {x: 0, y: 0}},
+    {index: 2, center: {x: 100, y: 0}},
+  ];
+  let delays = getIntroDelays(elements, {x: 0, y: 0}, {stagger: 100, staggerOrder: 'index'});
+  expect(elements.map(elem => delays.get(elem))).toEqual([0, 100, 200]);
+  delays = getIntroDelays(elements, {x: 0, y: 0}, {stagger: 100, staggerOrder: 'distance'});
+  expect(elements.map(elem => delays.get(elem))).toEqual([200, 0, 100]);
+
+  expect(() => getIntroDelays(elements, {x: 0, y: 0}, {stagger: 100, staggerOrder: 'random'}))
+    .toThrow('Unknown stagger order "random"');
+});
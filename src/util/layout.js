@@ -0,0 +1,248 @@
+import {euclideanDistance} from './util.js';
+import {createSpatialGrid} from './spatial.js';
+
+/**
+ * Layout options unless configured otherwise:
+ *   - type: Layout strategy, see LAYOUTS. Images w/o a layout are placed by
+ *           their own left & top
+ *   - padding: Space (in px) kept between the laid out images & the canvas edges
+ *   - gap: Space (in px) between neighbouring images
+ *   - columnWidth: Width (in px) of the columns in 'masonry' layouts
+ *   - cellWidth, cellHeight: Size (in px) of the cells images are fitted into in 'grid' layouts
+ *   - spacing: Distance (in px) between the turns of 'goldenSpiral' layouts.
+ *              Derived from the largest image when omitted
+ *   - minDistance: Min distance (in px) between image centers in 'poisson'
+ *                  layouts. When omitted, the diagonal of the largest image
+ *                  plus the gap, so images never overlap
+ *   - seed: Seed of the random numbers used by 'poisson' & 'random' layouts.
+ *           The same seed always produces the same layout
+ */
+const DEFAULT_LAYOUT = {
+  type: undefined,
+  padding: 40,
+  gap: 24,
+  columnWidth: 200,
+  cellWidth: 200,
+  cellHeight: 200,
+  spacing: undefined,
+  minDistance: undefined,
+  seed: 1,
+};
+
+/**
+ * Angle (in radians) between consecutive points of a golden spiral
+ */
+const GOLDEN_ANGLE = Math.PI * (3 - Math.sqrt(5));
+
+/**
+ * Number of random candidates tried per image in 'poisson' layouts before
+ * the sampled area is grown
+ */
+const POISSON_ATTEMPTS = 30;
+
+/**
+ * Number of random candidates tried per image in 'poisson' layouts before it
+ * is placed at the last candidate regardless of its neighbours, so layouts of
+ * degenerate sizes still finish
+ */
+const POISSON_MAX_ATTEMPTS = 30 * POISSON_ATTEMPTS;
+
+/**
+ * Creates a seeded pseudo-random number generator (mulberry32)
+ *
+ * @param {*} seed - Number or string the sequence is derived from
+ *
+ * @returns Function returning the next number of the sequence in the [0,1) range
+ */
+let createRandom = seed => {
+  let state = typeof seed === 'number' ? seed : [...String(seed)].reduce(
+    (hash, char) => Math.imul(hash ^ char.charCodeAt(0), 16777619), 2166136261);
+  return () => {
+    state = (state + 0x6D2B79F5) | 0;
+    let t = Math.imul(state ^ (state >>> 15), 1 | state);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Returns the largest width or height of the items
+ *
+ * @param {array} items - Objects containing the width and height (in px) of each image
+ *
+ * @returns The largest dimension (in px)
+ */
+let getLargestDimension = items =>
+  items.reduce((largest, item) => Math.max(largest, item.width, item.height), 0);
+
+/**
+ * Creates a rectangle of an item's size centered at a point
+ *
+ * @param {object} item - Object containing the width and height (in px) of the image
+ * @param {number} x - x coord of the center
+ * @param {number} y - y coord of the center
+ *
+ * @returns Object containing the x and y coords of the top-left corner as well
+ *          as the width and height of the rectangle
+ */
+let centeredRect = (item, x, y) =>
+  ({x: x - item.width / 2, y: y - item.height / 2, width: item.width, height: item.height});
+
+/**
+ * Calculates how many columns of a width fit into the canvas & where they start
+ *
+ * @param {number} columnWidth - Width (in px) of a column
+ * @param {object} size - Object containing the width and height (in px) of the canvas
+ * @param {object} options - Layout options (padding & gap)
+ *
+ * @returns Object containing the number of columns & the x coord of the first
+ *          column, so the columns are centered
+ */
+let fitColumns = (columnWidth, size, {padding, gap}) => {
+  let columns = Math.max(1, Math.floor((size.width - 2 * padding + gap) / (columnWidth + gap)));
+  let totalWidth = columns * columnWidth + (columns - 1) * gap;
+  return {columns, left: (size.width - totalWidth) / 2};
+}
+
+/**
+ * Places images in columns of equal width, each image below the shortest column
+ * so far. Images keep their aspect ratio
+ */
+let masonryLayout = (items, size, options) => {
+  let {columnWidth, padding, gap} = options;
+  let {columns, left} = fitColumns(columnWidth, size, options);
+  let columnHeights = new Array(columns).fill(padding);
+  return items.map(item => {
+    let column = columnHeights.indexOf(Math.min(...columnHeights));
+    let height = item.height * columnWidth / item.width;
+    let rect = {x: left + column * (columnWidth + gap), y: columnHeights[column], width: columnWidth, height};
+    columnHeights[column] += height + gap;
+    return rect;
+  });
+}
+
+/**
+ * Places images in rows of equally sized cells, each image scaled to fit its
+ * cell & centered in it. Images keep their aspect ratio
+ */
+let gridLayout = (items, size, options) => {
+  let {cellWidth, cellHeight, padding, gap} = options;
+  let {columns, left} = fitColumns(cellWidth, size, options);
+  return items.map((item, idx) => {
+    let scale = Math.min(cellWidth / item.width, cellHeight / item.height);
+    let fitted = {width: item.width * scale, height: item.height * scale};
+    let cellX = left + (idx % columns) * (cellWidth + gap);
+    let cellY = padding + Math.floor(idx / columns) * (cellHeight + gap);
+    return centeredRect(fitted, cellX + cellWidth / 2, cellY + cellHeight / 2);
+  });
+}
+
+/**
+ * Places images along a golden spiral (Vogel's model) around the canvas center,
+ * the first images in the middle. Consecutive images are a golden angle apart,
+ * which spreads them evenly w/o forming visible rows
+ */
+let goldenSpiralLayout = (items, size, options) => {
+  let spacing = options.spacing || 0.75 * (getLargestDimension(items) + options.gap);
+  return items.map((item, idx) => {
+    let radius = spacing * Math.sqrt(idx + 0.5);
+    let angle = idx * GOLDEN_ANGLE;
+    return centeredRect(item,
+      size.width / 2 + radius * Math.cos(angle),
+      size.height / 2 + radius * Math.sin(angle));
+  });
+}
+
+/**
+ * Scatters images randomly while keeping their centers at least minDistance
+ * apart (Poisson-disk sampling by dart throwing). Images are placed within the
+ * canvas; once no more room is found the sampled area grows around its center.
+ * Images w/o room after POISSON_MAX_ATTEMPTS candidates may overlap
+ */
+let poissonLayout = (items, size, options) => {
+  let {padding, seed} = options;
+  let largestDiagonal = items.reduce((largest, item) => Math.max(largest, Math.hypot(item.width, item.height)), 0);
+  let minDistance = options.minDistance !== undefined ? options.minDistance : largestDiagonal + options.gap;
+  if (!(minDistance >= 0 && minDistance < Infinity)) {
+    throw new Error(`Invalid min distance "${minDistance}"`);
+  }
+  let random = createRandom(seed);
+  let placed = createSpatialGrid(Math.max(minDistance, 1));
+  let area = {
+    x: padding,
+    y: padding,
+    width: Math.max(size.width - 2 * padding, 0),
+    height: Math.max(size.height - 2 * padding, 0),
+  };
+  let growArea = () => {
+    let dx = Math.max(area.width * 0.1, minDistance / 2);
+    let dy = Math.max(area.height * 0.1, minDistance / 2);
+    let grown = {x: area.x - dx, y: area.y - dy, width: area.width + 2 * dx, height: area.height + 2 * dy};
+    // Huge min distances would grow the area beyond the range of numbers
+    if (Object.values(grown).every(Number.isFinite)) {
+      area = grown;
+    }
+  };
+
+  return items.map(item => {
+    for (let attempt = 1; ; attempt++) {
+      let point = {x: area.x + random() * area.width, y: area.y + random() * area.height};
+      let neighbours = placed.query({
+        x: point.x - minDistance, y: point.y - minDistance, width: 2 * minDistance, height: 2 * minDistance,
+      });
+      if (attempt >= POISSON_MAX_ATTEMPTS ||
+          neighbours.every(neighbour => euclideanDistance(neighbour, point) >= minDistance)) {
+        placed.insert(point, {...point, width: 0, height: 0});
+        return centeredRect(item, point.x, point.y);
+      }
+      attempt % POISSON_ATTEMPTS === 0 && growArea();
+    }
+  });
+}
+
+/**
+ * Scatters images uniformly at random within the canvas. Images may overlap
+ */
+let randomLayout = (items, size, {padding, seed}) => {
+  let random = createRandom(seed);
+  return items.map(item => centeredRect(item,
+    padding + random() * Math.max(size.width - 2 * padding, 0),
+    padding + random() * Math.max(size.height - 2 * padding, 0)));
+}
+
+/**
+ * Layout strategies. Each strategy receives the items (objects containing the
+ * width and height of each image, from which their aspect ratios are taken),
+ * the canvas size & the layout options and returns the region of each item
+ */
+const LAYOUTS = {
+  masonry: masonryLayout,
+  grid: gridLayout,
+  goldenSpiral: goldenSpiralLayout,
+  poisson: poissonLayout,
+  random: randomLayout,
+};
+
+/**
+ * Lays out images w/ a layout strategy
+ *
+ * @param {array} items - Objects containing the width and height (in px) of each image
+ * @param {object} size - Object containing the width and height (in px) of the canvas
+ * @param {object} options - Layout options, merged w/ DEFAULT_LAYOUT. The type is
+ *                           the name of a strategy in LAYOUTS or a custom
+ *                           function w/ the same signature
+ *
+ * @returns Array of objects containing the x and y coords of the top-left corner
+ *          as well as the width and height (in px) of each image, in the order of the items
+ */
+let computeLayout = (items, size, options) => {
+  let resolvedOptions = {...DEFAULT_LAYOUT, ...options};
+  let {type} = resolvedOptions;
+  let layout = typeof type === 'function' ? type : LAYOUTS[type];
+  if (!layout) {
+    throw new Error(`Unknown layout "${type}"`);
+  }
+  return layout(items, size, resolvedOptions);
+}
+
+export {DEFAULT_LAYOUT, LAYOUTS, createRandom, computeLayout}
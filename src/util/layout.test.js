@@ -0,0 +1,99 @@
+import {createRandom, computeLayout} from './layout';
+import {rectsIntersect} from './spatial';
+
+const SIZE = {width: 1024, height: 768};
+// Mixed portrait, landscape & square images
+const ITEMS = Array.from({length: 40}, (_, idx) =>
+  [{width: 200, height: 250}, {width: 300, height: 200}, {width: 150, height: 150}][idx % 3]);
+
+// Rectangles touching at their edges don't overlap
+let overlaps = (rect1, rect2) => rectsIntersect(
+  {x: rect1.x + 0.01, y: rect1.y + 0.01, width: rect1.width - 0.02, height: rect1.height - 0.02}, rect2);
+let hasOverlaps = rects => rects.some((rect, i) => rects.slice(i + 1).some(other => overlaps(rect, other)));
+let aspectRatio = ({width, height}) => width / height;
+
+test('seeded random numbers are deterministic', () => {
+  let sequence = random => Array.from({length: 5}, random);
+  expect(sequence(createRandom(42))).toEqual(sequence(createRandom(42)));
+  expect(sequence(createRandom('gallery'))).toEqual(sequence(createRandom('gallery')));
+  expect(sequence(createRandom(42))).not.toEqual(sequence(createRandom(43)));
+  sequence(createRandom(7)).forEach(value => {
+    expect(value).toBeGreaterThanOrEqual(0);
+    expect(value).toBeLessThan(1);
+  });
+});
+
+test('masonry layouts stack images in columns w/o overlaps', () => {
+  let rects = computeLayout(ITEMS, SIZE, {type: 'masonry', columnWidth: 200, gap: 20, padding: 40});
+  // 4 columns of 200px fit into 1024px minus the padding
+  expect(new Set(rects.map(rect => rect.x)).size).toBe(4);
+  rects.forEach((rect, idx) => {
+    expect(rect.width).toBe(200);
+    expect(aspectRatio(rect)).toBeCloseTo(aspectRatio(ITEMS[idx]));
+  });
+  expect(hasOverlaps(rects)).toBe(false);
+});
+
+test('grid layouts fit images into their cells', () => {
+  let rects = computeLayout(ITEMS, SIZE, {type: 'grid', cellWidth: 180, cellHeight: 120, gap: 10});
+  rects.forEach((rect, idx) => {
+    expect(rect.width).toBeLessThanOrEqual(180 + 1e-9);
+    expect(rect.height).toBeLessThanOrEqual(120 + 1e-9);
+    expect(aspectRatio(rect)).toBeCloseTo(aspectRatio(ITEMS[idx]));
+  });
+  expect(hasOverlaps(rects)).toBe(false);
+});
+
+test('golden spiral layouts start at the center', () => {
+  let rects = computeLayout(ITEMS, SIZE, {type: 'goldenSpiral'});
+  let center = rect => ({x: rect.x + rect.width / 2, y: rect.y + rect.height / 2});
+  let distances = rects.map(rect => Math.hypot(center(rect).x - 512, center(rect).y - 384));
+  expect(distances).toEqual([...distances].sort((a, b) => a - b));
+  expect(rects[0].width).toBe(ITEMS[0].width);
+});
+
+test('poisson layouts keep a minimum spacing & are deterministic', () => {
+  let options = {type: 'poisson', seed: 3};
+  let rects = computeLayout(ITEMS, SIZE, options);
+  expect(rects).toEqual(computeLayout(ITEMS, SIZE, options));
+  expect(rects).not.toEqual(computeLayout(ITEMS, SIZE, {...options, seed: 4}));
+  // By default images are spaced by their diagonals so they never overlap
+  expect(hasOverlaps(rects)).toBe(false);
+
+  let spacedRects = computeLayout(ITEMS.slice(0, 10), SIZE, {...options, minDistance: 150});
+  let centers = spacedRects.map(rect => ({x: rect.x + rect.width / 2, y: rect.y + rect.height / 2}));
+  centers.forEach((p1, i) => centers.slice(i + 1).forEach(p2 => {
+    expect(Math.hypot(p1.x - p2.x, p1.y - p2.y)).toBeGreaterThanOrEqual(150);
+  }));
+});
+
+test('poisson layouts finish for degenerate inputs', () => {
+  let options = {type: 'poisson', seed: 3};
+  expect(() => computeLayout(ITEMS, SIZE, {...options, minDistance: NaN})).toThrow('Invalid min distance "NaN"');
+  expect(() => computeLayout(ITEMS, SIZE, {...options, minDistance: -1})).toThrow('Invalid min distance "-1"');
+  expect(() => computeLayout(ITEMS, SIZE, {...options, gap: Infinity})).toThrow('Invalid min distance "Infinity"');
+
+  // Images w/o room end up overlapping instead of sampling forever
+  let rects = computeLayout(ITEMS.slice(0, 3), SIZE, {...options, minDistance: Number.MAX_VALUE});
+  expect(rects.length).toBe(3);
+  expect(computeLayout(ITEMS.slice(0, 3), {width: NaN, height: 768}, options).length).toBe(3);
+  expect(computeLayout(ITEMS.slice(0, 3), {width: 0, height: 0}, {...options, padding: 0, minDistance: 0}))
+    .toEqual(ITEMS.slice(0, 3).map(item =>
+      ({x: -item.width / 2, y: -item.height / 2, width: item.width, height: item.height})));
+});
+
+test('random layouts are deterministic & stay within the padding', () => {
+  let rects = computeLayout(ITEMS, SIZE, {type: 'random', seed: 'abc', padding: 100});
+  expect(rects).toEqual(computeLayout(ITEMS, SIZE, {type: 'random', seed: 'abc', padding: 100}));
+  rects.forEach(rect => {
+    expect(rect.x + rect.width / 2).toBeGreaterThanOrEqual(100);
+    expect(rect.x + rect.width / 2).toBeLessThanOrEqual(924);
+  });
+});
+
+test('custom layouts receive the merged options', () => {
+  let layout = jest.fn(items => items.map(() => ({x: 0, y: 0, width: 1, height: 1})));
+  computeLayout(ITEMS.slice(0, 2), SIZE, {type: layout, gap: 5});
+  expect(layout.mock.calls[0][2]).toMatchObject({gap: 5, padding: 40});
+  expect(() => computeLayout(ITEMS, SIZE, {type: 'hexagonal'})).toThrow('Unknown layout "hexagonal"');
+});
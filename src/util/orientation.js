@@ -0,0 +1,77 @@
+/**
+ * Creates a source of device orientation readings backed by the browser's
+ * deviceorientation events.
+ * A source exposes subscribe(listener), which returns an unsubscribe function,
+ * and requestPermission(), which resolves to whether readings may be received.
+ *
+ * @param {object} target - Event target firing deviceorientation events
+ *
+ * @returns An orientation source passing {beta, gamma} readings (in degrees)
+ *          to its listeners
+ */
+let createDeviceOrientationSource = (target = window) => ({
+  subscribe(listener) {
+    let handleOrientation = evt => {
+      // Devices w/o a gyroscope fire a single event w/ null angles
+      if (evt.beta !== null && evt.gamma !== null) {
+        listener({beta: evt.beta, gamma: evt.gamma});
+      }
+    };
+    target.addEventListener('deviceorientation', handleOrientation);
+    return () => target.removeEventListener('deviceorientation', handleOrientation);
+  },
+
+  requestPermission() {
+    // iOS 13+ only fires events once permission is granted from a user gesture
+    if (typeof DeviceOrientationEvent !== 'undefined' &&
+        typeof DeviceOrientationEvent.requestPermission === 'function') {
+      return DeviceOrientationEvent.requestPermission()
+        .then(state => state === 'granted', () => false);
+    }
+    return Promise.resolve(true);
+  },
+});
+
+/**
+ * Creates an orientation source whose readings are emitted manually.
+ * Used to inject orientation readings in environments w/o a gyroscope (e.g. jsdom)
+ *
+ * @returns An orientation source w/ an additional emit({beta, gamma}) method
+ */
+let createSimulatedOrientationSource = () => {
+  let listeners = new Set();
+  return {
+    subscribe(listener) {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+    requestPermission: () => Promise.resolve(true),
+    emit(reading) {
+      listeners.forEach(listener => listener(reading));
+    },
+  };
+}
+
+/**
+ * Maps an orientation reading to a movement of the canvas origin, expressed in
+ * the same units as the accumulated mouse movement.
+ * Tilting left/right (gamma) moves along the X axis and tilting forwards/backwards
+ * (beta) moves along the Y axis, both relative to the device's resting angle.
+ *
+ * @param {object} reading - Object containing beta and gamma angles (in degrees)
+ * @param {object} restingAngle - Object containing the beta and gamma angles the
+ *                                device is held at when resting
+ * @param {number} sensitivity - Movement (in px) per degree of tilt
+ * @param {number} maxAngle - Tilts beyond this angle (in degrees) are clamped
+ *
+ * @returns Object containing x and y movement values
+ */
+let orientationToMovement = (reading, restingAngle, sensitivity, maxAngle) => {
+  let clamp = angle => Math.max(-maxAngle, Math.min(maxAngle, angle));
+  return {
+    x: clamp(reading.gamma - restingAngle.gamma) * sensitivity,
+    y: clamp(reading.beta - restingAngle.beta) * sensitivity,
+  };
+}
+
+export {createDeviceOrientationSource, createSimulatedOrientationSource, orientationToMovement}
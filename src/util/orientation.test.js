@@ -0,0 +1,50 @@
+import {
+  createDeviceOrientationSource,
+  createSimulatedOrientationSource,
+  orientationToMovement
+} from './orientation';
+
+test('simulated source passes emitted readings to its listeners until unsubscribed', () => {
+  let source = createSimulatedOrientationSource();
+  let readings = [];
+  let unsubscribe = source.subscribe(reading => readings.push(reading));
+
+  source.emit({beta: 10, gamma: -5});
+  unsubscribe();
+  source.emit({beta: 20, gamma: 5});
+
+  expect(readings).toEqual([{beta: 10, gamma: -5}]);
+});
+
+test('device source forwards deviceorientation events w/ angles', () => {
+  let source = createDeviceOrientationSource(window);
+  let listener = jest.fn();
+  let unsubscribe = source.subscribe(listener);
+
+  let withAngles = new Event('deviceorientation');
+  Object.assign(withAngles, {beta: 30, gamma: 12});
+  let withoutAngles = new Event('deviceorientation');
+  Object.assign(withoutAngles, {beta: null, gamma: null});
+  window.dispatchEvent(withAngles);
+  window.dispatchEvent(withoutAngles);
+  unsubscribe();
+  window.dispatchEvent(withAngles);
+
+  expect(listener).toHaveBeenCalledTimes(1);
+  expect(listener).toHaveBeenCalledWith({beta: 30, gamma: 12});
+});
+
+test('device source grants permission when the browser does not ask for it', async () => {
+  await expect(createDeviceOrientationSource(window).requestPermission()).resolves.toBe(true);
+});
+
+test('movement is relative to the resting angle and scaled by the sensitivity', () => {
+  let restingAngle = {beta: 45, gamma: 0};
+  expect(orientationToMovement({beta: 45, gamma: 0}, restingAngle, 20, 45)).toEqual({x: 0, y: 0});
+  expect(orientationToMovement({beta: 55, gamma: -10}, restingAngle, 20, 45)).toEqual({x: -200, y: 200});
+});
+
+test('tilts beyond the max angle are clamped', () => {
+  let restingAngle = {beta: 0, gamma: 0};
+  expect(orientationToMovement({beta: -170, gamma: 80}, restingAngle, 10, 30)).toEqual({x: 300, y: -300});
+});
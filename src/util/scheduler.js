@@ -0,0 +1,97 @@
+/**
+ * Default scheduler of the animation loop & timers, based on requestAnimationFrame
+ *   - requestFrame: Schedules a callback for the next frame, returns its id.
+ *                   The callback receives the frame's timestamp (in ms)
+ *   - cancelFrame: Cancels a scheduled callback by its id
+ *   - setTimer: Calls a callback after a delay (in ms), returns its id
+ *   - clearTimer: Cancels a timer by its id
+ *   - now: Returns the current time (in ms)
+ * Custom schedulers (e.g. {@link createManualScheduler}) are merged w/ this one
+ */
+const DEFAULT_SCHEDULER = {
+  requestFrame: callback => requestAnimationFrame(callback),
+  cancelFrame: id => cancelAnimationFrame(id),
+  setTimer: (callback, delay) => setTimeout(callback, delay),
+  clearTimer: id => clearTimeout(id),
+  now: () => performance.now(),
+};
+
+/**
+ * Creates a scheduler w/ a clock that only moves when told to, so animations
+ * can be stepped frame by frame, e.g. in tests or to render a fixed number of
+ * frames. Frames & timers run in the order they are due; callbacks scheduled
+ * while a frame runs wait for the next frame
+ *
+ * @param {object} options
+ * @param {number} options.startTime - Initial time (in ms) of the clock
+ * @param {number} options.frameDuration - Time (in ms) between two frames
+ *
+ * @returns A scheduler (see DEFAULT_SCHEDULER) w/ the additional methods
+ *   - advance(ms): Moves the clock forward, running the timers due in the meantime
+ *   - runFrame(): Advances by one frame & runs the scheduled frame callbacks
+ *   - runFrames(count): Runs a number of frames
+ *   - runUntilIdle(maxFrames): Runs frames until none are scheduled anymore,
+ *     e.g. until the animation loop sleeps. Throws after maxFrames frames
+ *   - hasPendingFrame(): Whether a frame callback is scheduled
+ */
+let createManualScheduler = ({startTime = 0, frameDuration = 16} = {}) => {
+  let time = startTime;
+  let nextID = 1;
+  let frames = new Map();
+  let timers = new Map();
+
+  let advance = ms => {
+    let endTime = time + ms;
+    let nextTimer = () => [...timers].filter(([, timer]) => timer.time <= endTime)
+      .sort(([id1, timer1], [id2, timer2]) => timer1.time - timer2.time || id1 - id2)[0];
+    for (let entry = nextTimer(); entry; entry = nextTimer()) {
+      let [id, timer] = entry;
+      timers.delete(id);
+      time = Math.max(time, timer.time);
+      timer.callback();
+    }
+    time = endTime;
+  };
+
+  let runFrame = () => {
+    advance(frameDuration);
+    let callbacks = [...frames.values()];
+    frames.clear();
+    callbacks.forEach(callback => callback(time));
+    return callbacks.length > 0;
+  };
+
+  return {
+    requestFrame: callback => {
+      frames.set(nextID, callback);
+      return nextID++;
+    },
+    cancelFrame: id => frames.delete(id),
+    setTimer: (callback, delay = 0) => {
+      timers.set(nextID, {callback, time: time + delay});
+      return nextID++;
+    },
+    clearTimer: id => timers.delete(id),
+    now: () => time,
+    advance,
+    runFrame,
+    runFrames: count => {
+      for (let i = 0; i < count; i++) {
+        runFrame();
+      }
+    },
+    runUntilIdle: (maxFrames = 10000) => {
+      let count = 0;
+      while (frames.size > 0) {
+        if (count++ >= maxFrames) {
+          throw new Error(`Still animating after ${maxFrames} frames`);
+        }
+        runFrame();
+      }
+      return count;
+    },
+    hasPendingFrame: () => frames.size > 0,
+  };
+}
+
+export {DEFAULT_SCHEDULER, createManualScheduler}
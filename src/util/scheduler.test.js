@@ -0,0 +1,30 @@
+import {createManualScheduler} from './scheduler';
+
+test('frames & timers only run when the clock is advanced', () => {
+  let scheduler = createManualScheduler({startTime: 100, frameDuration: 10});
+  let log = [];
+  scheduler.setTimer(() => log.push(`timer ${scheduler.now()}`), 15);
+  let cancelled = scheduler.setTimer(() => log.push('cancelled'), 5);
+  scheduler.clearTimer(cancelled);
+  scheduler.requestFrame(timestamp => {
+    log.push(`frame ${timestamp}`);
+    // Frames requested during a frame run in the next one
+    scheduler.requestFrame(next => log.push(`frame ${next}`));
+  });
+  expect(log).toEqual([]);
+
+  scheduler.runFrame();
+  expect(log).toEqual(['frame 110']);
+  scheduler.advance(5);
+  expect(log).toEqual(['frame 110', 'timer 115']);
+  expect(scheduler.runUntilIdle()).toBe(1);
+  expect(log[2]).toBe('frame 125');
+  expect(scheduler.hasPendingFrame()).toBe(false);
+});
+
+test('runUntilIdle gives up on endless animations', () => {
+  let scheduler = createManualScheduler();
+  let animate = () => scheduler.requestFrame(animate);
+  animate();
+  expect(() => scheduler.runUntilIdle(50)).toThrow('Still animating after 50 frames');
+});
@@ -0,0 +1,87 @@
+/**
+ * Clamps a value to the [min, max] range
+ *
+ * @param {number} value - Value to clamp
+ * @param {number} min - Lower end of the range
+ * @param {number} max - Upper end of the range
+ *
+ * @returns The clamped value
+ */
+let clamp = (value, min, max) => Math.max(min, Math.min(max, value));
+
+/**
+ * Calculates the bounding box of a list of rectangles
+ *
+ * @param {array} rects - Objects containing the x and y coords of the top-left
+ *                        corner as well as the width and height of each rectangle
+ *
+ * @returns Object containing the minX, minY, maxX and maxY of the bounding box,
+ *          or undefined if there are no rectangles
+ */
+let getBoundingBox = rects => {
+  if (rects.length === 0) {
+    return undefined;
+  }
+  let box = {minX: Infinity, minY: Infinity, maxX: -Infinity, maxY: -Infinity};
+  rects.forEach(rect => {
+    box.minX = Math.min(box.minX, rect.x);
+    box.minY = Math.min(box.minY, rect.y);
+    box.maxX = Math.max(box.maxX, rect.x + rect.width);
+    box.maxY = Math.max(box.maxY, rect.y + rect.height);
+  });
+  return box;
+}
+
+/**
+ * Wraps a coordinate into the [start, start + size) range, so that content
+ * leaving one end of the range re-enters at the other end
+ *
+ * @param {number} value - Coordinate to wrap
+ * @param {number} start - Start of the range
+ * @param {number} size - Size of the range
+ *
+ * @returns The wrapped coordinate
+ */
+let wrapCoordinate = (value, start, size) =>
+  ((((value - start) % size) + size) % size) + start;
+
+/**
+ * Rubber band effect - Maps the distance a value overshoots a boundary by to
+ * a damped distance that approaches, but never exceeds, the given limit.
+ * Small overshoots move almost freely while larger ones meet more resistance.
+ *
+ * @param {number} overshoot - Distance past the boundary (may be negative)
+ * @param {number} limit - Maximum damped distance
+ *
+ * @returns The damped distance, w/ the same sign as the overshoot
+ */
+let rubberBand = (overshoot, limit) => {
+  if (limit <= 0) {
+    return 0;
+  }
+  let damped = (1 - 1 / (Math.abs(overshoot) * 0.55 / limit + 1)) * limit;
+  return Math.sign(overshoot) * damped;
+}
+
+/**
+ * Constrains a value to a range, letting it overshoot the ends of the range
+ * w/ a rubber band effect. See {@link rubberBand}
+ *
+ * @param {number} value - Value to constrain
+ * @param {number} min - Lower end of the range
+ * @param {number} max - Upper end of the range
+ * @param {number} limit - Maximum overshoot past either end
+ *
+ * @returns The constrained value
+ */
+let rubberBandClamp = (value, min, max, limit) => {
+  if (value < min) {
+    return min + rubberBand(value - min, limit);
+  }
+  if (value > max) {
+    return max + rubberBand(value - max, limit);
+  }
+  return value;
+}
+
+export {clamp, getBoundingBox, wrapCoordinate, rubberBand, rubberBandClamp}
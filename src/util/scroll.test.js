@@ -0,0 +1,39 @@
+import {clamp, getBoundingBox, wrapCoordinate, rubberBand, rubberBandClamp} from './scroll';
+
+test('clamp keeps values within the range', () => {
+  expect(clamp(-5, 0, 10)).toBe(0);
+  expect(clamp(5, 0, 10)).toBe(5);
+  expect(clamp(15, 0, 10)).toBe(10);
+});
+
+test('bounding box encloses all rectangles', () => {
+  expect(getBoundingBox([])).toBeUndefined();
+  expect(getBoundingBox([
+    {x: 10, y: 20, width: 100, height: 50},
+    {x: -30, y: 40, width: 20, height: 200},
+  ])).toEqual({minX: -30, minY: 20, maxX: 110, maxY: 240});
+});
+
+test('wrapped coordinates re-enter at the other end of the range', () => {
+  expect(wrapCoordinate(50, -100, 1000)).toBe(50);
+  expect(wrapCoordinate(950, -100, 1000)).toBe(-50);
+  expect(wrapCoordinate(-150, -100, 1000)).toBe(850);
+  expect(wrapCoordinate(-4150, -100, 1000)).toBe(850);
+});
+
+test('rubber band approaches but never exceeds its limit', () => {
+  expect(rubberBand(0, 100)).toBe(0);
+  expect(rubberBand(10, 100)).toBeGreaterThan(5);
+  expect(rubberBand(10, 100)).toBeLessThan(10);
+  expect(rubberBand(1e6, 100)).toBeLessThan(100);
+  expect(rubberBand(-1e6, 100)).toBeGreaterThan(-100);
+  expect(rubberBand(50, 0)).toBe(0);
+});
+
+test('rubber band clamp only affects values outside the range', () => {
+  expect(rubberBandClamp(50, 0, 100, 20)).toBe(50);
+  expect(rubberBandClamp(150, 0, 100, 20)).toBeGreaterThan(100);
+  expect(rubberBandClamp(150, 0, 100, 20)).toBeLessThan(120);
+  expect(rubberBandClamp(-150, 0, 100, 20)).toBeLessThan(0);
+  expect(rubberBandClamp(-150, 0, 100, 20)).toBeGreaterThan(-20);
+});
@@ -0,0 +1,99 @@
+/**
+ * Checks if two rectangles overlap. Rectangles touching at their edges
+ * (including zero-sized rectangles, i.e. points) count as overlapping
+ *
+ * @param {object} rect1 - Object containing the x and y coords of the top-left
+ *                         corner as well as the width and height of the rectangle
+ * @param {object} rect2 - Same as rect1
+ *
+ * @returns True if the rectangles overlap
+ */
+let rectsIntersect = (rect1, rect2) =>
+  rect1.x <= rect2.x + rect2.width && rect2.x <= rect1.x + rect1.width &&
+  rect1.y <= rect2.y + rect2.height && rect2.y <= rect1.y + rect1.height;
+
+/**
+ * Creates a spatial index that buckets items into a uniform grid of square
+ * cells based on the rectangles they occupy. Looking up the items in a region
+ * only visits the cells overlapping the region instead of every item, which
+ * keeps viewport culling & hit-testing cheap for large numbers of items.
+ *
+ * @param {number} cellSize - Width and height (in px) of the grid's cells
+ *
+ * @returns Object w/ the following functions
+ *   - insert(item, rect): Adds an item occupying a rectangle
+ *   - query(rect): Returns the items whose rectangles overlap a rectangle, each once
+ *   - clear(): Removes all items
+ */
+let createSpatialGrid = (cellSize = 256) => {
+  let cells = new Map();
+  let rects = new Map();
+
+  let cellKey = (col, row) => `${col},${row}`;
+  let forEachCell = (rect, callback) => {
+    let minCol = Math.floor(rect.x / cellSize);
+    let maxCol = Math.floor((rect.x + rect.width) / cellSize);
+    let minRow = Math.floor(rect.y / cellSize);
+    let maxRow = Math.floor((rect.y + rect.height) / cellSize);
+    for (let col = minCol; col <= maxCol; col++) {
+      for (let row = minRow; row <= maxRow; row++) {
+        callback(cellKey(col, row));
+      }
+    }
+  };
+
+  return {
+    insert(item, rect) {
+      rects.set(item, rect);
+      forEachCell(rect, key => {
+        cells.has(key) ? cells.get(key).push(item) : cells.set(key, [item]);
+      });
+    },
+    query(rect) {
+      let matches = new Set();
+      let visitCell = items => items && items.forEach(item => {
+        rectsIntersect(rects.get(item), rect) && matches.add(item);
+      });
+      // Regions spanning more cells than are occupied (or too many to count)
+      // visit the occupied cells instead
+      let cols = Math.floor((rect.x + rect.width) / cellSize) - Math.floor(rect.x / cellSize) + 1;
+      let rows = Math.floor((rect.y + rect.height) / cellSize) - Math.floor(rect.y / cellSize) + 1;
+      if (!(cols * rows <= cells.size)) {
+        cells.forEach(visitCell);
+      } else {
+        forEachCell(rect, key => visitCell(cells.get(key)));
+      }
+      return [...matches];
+    },
+    clear() {
+      cells.clear();
+      rects.clear();
+    },
+  };
+}
+
+/**
+ * Sorts an array in place using insertion sort. Unlike Array.prototype.sort,
+ * the sort is stable & runs in linear time on arrays that are already (nearly)
+ * sorted, e.g. when re-sorting the same elements every frame while they only
+ * change order occasionally.
+ *
+ * @param {array} array - Array to sort
+ * @param {function} compare - Compare function, as in Array.prototype.sort
+ *
+ * @returns The sorted array
+ */
+let insertionSort = (array, compare) => {
+  for (let i = 1; i < array.length; i++) {
+    let item = array[i];
+    let j = i - 1;
+    while (j >= 0 && compare(array[j], item) > 0) {
+      array[j + 1] = array[j];
+      j--;
+    }
+    array[j + 1] = item;
+  }
+  return array;
+}
+
+export {rectsIntersect, createSpatialGrid, insertionSort}
@@ -0,0 +1,56 @@
+import {rectsIntersect, createSpatialGrid, insertionSort} from './spatial';
+
+let rect = (x, y, width, height) => ({x, y, width, height});
+
+test('rectangles overlap when they share any point', () => {
+  expect(rectsIntersect(rect(0, 0, 10, 10), rect(5, 5, 10, 10))).toBe(true);
+  expect(rectsIntersect(rect(0, 0, 10, 10), rect(10, 10, 10, 10))).toBe(true);
+  expect(rectsIntersect(rect(0, 0, 10, 10), rect(3, 4, 0, 0))).toBe(true);
+  expect(rectsIntersect(rect(0, 0, 10, 10), rect(11, 0, 10, 10))).toBe(false);
+});
+
+test('grid queries return each overlapping item once', () => {
+  let grid = createSpatialGrid(100);
+  grid.insert('large', rect(-150, -150, 500, 500));
+  grid.insert('small', rect(20, 20, 10, 10));
+  grid.insert('far', rect(2000, 2000, 10, 10));
+
+  expect(grid.query(rect(0, 0, 100, 100)).sort()).toEqual(['large', 'small']);
+  expect(grid.query(rect(200, 200, 0, 0))).toEqual(['large']);
+  expect(grid.query(rect(1000, 1000, 10, 10))).toEqual([]);
+  // Regions larger than the occupied cells
+  expect(grid.query(rect(-1e6, -1e6, 2e6, 2e6)).sort()).toEqual(['far', 'large', 'small']);
+  expect(grid.query(rect(0, -Infinity, 100, Infinity))).toEqual([]);
+
+  grid.clear();
+  expect(grid.query(rect(0, 0, 100, 100))).toEqual([]);
+});
+
+test('grid queries match a linear scan', () => {
+  let grid = createSpatialGrid(64);
+  let rects = [];
+  for (let i = 0; i < 500; i++) {
+    let r = rect((i * 37) % 1000 - 200, (i * 91) % 800 - 100, (i * 13) % 120, (i * 7) % 90);
+    rects.push(r);
+    grid.insert(i, r);
+  }
+  let query = rect(100, 150, 300, 200);
+  let expected = rects.map((r, i) => i).filter(i => rectsIntersect(rects[i], query));
+  expect(grid.query(query).sort((a, b) => a - b)).toEqual(expected);
+});
+
+test('insertion sort is stable', () => {
+  let items = [{k: 2, id: 'a'}, {k: 1, id: 'b'}, {k: 2, id: 'c'}, {k: 0, id: 'd'}, {k: 1, id: 'e'}];
+  insertionSort(items, (a, b) => a.k - b.k);
+  expect(items.map(item => item.id)).toEqual(['d', 'b', 'e', 'a', 'c']);
+});
+
+test('insertion sort only does linear work on sorted arrays', () => {
+  let items = Array.from({length: 1000}, (_, i) => i);
+  let comparisons = 0;
+  insertionSort(items, (a, b) => {
+    comparisons++;
+    return a - b;
+  });
+  expect(comparisons).toBe(999);
+});
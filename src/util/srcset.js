@@ -0,0 +1,82 @@
+/**
+ * Parses the sources of an image into candidates sorted from the smallest to
+ * the largest width. Sources are given like the srcset attribute of <img>,
+ * either as a string (e.g. 'small.jpg 400w, large.jpg 1600w') or an array of
+ * {url, width} objects. Density descriptors (e.g. 'large.jpg 2x') are relative
+ * to the base width of the image
+ *
+ * @param {*} srcset - String or array of sources, may be undefined
+ * @param {number} baseWidth - Width (in px) of the image at 1x
+ *
+ * @returns Array of {url, width} candidates, empty if there are no sources
+ */
+let parseSrcset = (srcset, baseWidth = 0) => {
+  if (!srcset) {
+    return [];
+  }
+  let candidates = Array.isArray(srcset) ? srcset : srcset.split(',').map(entry => {
+    let [url, descriptor = '1x'] = entry.trim().split(/\s+/);
+    let value = parseFloat(descriptor);
+    if (!url || !(value > 0) || !/^[\d.]+[wx]$/.test(descriptor)) {
+      throw new Error(`Invalid srcset entry "${entry.trim()}"`);
+    }
+    return {url, width: descriptor.endsWith('x') ? value * baseWidth : value};
+  });
+  return [...candidates].sort((a, b) => a.width - b.width);
+}
+
+/**
+ * Picks the smallest candidate at least as wide as required, or the largest one
+ * if none is wide enough
+ *
+ * @param {array} candidates - Candidates sorted by width, see {@link parseSrcset}
+ * @param {number} requiredWidth - Width (in device px) the image is drawn at
+ *
+ * @returns The candidate, undefined if there are none
+ */
+let selectCandidate = (candidates, requiredWidth) =>
+  candidates.find(candidate => candidate.width >= requiredWidth) || candidates[candidates.length - 1];
+
+/**
+ * Wraps a source loader (see {@link loadImageElement}) in a cache of decoded
+ * sources, so sources shared by several images or loaded again (e.g. when an
+ * image switches back to a resolution it used before) are only decoded once.
+ * Concurrent requests of a source share one load. Failed loads aren't cached,
+ * so retries hit the network again. The least recently used sources are
+ * dropped from the cache once it holds more than maxEntries
+ *
+ * @param {function} loadSource - Loader called w/ a url, an onLoad & an onError callback
+ * @param {number} maxEntries - Max number of decoded sources kept
+ *
+ * @returns A loader w/ the same signature
+ */
+let createCachedLoader = (loadSource, maxEntries = 100) => {
+  let entries = new Map();
+
+  return (url, onLoad, onError) => {
+    let entry = entries.get(url);
+    if (entry) {
+      // Mark as recently used
+      entries.delete(url);
+      entries.set(url, entry);
+      entry.source ? onLoad(entry.source) : entry.callbacks.push({onLoad, onError});
+      return;
+    }
+
+    entry = {source: undefined, callbacks: [{onLoad, onError}]};
+    entries.set(url, entry);
+    loadSource(url, source => {
+      entry.source = source;
+      if (entries.size > maxEntries) {
+        entries.delete(entries.keys().next().value);
+      }
+      entry.callbacks.forEach(callbacks => callbacks.onLoad(source));
+      entry.callbacks = [];
+    }, error => {
+      entries.delete(url);
+      entry.callbacks.forEach(callbacks => callbacks.onError(error));
+    });
+  };
+}
+
+export {parseSrcset, selectCandidate, createCachedLoader}
@@ -0,0 +1,52 @@
+import {parseSrcset, selectCandidate, createCachedLoader} from './srcset';
+
+test('srcsets are parsed into candidates sorted by width', () => {
+  expect(parseSrcset('large.jpg 1600w, small.jpg 400w,medium.jpg 800w')).toEqual([
+    {url: 'small.jpg', width: 400},
+    {url: 'medium.jpg', width: 800},
+    {url: 'large.jpg', width: 1600},
+  ]);
+  expect(parseSrcset('a.jpg, b.jpg 2x', 300)).toEqual([{url: 'a.jpg', width: 300}, {url: 'b.jpg', width: 600}]);
+  expect(parseSrcset([{url: 'b.jpg', width: 2}, {url: 'a.jpg', width: 1}])[0].url).toBe('a.jpg');
+  expect(parseSrcset(undefined)).toEqual([]);
+  expect(() => parseSrcset('a.jpg huge')).toThrow('Invalid srcset entry "a.jpg huge"');
+});
+
+test('the smallest candidate wide enough is selected', () => {
+  let candidates = parseSrcset('s.jpg 400w, m.jpg 800w, l.jpg 1600w');
+  expect(selectCandidate(candidates, 300).url).toBe('s.jpg');
+  expect(selectCandidate(candidates, 401).url).toBe('m.jpg');
+  expect(selectCandidate(candidates, 5000).url).toBe('l.jpg');
+  expect(selectCandidate([], 100)).toBeUndefined();
+});
+
+test('loaded sources are cached & concurrent loads shared', () => {
+  let pending = [];
+  let loadSource = jest.fn((url, onLoad, onError) => pending.push({url, onLoad, onError}));
+  let load = createCachedLoader(loadSource, 2);
+  let onLoad = jest.fn();
+
+  load('a.jpg', onLoad, () => {});
+  load('a.jpg', onLoad, () => {});
+  expect(loadSource).toHaveBeenCalledTimes(1);
+  pending[0].onLoad('bitmap a');
+  expect(onLoad.mock.calls).toEqual([['bitmap a'], ['bitmap a']]);
+  load('a.jpg', onLoad, () => {});
+  expect(loadSource).toHaveBeenCalledTimes(1);
+  expect(onLoad).toHaveBeenCalledTimes(3);
+
+  // Failures aren't cached
+  let onError = jest.fn();
+  load('b.jpg', onLoad, onError);
+  pending[1].onError('404');
+  expect(onError).toHaveBeenCalledWith('404');
+  load('b.jpg', onLoad, onError);
+  expect(loadSource).toHaveBeenCalledTimes(3);
+
+  // The least recently used source is dropped once the cache is full
+  pending[2].onLoad('bitmap b');
+  load('c.jpg', onLoad, () => {});
+  pending[3].onLoad('bitmap c');
+  load('a.jpg', onLoad, () => {});
+  expect(loadSource).toHaveBeenCalledTimes(5);
+});
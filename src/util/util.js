@@ -12,6 +12,37 @@ let euclideanDistance = (p1,p2) => {
    return Math.sqrt( xdiff + ydiff);
 }
 
+/**
+ * Finds the point closest to a starting point in a given direction, e.g. to
+ * move keyboard focus between points laid out in 2D.
+ * Points deviating from the direction are penalised so points lying straight
+ * ahead are preferred over closer points off to the side.
+ *
+ * @param {object} from - Object containing x and y coord values
+ * @param {array} points - Candidate points, objects containing x and y coord values
+ * @param {object} direction - Unit vector (x and y) pointing in the search direction
+ *
+ * @returns The index of the closest point in the given direction, or -1 if
+ *          no point lies in that direction
+ */
+let findClosestInDirection = (from, points, direction) => {
+  let closestIdx = -1;
+  let closestScore = Infinity;
+  points.forEach((point, idx) => {
+    let dx = point.x - from.x;
+    let dy = point.y - from.y;
+    // Distance along and across the search direction
+    let along = dx * direction.x + dy * direction.y;
+    let across = Math.abs(dx * direction.y - dy * direction.x);
+    let score = along + 2 * across;
+    if (along > 0 && score < closestScore) {
+      closestIdx = idx;
+      closestScore = score;
+    }
+  });
+  return closestIdx;
+}
+
 /**
  * Non deterministic easing
  * https://stackoverflow.com/questions/37966505/how-to-rotate-a-canvas-object-following-mouse-move-event-with-easing
@@ -34,4 +65,4 @@ let applyNonDeterministicEaseOut = (destinationValue, currentValue, speed, accel
 
 }
 
-export {euclideanDistance, applyNonDeterministicEaseOut}
+export {euclideanDistance, findClosestInDirection, applyNonDeterministicEaseOut}
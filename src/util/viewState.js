@@ -0,0 +1,102 @@
+/**
+ * Names of the parameters a view state is serialized to
+ *   - x, y: Point at the center of the canvas (see {@link Scene#getView}), rounded to px
+ *   - image: Key of the focused image (if any)
+ */
+const VIEW_STATE_PARAMS = ['x', 'y', 'image'];
+
+/**
+ * Writes a view state into URL search params. Params not belonging to the view
+ * state are kept, so the state can share the URL hash w/ other params
+ *
+ * @param {object} state - Object containing the x and y coords of the point at
+ *                         the center of the canvas & the key of the focused image
+ * @param {string} params - Existing params, e.g. the URL hash w/o the leading #
+ *
+ * @returns The params as a string
+ */
+let serializeViewState = ({x, y, image}, params = '') => {
+  let searchParams = new URLSearchParams(params);
+  VIEW_STATE_PARAMS.forEach(name => searchParams.delete(name));
+  if (Number.isFinite(x) && Number.isFinite(y)) {
+    searchParams.set('x', Math.round(x));
+    searchParams.set('y', Math.round(y));
+  }
+  if (image !== undefined) {
+    searchParams.set('image', image);
+  }
+  return searchParams.toString();
+}
+
+/**
+ * Reads a view state written by {@link serializeViewState}. Invalid coords are
+ * ignored, so a link may contain just the image to center on
+ *
+ * @param {string} params - URL search params, e.g. the URL hash w/o the leading #
+ *
+ * @returns Object containing the x and y coords (if valid) & the image key (a
+ *          string, if any), undefined if the params contain no view state
+ */
+let parseViewState = (params = '') => {
+  let searchParams = new URLSearchParams(params);
+  let state = {};
+  let x = parseFloat(searchParams.get('x'));
+  let y = parseFloat(searchParams.get('y'));
+  if (Number.isFinite(x) && Number.isFinite(y)) {
+    Object.assign(state, {x, y});
+  }
+  if (searchParams.get('image')) {
+    state.image = searchParams.get('image');
+  }
+  return Object.keys(state).length > 0 ? state : undefined;
+}
+
+/**
+ * Creates a store reading & writing view states (see {@link serializeViewState})
+ *   - 'hash': The URL hash, so the view can be shared via links. Writes replace
+ *             the current history entry instead of adding one
+ *   - 'sessionStorage': The tab's session storage under the given key, so the
+ *                       view survives reloads w/o showing up in the URL
+ *
+ * @param {string} storage - 'hash' or 'sessionStorage'
+ * @param {string} key - Key of the session storage entry
+ * @param {object} win - Window whose location & storage are used
+ *
+ * @returns Object w/ read() returning the stored state (or undefined) &
+ *          write(state) storing a state
+ */
+let createViewStore = (storage, key, win = window) => {
+  if (storage === 'hash') {
+    let getHash = () => win.location.hash.replace(/^#/, '');
+    return {
+      read: () => parseViewState(getHash()),
+      write: state => {
+        let hash = serializeViewState(state, getHash());
+        let {pathname, search} = win.location;
+        win.history.replaceState(win.history.state, '', `${pathname}${search}${hash ? `#${hash}` : ''}`);
+      },
+    };
+  }
+  if (storage === 'sessionStorage') {
+    // Storage throws when disabled, e.g. in some private browsing modes
+    return {
+      read: () => {
+        try {
+          return parseViewState(win.sessionStorage.getItem(key) || '');
+        } catch (error) {
+          return undefined;
+        }
+      },
+      write: state => {
+        try {
+          win.sessionStorage.setItem(key, serializeViewState(state));
+        } catch (error) {
+          // The view just isn't restored
+        }
+      },
+    };
+  }
+  throw new Error(`Unknown view storage "${storage}"`);
+}
+
+export {VIEW_STATE_PARAMS, serializeViewState, parseViewState, createViewStore}
@@ -0,0 +1,31 @@
+import {serializeViewState, parseViewState, createViewStore} from './viewState';
+
+test('view states round-trip through URL params', () => {
+  let params = serializeViewState({x: 120.4, y: -30.6, image: 'boat 1'}, 'tab=2&x=5');
+  expect(params).toBe('tab=2&x=120&y=-31&image=boat+1');
+  expect(parseViewState(params)).toEqual({x: 120, y: -31, image: 'boat 1'});
+  expect(parseViewState('image=boat-1&x=abc')).toEqual({image: 'boat-1'});
+  expect(parseViewState('tab=2')).toBeUndefined();
+  expect(serializeViewState({x: 1, y: 2, image: undefined})).toBe('x=1&y=2');
+});
+
+test('view stores write to the hash or the session storage', () => {
+  let hashStore = createViewStore('hash');
+  window.history.replaceState(null, '', '/gallery?page=1#tab=2');
+  let {length} = window.history;
+  hashStore.write({x: 10, y: 20, image: 3});
+  expect(window.location.hash).toBe('#tab=2&x=10&y=20&image=3');
+  expect(window.location.search).toBe('?page=1');
+  expect(window.history.length).toBe(length);
+  expect(hashStore.read()).toEqual({x: 10, y: 20, image: '3'});
+  window.history.replaceState(null, '', '/');
+
+  let sessionStore = createViewStore('sessionStorage', 'gallery-view');
+  expect(sessionStore.read()).toBeUndefined();
+  sessionStore.write({x: 1, y: 2});
+  expect(window.sessionStorage.getItem('gallery-view')).toBe('x=1&y=2');
+  expect(sessionStore.read()).toEqual({x: 1, y: 2});
+  window.sessionStorage.clear();
+
+  expect(() => createViewStore('cookie')).toThrow('Unknown view storage "cookie"');
+});
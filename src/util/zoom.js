@@ -0,0 +1,95 @@
+/**
+ * Hover zoom profiles
+ * A profile describes how much an image grows depending on the distance
+ * between its center and the mouse:
+ *   - maxScale: Scale of an image when the mouse is over its center
+ *   - cutoff: Distance (in px) beyond which images keep their original size
+ *   - falloff: How the zoom decreases w/ distance - 'linear', 'gaussian',
+ *              'inverseSquare' or a custom function (distance, cutoff) => [0,1]
+ *   - mode: 'proximity' zooms every image near the mouse, 'single' only zooms
+ *           the image under the mouse & 'repel' also pushes nearby images away
+ *   - repelStrength: Max distance (in px) images are pushed in 'repel' mode
+ */
+const DEFAULT_ZOOM_PROFILE = {
+  maxScale: 2,
+  cutoff: 600,
+  falloff: 'linear',
+  mode: 'proximity',
+  repelStrength: 80,
+};
+
+/**
+ * Rescales a falloff curve so it reaches 0 at the cutoff distance
+ *
+ * @param {function} curve - Maps a distance to a weight, curve(0) = 1
+ *
+ * @returns The rescaled falloff (distance, cutoff) => [0,1]
+ */
+let normalizeAtCutoff = curve => (distance, cutoff) => {
+  let atCutoff = curve(cutoff, cutoff);
+  return (curve(distance, cutoff) - atCutoff) / (1 - atCutoff);
+}
+
+/**
+ * Falloff curves mapping a distance in the [0, cutoff] range to a zoom weight
+ * in the [1, 0] range
+ */
+const ZOOM_FALLOFFS = {
+  linear: (distance, cutoff) => 1 - distance / cutoff,
+  gaussian: normalizeAtCutoff((distance, cutoff) => {
+    let sigma = cutoff / 3;
+    return Math.exp(-(distance * distance) / (2 * sigma * sigma));
+  }),
+  inverseSquare: normalizeAtCutoff((distance, cutoff) => {
+    let radius = cutoff / 4;
+    return 1 / (1 + Math.pow(distance / radius, 2));
+  }),
+};
+
+/**
+ * Merges zoom configurations (e.g. the canvas' & an image's override) on top
+ * of the default profile and resolves the falloff curve
+ *
+ * @param {...object} configs - Partial profiles, later ones take precedence
+ *
+ * @returns The resolved zoom profile
+ */
+let resolveZoomProfile = (...configs) => {
+  let profile = Object.assign({}, DEFAULT_ZOOM_PROFILE, ...configs);
+  if (typeof profile.falloff !== 'function') {
+    if (!ZOOM_FALLOFFS[profile.falloff]) {
+      throw new Error(`Unknown zoom falloff "${profile.falloff}"`);
+    }
+    profile.falloff = ZOOM_FALLOFFS[profile.falloff];
+  }
+  return profile;
+}
+
+/**
+ * Calculates how strongly an image is affected by the mouse
+ *
+ * @param {number} distance - Distance between the image's center and the mouse
+ * @param {object} profile - Resolved zoom profile, see {@link resolveZoomProfile}
+ *
+ * @returns A weight in the [0,1] range - 1 when the mouse is over the image's
+ *          center, 0 beyond the profile's cutoff
+ */
+let getZoomWeight = (distance, profile) => {
+  if (distance >= profile.cutoff) {
+    return 0;
+  }
+  return Math.max(0, Math.min(1, profile.falloff(Math.max(0, distance), profile.cutoff)));
+}
+
+/**
+ * Calculates the scale of an image
+ *
+ * @param {number} distance - Distance between the image's center and the mouse
+ * @param {object} profile - Resolved zoom profile, see {@link resolveZoomProfile}
+ *
+ * @returns The image's scale, 1 beyond the cutoff up to maxScale at the center
+ */
+let getZoomScale = (distance, profile) =>
+  1 + (profile.maxScale - 1) * getZoomWeight(distance, profile);
+
+export {DEFAULT_ZOOM_PROFILE, ZOOM_FALLOFFS, resolveZoomProfile, getZoomWeight, getZoomScale}
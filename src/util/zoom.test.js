@@ -0,0 +1,40 @@
+import {resolveZoomProfile, getZoomWeight, getZoomScale} from './zoom';
+
+test('default profile grows images linearly up to 2x within 600px', () => {
+  let profile = resolveZoomProfile();
+  expect(getZoomScale(0, profile)).toBe(2);
+  expect(getZoomScale(300, profile)).toBe(1.5);
+  expect(getZoomScale(600, profile)).toBe(1);
+  expect(getZoomScale(2000, profile)).toBe(1);
+});
+
+test.each(['linear', 'gaussian', 'inverseSquare'])('%s falloff decreases from 1 to 0 at the cutoff', falloff => {
+  let profile = resolveZoomProfile({falloff, cutoff: 400});
+  expect(getZoomWeight(0, profile)).toBeCloseTo(1);
+  expect(getZoomWeight(399.999, profile)).toBeCloseTo(0);
+  let prev = 1;
+  for (let distance = 20; distance < 400; distance += 20) {
+    expect(getZoomWeight(distance, profile)).toBeLessThan(prev);
+    prev = getZoomWeight(distance, profile);
+  }
+});
+
+test('gaussian & inverse-square falloffs concentrate the zoom near the center', () => {
+  let linear = resolveZoomProfile();
+  let gaussian = resolveZoomProfile({falloff: 'gaussian'});
+  let inverseSquare = resolveZoomProfile({falloff: 'inverseSquare'});
+  expect(getZoomWeight(60, gaussian)).toBeGreaterThan(getZoomWeight(60, linear));
+  expect(getZoomWeight(300, inverseSquare)).toBeLessThan(getZoomWeight(300, linear));
+});
+
+test('later configurations override earlier ones', () => {
+  let profile = resolveZoomProfile({maxScale: 3, cutoff: 200}, {maxScale: 1.5});
+  expect(profile.cutoff).toBe(200);
+  expect(getZoomScale(0, profile)).toBe(1.5);
+});
+
+test('custom falloffs are used as is, unknown ones throw', () => {
+  let profile = resolveZoomProfile({falloff: () => 0.5});
+  expect(getZoomScale(100, profile)).toBe(1.5);
+  expect(() => resolveZoomProfile({falloff: 'cosine'})).toThrow('Unknown zoom falloff "cosine"');
+});
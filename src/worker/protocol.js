@@ -0,0 +1,264 @@
+import Scene from '../Scene';
+import {ELEMENT_TYPES} from '../elements';
+
+/**
+ * Methods of a {@link Scene} that can be called on the renderer returned by
+ * {@link createWorkerRenderer}. Calls are forwarded to the scene in the worker.
+ */
+const RENDERER_METHODS = [
+  'setProps',
+  'setSize',
+  'setPointer',
+  'setOrientationMovement',
+  'setFocusedKey',
+  'setReducedMotion',
+  'setPaused',
+  'click',
+  'activate',
+  'navigate',
+  'panTo',
+  'panToImage',
+  'resetView',
+  'openLightbox',
+  'closeLightbox',
+  'destroy',
+];
+
+/**
+ * Messages exchanged between the main thread & the worker. Each message is an
+ * object w/ a type & the data of that type:
+ *   - init (to worker): canvas - The OffscreenCanvas the scene draws to
+ *   - call (to worker): method & args - A call of one of RENDERER_METHODS
+ *   - event (from worker): name & payload - An event emitted by the scene
+ */
+const MESSAGE_TYPES = {
+  init: 'init',
+  call: 'call',
+  event: 'event',
+};
+
+/**
+ * Checks if a value contains functions, which can't be cloned into a worker
+ *
+ * @param {*} value - Value to check, e.g. props
+ *
+ * @returns True if the value or any value nested in it is a function
+ */
+let containsFunction = value => {
+  if (typeof value === 'function') {
+    return true;
+  }
+  if (value && typeof value === 'object') {
+    return Object.keys(value).some(key => containsFunction(value[key]));
+  }
+  return false;
+}
+
+/**
+ * Checks if all descriptors of the scene props are of element types that can
+ * be drawn in a worker, e.g. videos need the DOM. See {@link getElementType}
+ *
+ * @param {object} sceneProps - Scene props, see {@link Scene#setProps}
+ *
+ * @returns True if no descriptor needs the main thread
+ */
+let hasWorkerElementTypes = ({images = [], backgroundLayers = [], foregroundLayers = []}) => {
+  let layerImages = [...backgroundLayers, ...foregroundLayers].map(layer => layer.images);
+  return images.concat(...layerImages).every(img => {
+    let ElementType = ELEMENT_TYPES[img.type || 'image'];
+    return !ElementType || ElementType.supportsWorkers !== false;
+  });
+}
+
+/**
+ * Checks if a canvas can be drawn to from a worker, i.e. the browser supports
+ * OffscreenCanvas & the scene props can be sent to the worker
+ *
+ * @param {object} canvas - HTML canvas element
+ * @param {object} sceneProps - Scene props, see {@link Scene#setProps}
+ *
+ * @returns True if the canvas can be transferred to a worker
+ */
+let supportsWorkerRendering = (canvas, sceneProps) =>
+  typeof canvas.transferControlToOffscreen === 'function' && !containsFunction(sceneProps) &&
+  hasWorkerElementTypes(sceneProps);
+
+/**
+ * Resolves a url against a base url, leaving absolute urls (incl. data: & blob:
+ * urls) as they are
+ *
+ * @param {string} url - Url to resolve
+ * @param {string} baseUrl - Absolute url relative urls are resolved against
+ *
+ * @returns The absolute url
+ */
+let resolveUrl = (url, baseUrl) => new URL(url, baseUrl).href;
+
+/**
+ * Resolves the sources of a srcset, see {@link parseSrcset} for its formats
+ *
+ * @param {*} srcset - String or array of sources
+ * @param {string} baseUrl - Absolute url relative urls are resolved against
+ *
+ * @returns The srcset in the same format w/ absolute urls
+ */
+let resolveSrcset = (srcset, baseUrl) => {
+  if (Array.isArray(srcset)) {
+    return srcset.map(candidate => ({...candidate, url: resolveUrl(candidate.url, baseUrl)}));
+  }
+  return srcset.split(',').map(entry => {
+    let [url, ...descriptors] = entry.trim().split(/\s+/);
+    return [resolveUrl(url, baseUrl), ...descriptors].join(' ');
+  }).join(', ');
+}
+
+/**
+ * Resolves the urls of a descriptor's sources, see {@link resolveSceneUrls}
+ *
+ * @param {object} img - Descriptor of an element
+ * @param {string} baseUrl - Absolute url relative urls are resolved against
+ *
+ * @returns A copy of the descriptor w/ absolute urls
+ */
+let resolveDescriptorUrls = (img, baseUrl) => {
+  let resolved = {...img};
+  ['url', 'fallbackUrl'].forEach(name => {
+    if (img[name]) {
+      resolved[name] = resolveUrl(img[name], baseUrl);
+    }
+  });
+  if (img.srcset) {
+    resolved.srcset = resolveSrcset(img.srcset, baseUrl);
+  }
+  return resolved;
+}
+
+/**
+ * Resolves the urls of all sources in scene props. Workers resolve relative urls
+ * against the url of the worker script instead of the page's, so urls are
+ * resolved on the main thread before props are posted to the worker
+ *
+ * @param {object} sceneProps - Scene props, see {@link Scene#setProps}
+ * @param {string} baseUrl - Absolute url relative urls are resolved against,
+ *                           i.e. the document's base url
+ *
+ * @returns A copy of the props w/ absolute urls
+ */
+let resolveSceneUrls = (sceneProps, baseUrl) => {
+  let resolved = {...sceneProps};
+  if (sceneProps.images) {
+    resolved.images = sceneProps.images.map(img => resolveDescriptorUrls(img, baseUrl));
+  }
+  ['backgroundLayers', 'foregroundLayers'].forEach(name => {
+    if (sceneProps[name]) {
+      resolved[name] = sceneProps[name].map(layer =>
+        ({...layer, images: layer.images.map(img => resolveDescriptorUrls(img, baseUrl))}));
+    }
+  });
+  if (sceneProps.loading && sceneProps.loading.fallbackUrl) {
+    resolved.loading = {...sceneProps.loading, fallbackUrl: resolveUrl(sceneProps.loading.fallbackUrl, baseUrl)};
+  }
+  if (sceneProps.background && sceneProps.background.image) {
+    resolved.background = {...sceneProps.background, image: resolveUrl(sceneProps.background.image, baseUrl)};
+  }
+  return resolved;
+}
+
+/**
+ * Image loader for workers, which have no HTMLImageElement - Fetches a source
+ * and decodes it off the main thread w/ createImageBitmap.
+ * Same signature as the default loader in elements/CanvasImage.js
+ *
+ * Urls are fetched as they are, so relative urls would resolve against the
+ * worker script's url. {@link createWorkerRenderer} resolves them against the
+ * page beforehand. Unlike images drawn on the main thread, sources on other
+ * origins have to be served w/ CORS headers (Access-Control-Allow-Origin),
+ * otherwise fetching them fails & the image is treated as failed to load
+ *
+ * @param {string} url - Source of the image
+ * @param {function} onLoad - Called w/ the decoded ImageBitmap
+ * @param {function} onError - Called if the source failed to load or decode
+ */
+let loadImageBitmap = (url, onLoad, onError) => {
+  fetch(url)
+    .then(response => {
+      if (!response.ok) {
+        throw new Error(`Failed to load "${url}" (${response.status})`);
+      }
+      return response.blob();
+    })
+    .then(blob => createImageBitmap(blob))
+    .then(bitmap => onLoad(bitmap), error => onError(error));
+}
+
+/**
+ * Main thread side - Transfers a canvas to a worker running worker/renderer.worker.js
+ * and returns a renderer w/ the same methods as a {@link Scene} (see RENDERER_METHODS).
+ * Calls are posted to the worker, events emitted by the scene in the worker are
+ * passed to the onEvent callback. Urls in the props are resolved against the
+ * document's base url, see {@link resolveSceneUrls}
+ *
+ * @param {object} worker - Worker (or anything w/ the same interface) that
+ *                          called {@link attachSceneToWorker}
+ * @param {object} canvas - HTML canvas element, its control is transferred
+ * @param {function} onEvent - Called w/ the name & payload of the scene's events
+ *
+ * @returns The renderer
+ */
+let createWorkerRenderer = (worker, canvas, onEvent) => {
+  let offscreenCanvas = canvas.transferControlToOffscreen();
+  worker.postMessage({type: MESSAGE_TYPES.init, canvas: offscreenCanvas}, [offscreenCanvas]);
+  worker.addEventListener('message', evt => {
+    let {type, name, payload} = evt.data;
+    type === MESSAGE_TYPES.event && onEvent(name, payload);
+  });
+
+  let renderer = {};
+  RENDERER_METHODS.forEach(method => {
+    renderer[method] = (...args) => worker.postMessage({type: MESSAGE_TYPES.call, method, args});
+  });
+  let setProps = renderer.setProps;
+  renderer.setProps = props => setProps(resolveSceneUrls(props, document.baseURI));
+  // The worker only draws this canvas so it's no longer needed afterwards
+  let destroy = renderer.destroy;
+  renderer.destroy = () => {
+    destroy();
+    worker.terminate();
+  };
+  return renderer;
+}
+
+/**
+ * Worker side - Creates a {@link Scene} once the canvas arrives, calls its
+ * methods as requested by the main thread & posts its events back.
+ * See {@link createWorkerRenderer}
+ *
+ * @param {object} scope - Global scope of the worker (or anything w/ the same interface)
+ * @param {object} options - Options passed to the scene. Images are loaded w/
+ *                           {@link loadImageBitmap} unless a loadSource is given
+ */
+let attachSceneToWorker = (scope, options = {}) => {
+  let scene;
+  scope.addEventListener('message', evt => {
+    let {type, canvas, method, args} = evt.data;
+    if (type === MESSAGE_TYPES.init) {
+      scene = new Scene(canvas, {
+        loadSource: loadImageBitmap,
+        ...options,
+        emit: (name, payload) => scope.postMessage({type: MESSAGE_TYPES.event, name, payload}),
+      });
+    } else if (type === MESSAGE_TYPES.call && scene && RENDERER_METHODS.includes(method)) {
+      scene[method](...args);
+    }
+  });
+}
+
+export {
+  RENDERER_METHODS,
+  MESSAGE_TYPES,
+  supportsWorkerRendering,
+  resolveSceneUrls,
+  loadImageBitmap,
+  createWorkerRenderer,
+  attachSceneToWorker
+}
@@ -0,0 +1,171 @@
+import v8 from 'v8';
+import {supportsWorkerRendering, resolveSceneUrls, createWorkerRenderer, attachSceneToWorker} from './protocol';
+import {createManualScheduler} from '../util';
+import {createRecordingContext} from '../testing';
+
+/**
+ * Connects a fake worker (main thread side) to a fake worker scope. Messages are
+ * structured-cloned like real ones, which fails for functions. Transferred
+ * canvases are passed as they are.
+ */
+let createFakeWorker = () => {
+  let listeners = {main: [], worker: []};
+  let deliver = (to, {canvas, ...data}) => {
+    let message = v8.deserialize(v8.serialize(data));
+    if (canvas) {
+      message.canvas = canvas;
+    }
+    listeners[to].forEach(listener => listener({data: message}));
+  };
+  let worker = {
+    postMessage: data => deliver('worker', data),
+    addEventListener: (type, listener) => listeners.main.push(listener),
+    terminate: jest.fn(),
+  };
+  let scope = {
+    postMessage: data => deliver('main', data),
+    addEventListener: (type, listener) => listeners.worker.push(listener),
+  };
+  return {worker, scope};
+};
+
+let ctx;
+let scheduler;
+// Runs a frame, recording only the calls made during it
+let runFrame = () => {
+  ctx.reset();
+  scheduler.runFrame();
+};
+// Runs frames until the loop in the worker sleeps, recording only the last frame's calls
+let runUntilIdle = () => {
+  for (let count = 0; scheduler.hasPendingFrame(); count++) {
+    if (count >= 10000) {
+      throw new Error('Still animating after 10000 frames');
+    }
+    runFrame();
+  }
+};
+let drawnUrls = () => ctx.callsTo('drawImage').map(([bitmap]) => bitmap.url);
+
+let setUp = () => {
+  ctx = createRecordingContext();
+  scheduler = createManualScheduler();
+  let offscreenCanvas = {width: 0, height: 0, getContext: () => ctx};
+  let canvas = {transferControlToOffscreen: () => offscreenCanvas};
+
+  let {worker, scope} = createFakeWorker();
+  attachSceneToWorker(scope, {
+    scheduler,
+    loadSource: (url, onLoad, onError) =>
+      scheduler.setTimer(() => url.includes('missing') ? onError() : onLoad({url}), 0),
+  });
+  let events = [];
+  let renderer = createWorkerRenderer(worker, canvas, (name, payload) => events.push([name, payload]));
+  return {renderer, worker, offscreenCanvas, events};
+};
+
+const IMAGES = [
+  {id: 'left', left: 0.25, top: 0.5, w: 100, h: 100, url: 'left.jpg'},
+  {id: 'right', left: 0.75, top: 0.5, w: 100, h: 100, url: 'right.jpg'},
+  {id: 'broken', left: 0.5, top: 0.1, w: 100, h: 100, url: 'missing.jpg'},
+];
+
+test('scenes in workers draw to the transferred canvas', () => {
+  let {renderer, offscreenCanvas, events} = setUp();
+  renderer.setSize({width: 800, height: 600, pixelRatio: 2});
+  renderer.setProps({images: IMAGES});
+  runUntilIdle();
+
+  expect(offscreenCanvas.width).toBe(1600);
+  expect(offscreenCanvas.height).toBe(1200);
+  // Relative urls are resolved against the page, not the worker script
+  expect(drawnUrls().sort()).toEqual(['http://localhost/left.jpg', 'http://localhost/right.jpg']);
+  expect(events).toContainEqual(['loadProgress', {loaded: 2, failed: 1, total: 3}]);
+  expect(events).toContainEqual(['loadComplete', undefined]);
+});
+
+test('input is forwarded to the worker & image events are posted back', () => {
+  let {renderer, events} = setUp();
+  renderer.setSize({width: 800, height: 600, pixelRatio: 1});
+  renderer.setProps({images: IMAGES});
+  runUntilIdle();
+  events.length = 0;
+
+  renderer.setPointer({x: 200, y: 300, isInside: true});
+  renderer.click({x: 600, y: 300});
+  renderer.navigate('right', {x: -1, y: 0});
+  renderer.setFocusedKey('left');
+
+  expect(events).toEqual([
+    ['imageEnter', {key: 'left', index: 0, position: {x: 200, y: 300}}],
+    ['imageClick', {key: 'right', index: 1, position: {x: 600, y: 300}}],
+    ['focusItem', {key: 'left'}],
+    ['imageFocus', {key: 'left', index: 0, position: {x: 200, y: 300}}],
+  ]);
+});
+
+test('pausing & destroying the renderer stop the loop in the worker', () => {
+  let {renderer, worker} = setUp();
+  renderer.setSize({width: 800, height: 600, pixelRatio: 1});
+  renderer.setProps({images: IMAGES});
+  runFrame();
+  expect(scheduler.hasPendingFrame()).toBe(true);
+
+  renderer.setPaused(true);
+  runFrame();
+  expect(drawnUrls()).toEqual([]);
+  renderer.setPaused(false);
+  expect(scheduler.hasPendingFrame()).toBe(true);
+
+  renderer.destroy();
+  runFrame();
+  expect(scheduler.hasPendingFrame()).toBe(false);
+  expect(worker.terminate).toHaveBeenCalled();
+});
+
+test('urls are resolved against the document\'s base url before they\'re posted', () => {
+  let sceneProps = {
+    images: [
+      {id: 'a', url: 'img/a.jpg', fallbackUrl: '../missing.jpg'},
+      {id: 'b', url: 'https://cdn.example.com/b.jpg', srcset: 'b-400.jpg 400w, /b-800.jpg 800w'},
+      {id: 'c', url: 'data:image/png;base64,AAAA', srcset: [{url: 'c-800.png', width: 800}]},
+    ],
+    backgroundLayers: [{depth: 0.5, images: [{url: 'layer.png'}]}],
+    loading: {retries: 1, fallbackUrl: 'fallback.jpg'},
+    background: {fill: '#000000', image: 'backdrop.jpg'},
+    zoom: {maxScale: 2},
+  };
+  expect(resolveSceneUrls(sceneProps, 'https://example.com/gallery/')).toEqual({
+    images: [
+      {id: 'a', url: 'https://example.com/gallery/img/a.jpg', fallbackUrl: 'https://example.com/missing.jpg'},
+      {
+        id: 'b',
+        url: 'https://cdn.example.com/b.jpg',
+        srcset: 'https://example.com/gallery/b-400.jpg 400w, https://example.com/b-800.jpg 800w',
+      },
+      {
+        id: 'c',
+        url: 'data:image/png;base64,AAAA',
+        srcset: [{url: 'https://example.com/gallery/c-800.png', width: 800}],
+      },
+    ],
+    backgroundLayers: [{depth: 0.5, images: [{url: 'https://example.com/gallery/layer.png'}]}],
+    loading: {retries: 1, fallbackUrl: 'https://example.com/gallery/fallback.jpg'},
+    background: {fill: '#000000', image: 'https://example.com/gallery/backdrop.jpg'},
+    zoom: {maxScale: 2},
+  });
+  // The props passed in are left as they are
+  expect(sceneProps.images[0].url).toBe('img/a.jpg');
+});
+
+test('worker rendering needs OffscreenCanvas, cloneable props & no videos', () => {
+  let canvas = {transferControlToOffscreen: () => ({})};
+  expect(supportsWorkerRendering(canvas, {images: IMAGES, easing: {origin: 'spring'}})).toBe(true);
+  expect(supportsWorkerRendering({}, {images: IMAGES})).toBe(false);
+  expect(supportsWorkerRendering(canvas, {zoom: {falloff: distance => 1 / distance}})).toBe(false);
+  expect(supportsWorkerRendering(canvas, {images: [{type: 'text', text: 'Hi'}]})).toBe(true);
+  expect(supportsWorkerRendering(canvas, {
+    images: IMAGES,
+    foregroundLayers: [{depth: 2, images: [{type: 'video', url: 'clip.mp4'}]}],
+  })).toBe(false);
+});
@@ -0,0 +1,9 @@
+/**
+ * Entry point of the worker drawing a {@link Scene} on an OffscreenCanvas.
+ * Bundle it as a separate worker script & pass a function creating the worker
+ * to the worker prop of {@link Canvas}, see worker/protocol.js
+ */
+import {attachSceneToWorker} from './protocol';
+
+// eslint-disable-next-line no-restricted-globals
+attachSceneToWorker(self);
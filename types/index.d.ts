@@ -0,0 +1,614 @@
+// Type definitions for react-parallax-canvas
+// The JSDoc comments in src/ describe each option in detail
+
+import * as React from 'react';
+
+// Geometry
+
+export interface Point {
+  x: number;
+  y: number;
+}
+
+export interface Size {
+  width: number;
+  height: number;
+}
+
+export interface Rect extends Point, Size {}
+
+export type ImageKey = string | number;
+
+/** Image, canvas, ImageBitmap or video a source was loaded into */
+export type DrawableSource = CanvasImageSource;
+
+/** Loads a source, see loadImageElement */
+export type SourceLoader = (url: string, onLoad: (source: DrawableSource) => void, onError: (error?: unknown) => void) => void;
+
+// Easing
+
+/** Maps the progress of an animation in the [0,1] range to its eased progress */
+export type EasingCurve = (t: number) => number;
+
+/** Eases a value towards a destination one frame at a time, elapsed being the frame's duration in s */
+export type Follower = (destinationValue: number, currentValue: number, speed: number, elapsed?: number) => [number, number];
+
+export type EasingCurveName =
+  'linear' | 'easeInQuad' | 'easeOutQuad' | 'easeInOutQuad' | 'easeInCubic' | 'easeOutCubic' |
+  'easeInOutCubic' | 'easeInExpo' | 'easeOutExpo' | 'easeInOutExpo' | 'easeInBack' | 'easeOutBack' |
+  'easeInOutBack' | 'easeInElastic' | 'easeOutElastic' | 'easeInOutElastic';
+
+export type FollowerName = 'easeOut' | 'spring' | 'criticallyDamped' | 'snap';
+
+export type FollowerSpec =
+  FollowerName |
+  {type: 'easeOut'; acceleration?: number} |
+  {type: 'spring'; stiffness?: number; damping?: number; mass?: number} |
+  {type: 'criticallyDamped'; smoothTime?: number} |
+  {type: 'snap'} |
+  Follower;
+
+export interface EasingOptions {
+  origin?: FollowerSpec;
+  zoom?: FollowerSpec;
+  fade?: EasingCurveName | EasingCurve;
+  lightbox?: EasingCurveName | EasingCurve;
+}
+
+// Options
+
+export type ZoomFalloff = (distance: number, cutoff: number) => number;
+
+export interface ZoomOptions {
+  maxScale?: number;
+  cutoff?: number;
+  falloff?: 'linear' | 'gaussian' | 'inverseSquare' | ZoomFalloff;
+  mode?: 'proximity' | 'single' | 'repel';
+  repelStrength?: number;
+}
+
+export interface ZoomProfile {
+  maxScale: number;
+  cutoff: number;
+  falloff: ZoomFalloff;
+  mode: 'proximity' | 'single' | 'repel';
+  repelStrength: number;
+}
+
+export interface OrientationReading {
+  beta: number;
+  gamma: number;
+}
+
+export interface OrientationSource {
+  subscribe(listener: (reading: OrientationReading) => void): () => void;
+  requestPermission?(): Promise<boolean>;
+}
+
+export interface OrientationOptions {
+  sensitivity?: number;
+  maxAngle?: number;
+  restingAngle?: OrientationReading;
+  source?: OrientationSource;
+}
+
+export interface LoadingOptions {
+  retries?: number;
+  retryDelay?: number;
+  fallbackUrl?: string;
+  placeholderColor?: string;
+  timeout?: number;
+  simulatedLatency?: number;
+}
+
+export interface ScrollOptions {
+  mode?: 'free' | 'wrap' | 'bounded';
+  padding?: number;
+  overscroll?: number;
+  gap?: number;
+}
+
+export interface LightboxOptions {
+  enabled?: boolean;
+  duration?: number;
+  backdrop?: 'dim' | 'blur';
+  dimOpacity?: number;
+  blurRadius?: number;
+  padding?: number;
+}
+
+export type LayoutType = 'masonry' | 'grid' | 'goldenSpiral' | 'poisson' | 'random';
+
+export interface LayoutOptions {
+  type?: LayoutType;
+  padding?: number;
+  gap?: number;
+  columnWidth?: number;
+  cellWidth?: number;
+  cellHeight?: number;
+  spacing?: number;
+  minDistance?: number;
+  seed?: number | string;
+}
+
+export interface Gradient {
+  type?: 'linear' | 'radial';
+  /** [offset, color] pairs, offsets in the [0,1] range */
+  stops: Array<[number, string]>;
+  /** Direction (in degrees) of linear gradients, 90 runs top to bottom */
+  angle?: number;
+}
+
+export type Fill = string | Gradient;
+
+/** Filter values by name, e.g. {grayscale: 1, blur: 4} */
+export interface Filter {
+  blur?: number;
+  brightness?: number;
+  contrast?: number;
+  grayscale?: number;
+  hueRotate?: number;
+  invert?: number;
+  saturate?: number;
+  sepia?: number;
+}
+
+export interface Highlight {
+  type?: 'glow' | 'outline';
+  color?: string;
+  width?: number;
+}
+
+export interface ImageStyle {
+  fit?: 'fill' | 'contain' | 'cover' | 'none';
+  focalPoint?: Point;
+  cornerRadius?: number;
+  border?: {width: number; color?: string};
+  shadow?: {color?: string; blur?: number; offsetX?: number; offsetY?: number};
+  filter?: Filter;
+  hoverFilter?: Filter;
+  depthBlur?: number;
+  highlight?: Highlight;
+}
+
+export interface IntroTransform {
+  opacity: number;
+  scale: number;
+  x: number;
+  y: number;
+  blur: number;
+}
+
+export type IntroEffect = (progress: number, options: Required<IntroOptions>) => Partial<IntroTransform>;
+
+export type IntroEffectName = 'fade' | 'scale' | 'slide' | 'blur';
+
+export interface IntroOptions {
+  effect?: IntroEffectName | IntroEffect | Array<IntroEffectName | IntroEffect>;
+  duration?: number;
+  stagger?: number;
+  staggerOrder?: 'index' | 'distance';
+  scale?: number;
+  from?: 'top' | 'bottom' | 'left' | 'right';
+  distance?: number;
+  blur?: number;
+  handoff?: number;
+}
+
+export interface BackgroundOptions {
+  fill?: Fill;
+  image?: string;
+  blur?: number;
+  opacity?: number;
+}
+
+export interface PersistViewOptions {
+  enabled?: boolean;
+  storage?: 'hash' | 'sessionStorage';
+  key?: string;
+  delay?: number;
+}
+
+// Scheduling
+
+export interface Scheduler {
+  requestFrame(callback: (timestamp: number) => void): number;
+  cancelFrame(id: number): void;
+  setTimer(callback: () => void, delay?: number): number;
+  clearTimer(id: number): void;
+  now(): number;
+}
+
+export interface ManualScheduler extends Scheduler {
+  advance(ms: number): void;
+  runFrame(): boolean;
+  runFrames(count: number): void;
+  runUntilIdle(maxFrames?: number): number;
+  hasPendingFrame(): boolean;
+}
+
+// Images
+
+export interface SrcsetCandidate {
+  url: string;
+  width: number;
+}
+
+/** Entry of the images prop. Each type reads its own fields, see the classes in elements/ */
+export interface ImageDescriptor {
+  type?: 'image' | 'text' | 'video' | 'shape' | 'custom' | string;
+  id?: ImageKey;
+  left?: number;
+  top?: number;
+  w: number;
+  h: number;
+  depth?: number;
+  alt?: string;
+  zoom?: ZoomOptions;
+  style?: ImageStyle;
+  // Images & videos
+  url?: string;
+  srcset?: string | SrcsetCandidate[];
+  fallbackUrl?: string;
+  // Text
+  text?: string;
+  fontSize?: number;
+  fontFamily?: string;
+  fontWeight?: string | number;
+  color?: string;
+  background?: string;
+  align?: 'left' | 'center' | 'right';
+  // Videos
+  loop?: boolean;
+  muted?: boolean;
+  autoplay?: boolean;
+  // Shapes
+  shape?: 'rect' | 'ellipse';
+  fill?: Fill;
+  cornerRadius?: number;
+  // Custom elements
+  draw?: (ctx: CanvasRenderingContext2D, region: Rect) => void;
+  animated?: boolean;
+  [field: string]: unknown;
+}
+
+export interface DecorativeLayer {
+  depth: number;
+  images: ImageDescriptor[];
+}
+
+// Canvas
+
+export type ImageCallback = (image: ImageDescriptor, index: number, position: Point) => void;
+
+export interface LoadProgress {
+  loaded: number;
+  failed: number;
+  total: number;
+}
+
+export type LightboxStateName = 'opening' | 'open' | 'closing' | 'closed';
+
+export interface LightboxState {
+  key: ImageKey;
+  index: number;
+  state: LightboxStateName;
+  rect: Rect;
+}
+
+export type RenderDetail = (image: ImageDescriptor, index: number, detail: {close: () => void; rect: Rect}) => React.ReactNode;
+
+export interface CanvasProps {
+  images?: ImageDescriptor[];
+  parallaxSource?: 'pointer' | 'orientation';
+  orientation?: OrientationOptions;
+  label?: string;
+  id?: string;
+  className?: string;
+  easing?: EasingOptions;
+  zoom?: ZoomOptions;
+  backgroundLayers?: DecorativeLayer[];
+  foregroundLayers?: DecorativeLayer[];
+  onImageClick?: ImageCallback;
+  onImageHover?: ImageCallback;
+  onImageEnter?: ImageCallback;
+  onImageLeave?: ImageCallback;
+  onImageFocus?: ImageCallback;
+  onLoadComplete?: () => void;
+  onLoadProgress?: (progress: LoadProgress) => void;
+  loading?: LoadingOptions;
+  scroll?: ScrollOptions;
+  lightbox?: LightboxOptions;
+  renderDetail?: RenderDetail;
+  layout?: LayoutOptions;
+  imageStyle?: ImageStyle;
+  intro?: IntroOptions;
+  background?: BackgroundOptions;
+  elementTypes?: {[type: string]: typeof CanvasElement};
+  worker?: () => Worker;
+  persistView?: PersistViewOptions;
+  scheduler?: Partial<Scheduler>;
+}
+
+export interface PanOptions {
+  animate?: boolean;
+}
+
+export interface CanvasState {
+  view: Point;
+  paused: boolean;
+  hoveredKey?: ImageKey;
+  focusedKey?: ImageKey;
+  lightbox?: LightboxState;
+}
+
+export class Canvas extends React.Component<CanvasProps> {
+  panTo(x: number, y: number, options?: PanOptions): void;
+  focusImage(id: ImageKey, options?: PanOptions): boolean;
+  resetView(options?: PanOptions): void;
+  pause(): void;
+  resume(): void;
+  getState(): CanvasState;
+}
+
+export default Canvas;
+
+// Scene
+
+export type SceneEventName =
+  'imageEnter' | 'imageLeave' | 'imageClick' | 'imageFocus' | 'focusItem' | 'loadProgress' |
+  'loadComplete' | 'lightboxChange' | 'viewChange';
+
+export interface SceneOptions {
+  emit?: (name: SceneEventName, payload?: any) => void;
+  scheduler?: Partial<Scheduler>;
+  loadSource?: SourceLoader;
+}
+
+export interface SceneProps {
+  images?: ImageDescriptor[];
+  parallaxSource?: 'pointer' | 'orientation';
+  easing?: EasingOptions;
+  zoom?: ZoomOptions;
+  backgroundLayers?: DecorativeLayer[];
+  foregroundLayers?: DecorativeLayer[];
+  loading?: LoadingOptions;
+  scroll?: ScrollOptions;
+  lightbox?: LightboxOptions;
+  elementTypes?: {[type: string]: typeof CanvasElement};
+  layout?: LayoutOptions;
+  imageStyle?: ImageStyle;
+  intro?: IntroOptions;
+  background?: BackgroundOptions;
+}
+
+export interface PointerUpdate {
+  x?: number;
+  y?: number;
+  movementX?: number;
+  movementY?: number;
+  isInside?: boolean;
+  isDragging?: boolean;
+}
+
+/** Renderer driving a Scene, either directly or in a worker */
+export interface Renderer {
+  setProps(props: SceneProps): void;
+  setSize(size: Size & {pixelRatio: number}): void;
+  setPointer(pointer: PointerUpdate): void;
+  setOrientationMovement(movement: Point): void;
+  setFocusedKey(key?: ImageKey): void;
+  setReducedMotion(prefersReducedMotion: boolean): void;
+  setPaused(paused: boolean): void;
+  click(point: Point): void;
+  activate(key: ImageKey): void;
+  navigate(key: ImageKey, direction: Point): void;
+  panTo(x: number, y: number, options?: PanOptions): void;
+  panToImage(key: ImageKey, options?: PanOptions): void;
+  resetView(options?: PanOptions): void;
+  openLightbox(key: ImageKey): void;
+  closeLightbox(): void;
+  destroy(): void;
+}
+
+export class Scene implements Renderer {
+  constructor(canvas: HTMLCanvasElement | OffscreenCanvas, options?: SceneOptions);
+  setProps(props: SceneProps): void;
+  setSize(size: Size & {pixelRatio: number}): void;
+  setPointer(pointer: PointerUpdate): void;
+  setOrientationMovement(movement: Point): void;
+  setFocusedKey(key?: ImageKey): void;
+  setReducedMotion(prefersReducedMotion: boolean): void;
+  setPaused(paused: boolean): void;
+  click(point: Point): void;
+  activate(key: ImageKey): void;
+  navigate(key: ImageKey, direction: Point): void;
+  panTo(x: number, y: number, options?: PanOptions): void;
+  panToImage(key: ImageKey, options?: PanOptions): void;
+  resetView(options?: PanOptions): void;
+  getView(): Point;
+  openLightbox(key: ImageKey): void;
+  closeLightbox(): void;
+  destroy(): void;
+}
+
+export function getImageKey(image: ImageDescriptor, index: number): ImageKey;
+
+// Elements
+
+export interface ElementLoadOptions extends LoadingOptions {
+  loadSource?: SourceLoader;
+  scheduler?: Partial<Scheduler>;
+  pixelRatio?: number;
+  onSettled?: (element: CanvasElement) => void;
+  onSourceChange?: (element: CanvasElement) => void;
+  filterCache?: FilterCache;
+}
+
+export class CanvasElement {
+  constructor(descriptor: ImageDescriptor);
+  descriptor: ImageDescriptor;
+  width: number;
+  height: number;
+  center: Point;
+  depth: number;
+  opacity: number;
+  hasLoaded: boolean;
+  hasFailed: boolean;
+  loadOptions: ElementLoadOptions;
+  style: ImageStyle;
+  zoomProfile: ZoomProfile;
+  setPosition(left: number, top: number, width: number, height: number): void;
+  update(descriptor: ImageDescriptor): void;
+  load(options?: ElementLoadOptions): void;
+  isDrawable(): boolean;
+  isAnimated(): boolean;
+  setStyle(style: ImageStyle): void;
+  getFilterVariantCount(): number;
+  getRemainingDistance(): number;
+  getNaturalSize(): Size;
+  paint(ctx: CanvasRenderingContext2D, x: number, y: number, width: number, height: number): void;
+  paintPlaceholder(ctx: CanvasRenderingContext2D, x: number, y: number, width: number, height: number): void;
+  getBounds(mouseCoords: Point): Rect;
+  containsPoint(point: Point, mouseCoords: Point): boolean;
+}
+
+export class CanvasImage extends CanvasElement {
+  url: string;
+  srcset: SrcsetCandidate[];
+  setUrl(url: string): void;
+  reload(): void;
+  requestResolution(width: number): void;
+  cancelLoading(): void;
+  getSourceSize(): Size | undefined;
+  getStyle(): ImageStyle;
+  getHoverWeight(): number;
+  getFilter(weight: number): Filter;
+  fitInto(region: Rect): {source?: Rect; dest: Rect};
+}
+
+export class TextElement extends CanvasElement {}
+export class VideoElement extends CanvasElement {}
+export class ShapeElement extends CanvasElement {}
+export class CustomElement extends CanvasElement {}
+
+export const ELEMENT_TYPES: {[type: string]: typeof CanvasElement};
+export const DEFAULT_DEPTH: number;
+export const DEFAULT_PLACEHOLDER_COLOR: string;
+export const DEFAULT_IMAGE_STYLE: Required<Pick<ImageStyle, 'fit' | 'focalPoint' | 'cornerRadius' | 'filter' | 'depthBlur'>> & ImageStyle;
+export const DEFAULT_HIGHLIGHT: Required<Highlight>;
+export function getElementType(type?: string, elementTypes?: {[type: string]: typeof CanvasElement}): typeof CanvasElement;
+export const loadImageElement: SourceLoader;
+export function createFillStyle(ctx: CanvasRenderingContext2D, fill: Fill | undefined, x: number, y: number, width: number, height: number): string | CanvasGradient | undefined;
+
+// Workers
+
+export function supportsWorkerRendering(canvas: HTMLCanvasElement, sceneProps: SceneProps): boolean;
+export function resolveSceneUrls(sceneProps: SceneProps, baseUrl: string): SceneProps;
+export const loadImageBitmap: SourceLoader;
+export function createWorkerRenderer(worker: Worker, canvas: HTMLCanvasElement, onEvent: (name: SceneEventName, payload?: any) => void): Renderer;
+export function attachSceneToWorker(scope: any, options?: {loadSource?: SourceLoader}): void;
+
+// Util
+
+export function euclideanDistance(p1: Point, p2: Point): number;
+export function findClosestInDirection(from: Point, points: Point[], direction: Point): number;
+export function applyNonDeterministicEaseOut(
+  destinationValue: number, currentValue: number, speed: number, accelerationCoefficient: number,
+  compareFunction: (a: number, b: number) => number): [number, number];
+
+export function createDeviceOrientationSource(target?: EventTarget): OrientationSource;
+export function createSimulatedOrientationSource(): OrientationSource & {emit(reading: OrientationReading): void};
+export function orientationToMovement(reading: OrientationReading, restingAngle: OrientationReading, sensitivity: number, maxAngle: number): Point;
+
+export const EASING_CURVES: {[name in EasingCurveName]: EasingCurve};
+export const FOLLOWERS: {[name in FollowerName]: (destinationValue: number, currentValue: number, speed: number, elapsed?: number, options?: object) => [number, number]};
+export const FRAME_DURATION: number;
+export const easeInQuad: EasingCurve;
+export const easeOutFollower: Follower;
+export const snapFollower: Follower;
+export function resolveEasing(spec: EasingCurveName | EasingCurve): EasingCurve;
+export function resolveFollower(spec: FollowerSpec): Follower;
+
+export const DEFAULT_ZOOM_PROFILE: Required<ZoomOptions>;
+export const ZOOM_FALLOFFS: {linear: ZoomFalloff; gaussian: ZoomFalloff; inverseSquare: ZoomFalloff};
+export function resolveZoomProfile(...configs: Array<ZoomOptions | undefined>): ZoomProfile;
+export function getZoomWeight(distance: number, profile: ZoomProfile): number;
+export function getZoomScale(distance: number, profile: ZoomProfile): number;
+
+export interface BoundingBox {
+  minX: number;
+  minY: number;
+  maxX: number;
+  maxY: number;
+}
+
+export function clamp(value: number, min: number, max: number): number;
+export function getBoundingBox(rects: Rect[]): BoundingBox | undefined;
+export function wrapCoordinate(value: number, start: number, size: number): number;
+export function rubberBand(overshoot: number, limit: number): number;
+export function rubberBandClamp(value: number, min: number, max: number, limit: number): number;
+
+export interface SpatialGrid<T> {
+  insert(item: T, rect: Rect): void;
+  query(rect: Rect): T[];
+  clear(): void;
+}
+
+export function rectsIntersect(rect1: Rect, rect2: Rect): boolean;
+export function createSpatialGrid<T = unknown>(cellSize?: number): SpatialGrid<T>;
+export function insertionSort<T>(array: T[], compare: (a: T, b: T) => number): T[];
+
+export const DEFAULT_LAYOUT: LayoutOptions;
+export const LAYOUTS: {[type in LayoutType]: (items: Size[], size: Size, options: Required<LayoutOptions>) => Point[]};
+export function createRandom(seed: number | string): () => number;
+export function computeLayout(items: Size[], size: Size, options?: LayoutOptions): Point[];
+
+export function fitSource(
+  mode: 'fill' | 'contain' | 'cover' | 'none', natural: Size, region: Rect,
+  options?: {focalPoint?: Point; scale?: number}): {source: Rect; dest: Rect};
+export function traceRoundedRect(ctx: CanvasRenderingContext2D, rect: Rect, radius: number): void;
+
+export function parseSrcset(srcset: string | SrcsetCandidate[] | undefined, baseWidth?: number): SrcsetCandidate[];
+export function selectCandidate(candidates: SrcsetCandidate[], requiredWidth: number): SrcsetCandidate | undefined;
+export function createCachedLoader(loadSource: SourceLoader, maxEntries?: number): SourceLoader;
+
+export const DEFAULT_SCHEDULER: Scheduler;
+export function createManualScheduler(options?: {startTime?: number; frameDuration?: number}): ManualScheduler;
+
+export interface ViewState {
+  x?: number;
+  y?: number;
+  image?: ImageKey;
+}
+
+export interface ViewStore {
+  read(): ViewState | undefined;
+  write(state: ViewState): void;
+}
+
+export const VIEW_STATE_PARAMS: string[];
+export function serializeViewState(state: ViewState, params?: string): string;
+export function parseViewState(params?: string): ViewState | undefined;
+export function createViewStore(storage: 'hash' | 'sessionStorage', key?: string, win?: Window): ViewStore;
+
+export const DEFAULT_INTRO: Required<IntroOptions>;
+export const INTRO_EFFECTS: {[name in IntroEffectName]: IntroEffect};
+export function getIntroTransform(progress: number, options: Required<IntroOptions>): IntroTransform;
+export function getIntroDelays<T extends {index: number; center: Point}>(
+  elements: T[], center: Point, options: Pick<Required<IntroOptions>, 'stagger' | 'staggerOrder'>): Map<T, number>;
+
+/** Returns a filtered copy of a source, drawing it via draw the first time */
+export interface FilterCache {
+  (source: DrawableSource, filter: string, width: number, height: number,
+   draw: (ctx: CanvasRenderingContext2D) => void): HTMLCanvasElement | OffscreenCanvas;
+  setMaxEntries(count: number): void;
+}
+
+export const FILTER_FUNCTIONS: {[name in keyof Filter]-?: {name: string; unit: string; neutral: number}};
+export function removeUnknownFilters(filter?: {[name: string]: number}): Filter;
+export function formatFilter(filter?: Filter): string;
+export function blendFilters(from: Filter | undefined, to: Filter | undefined, weight: number): Filter;
+export function createCanvas(width: number, height: number): HTMLCanvasElement | OffscreenCanvas;
+export const DEFAULT_FILTER_CACHE_SIZE: number;
+export function createFilterCache(maxEntries?: number, create?: (width: number, height: number) => HTMLCanvasElement | OffscreenCanvas): FilterCache;
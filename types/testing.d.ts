@@ -0,0 +1,11 @@
+// Type definitions for react-parallax-canvas/testing
+// See src/testing/index.js
+
+export interface RecordingContext extends CanvasRenderingContext2D {
+  /** Recorded calls as [name, ...args] & assignments as ['set', name, value] */
+  calls: any[][];
+  callsTo(name: string): any[][];
+  reset(): void;
+}
+
+export function createRecordingContext(): RecordingContext;